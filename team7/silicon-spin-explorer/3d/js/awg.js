@@ -0,0 +1,432 @@
+/**
+ * awg.js — AWG Sample Export & Import
+ *
+ * Turns a pulse from the waveform editor (Waveforms) or a whole Sequencer
+ * timeline into the sampled arrays an arbitrary waveform generator plays,
+ * so the simulator can be compared against real hardware:
+ *   I, Q      drive components in tesla, in the rotating frame of the
+ *             drive (Ω = I + iQ, as Waveforms.sample returns it)
+ *   plunger   centre-gate level in mV (sequences only)
+ *   readout   marker, 1 on the sample that holds a measurement (sequences)
+ * Sample k holds the value at t = k / f_s.
+ *
+ * Formats:
+ *   CSV   '#' comment lines, then t_s,I_T,Q_T[,plunger_mV,readout]
+ *   JSON  { format, version, sampleRate, channels: [{ name, units, data }] }
+ *   .npy  float64 array of shape (N, channels), columns in the order above
+ *
+ * Imported files (any of the three) keep I and Q only and replay through
+ * SpinPhysics.startPulse, holding each sample for 1 / f_s. CSV takes the
+ * sample rate from its time column, JSON from its header; a bare .npy
+ * uses the rate typed in the panel. Values are multiplied by a scale in
+ * tesla per unit, so files in volts or DAC codes can be replayed too.
+ * Live replay runs at TIME_SCALE (1 μs of trace ≈ 20 s), so imports are
+ * capped at MAX_IMPORT_DURATION. The preview runs one exact
+ * SpinPhysics.propagate per held sample instead of the 5 ps solver grid.
+ */
+
+const Awg = (() => {
+    const FORMAT = 'silicon-spin-explorer.awg';
+    const VERSION = 1;
+    const MAX_SAMPLES = 1 << 20;
+    const DEFAULT_RATE = 50e9;   // S/s
+    const MAX_IMPORT_SAMPLES = 100000;
+    const MAX_IMPORT_DURATION = 1e-6;   // s of trace; ≈ 20 s of live replay
+
+    const CHANNELS = {
+        I: { units: 'T', description: 'in-phase drive, rotating frame' },
+        Q: { units: 'T', description: 'quadrature drive, rotating frame' },
+        plunger: { units: 'mV', description: 'centre-gate (plunger) level' },
+        readout: { units: '', description: 'measurement marker' }
+    };
+    const FORMATS = {
+        csv: { extension: 'csv', type: 'text/csv' },
+        json: { extension: 'json', type: 'application/json' },
+        npy: { extension: 'npy', type: 'application/octet-stream' }
+    };
+
+    let canvas, resultEl, errorEl, sourceSelect, formatSelect, rateInput, scaleInput, replayBtn;
+    let imported = null;   // trace loaded from a file
+
+    function init() {
+        canvas = document.getElementById('awg-canvas');
+        resultEl = document.getElementById('awg-result');
+        errorEl = document.getElementById('awg-error');
+        sourceSelect = document.getElementById('awg-source');
+        formatSelect = document.getElementById('awg-format');
+        rateInput = document.getElementById('awg-rate');
+        scaleInput = document.getElementById('awg-scale');
+        replayBtn = document.getElementById('awg-replay-btn');
+
+        const exportBtn = document.getElementById('awg-export-btn');
+        if (exportBtn) exportBtn.addEventListener('click', () => guarded(() => {
+            const trace = sampleSource(sourceSelect ? sourceSelect.value : 'waveform', sampleRate());
+            const format = formatSelect ? formatSelect.value : 'csv';
+            download(encode(trace, format), `awg-${trace.source}.${FORMATS[format].extension}`, FORMATS[format].type);
+            render(trace, 'Exported');
+        }));
+
+        const fileInput = document.getElementById('awg-file');
+        if (fileInput) fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (file) load(file);
+        });
+
+        if (replayBtn) {
+            replayBtn.disabled = true;
+            replayBtn.addEventListener('click', () => guarded(() => {
+                if (!imported) throw new Error('Import a waveform file first');
+                replay(imported, { onDone: () => {
+                    QuantumComputing.updateDisplay();
+                    render(imported, 'Replayed');
+                } });
+            }));
+        }
+    }
+
+    // ─── Sampling ────
+    function checkRate(rate) {
+        if (!(rate > 0) || !Number.isFinite(rate)) throw new Error('Sample rate must be positive');
+    }
+
+    function sampleCount(duration, rate) {
+        const n = Math.max(1, Math.ceil(duration * rate - 1e-9));
+        if (n > MAX_SAMPLES) throw new Error(`${n} samples is too many — lower the sample rate`);
+        return n;
+    }
+
+    function sampleWaveform(wf = Waveforms.getWaveform(), rate = DEFAULT_RATE) {
+        checkRate(rate);
+        Waveforms.envelope(wf);
+        const n = sampleCount(wf.duration, rate);
+        const I = new Float64Array(n), Q = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const s = Waveforms.sample(wf, k / rate);
+            I[k] = s.i;
+            Q[k] = s.q;
+        }
+        return { source: 'waveform', label: Waveforms.SHAPES[wf.shape].label, sampleRate: rate, channels: { I, Q } };
+    }
+
+    function sampleSequence(list = Sequencer.getSequence(), rate = DEFAULT_RATE) {
+        checkRate(rate);
+        if (!list.length) throw new Error('The sequence is empty');
+        Sequencer.segments(list);   // validates overlaps
+
+        const markers = list.filter(it => it.kind === 'measure');
+        const end = Math.max(...list.map(it => it.start + it.duration));
+        let n = sampleCount(end, rate);
+        // A readout at the very end still needs its own sample
+        for (const m of markers) n = Math.max(n, Math.floor(m.start * rate + 1e-9) + 1);
+        if (n > MAX_SAMPLES) throw new Error(`${n} samples is too many — lower the sample rate`);
+
+        const baseline = QuantumDot.getGateVoltages().vCenter;
+        const I = new Float64Array(n), Q = new Float64Array(n);
+        const plunger = new Float64Array(n).fill(baseline), readout = new Float64Array(n);
+        for (const it of list) {
+            if (it.kind === 'measure') {
+                readout[Math.floor(it.start * rate + 1e-9)] = 1;
+                continue;
+            }
+            const first = Math.ceil(it.start * rate - 1e-9);
+            const last = Math.min(n, Math.ceil((it.start + it.duration) * rate - 1e-9));
+            const wf = it.kind === 'pulse' ? { ...it.waveform, duration: it.duration } : null;
+            for (let k = first; k < last; k++) {
+                if (wf) {
+                    const s = Waveforms.sample(wf, k / rate - it.start);
+                    I[k] = s.i;
+                    Q[k] = s.q;
+                } else if (it.kind === 'level') {
+                    plunger[k] = it.voltage;
+                }
+            }
+        }
+        return {
+            source: 'sequence', label: `${list.length} blocks`, sampleRate: rate,
+            channels: { I, Q, plunger, readout },
+            events: markers.map(m => ({ t: m.start, bit: m.bit }))
+        };
+    }
+
+    function sampleSource(source, rate) {
+        if (source === 'waveform') return sampleWaveform(Waveforms.getWaveform(), rate);
+        if (source === 'sequence') return sampleSequence(Sequencer.getSequence(), rate);
+        throw new Error('Unknown source: ' + source);
+    }
+
+    function lengthOf(trace) { return trace.channels.I.length; }
+    function durationOf(trace) { return lengthOf(trace) / trace.sampleRate; }
+
+    // ─── Writers ────
+    function toCSV(trace) {
+        const names = Object.keys(trace.channels);
+        const drive = SpinPhysics.getDrive();
+        const lines = [
+            `# ${FORMAT} v${VERSION}: ${trace.source} (${trace.label}), ${lengthOf(trace)} samples`,
+            `# sample_rate_Hz = ${trace.sampleRate}, drive_frequency_Hz = ${drive.frequency}`,
+            '# I/Q in the rotating frame of the drive',
+            ['t_s', ...names.map(name => CHANNELS[name].units ? `${name}_${CHANNELS[name].units}` : name)].join(',')
+        ];
+        for (let k = 0; k < lengthOf(trace); k++) {
+            lines.push([k / trace.sampleRate, ...names.map(name => trace.channels[name][k])].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    function toJSON(trace) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            source: trace.source,
+            label: trace.label,
+            sampleRate: trace.sampleRate,
+            length: lengthOf(trace),
+            duration: durationOf(trace),
+            frame: { driveFrequency: SpinPhysics.getDrive().frequency, bField: SpinPhysics.getBField() },
+            channels: Object.entries(trace.channels).map(([name, data]) => ({
+                name, ...CHANNELS[name],
+                ...(name === 'readout' && trace.events ? { events: trace.events } : {}),
+                data: Array.from(data)
+            }))
+        });
+    }
+
+    // NPY v1.0: magic, header length (uint16), Python-dict header padded
+    // with spaces to a 64-byte boundary, then little-endian float64 data
+    function toNPY(trace) {
+        const columns = Object.values(trace.channels);
+        const n = lengthOf(trace);
+        let header = `{'descr': '<f8', 'fortran_order': False, 'shape': (${n}, ${columns.length}), }`;
+        const unpadded = 10 + header.length + 1;
+        header += ' '.repeat((64 - unpadded % 64) % 64) + '\n';
+
+        const offset = 10 + header.length;
+        const bytes = new Uint8Array(offset + 8 * n * columns.length);
+        bytes.set([0x93, ...'NUMPY'.split('').map(ch => ch.charCodeAt(0)), 1, 0]);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(8, header.length, true);
+        for (let k = 0; k < header.length; k++) bytes[10 + k] = header.charCodeAt(k);
+        for (let k = 0; k < n; k++) {
+            columns.forEach((data, c) => view.setFloat64(offset + 8 * (k * columns.length + c), data[k], true));
+        }
+        return bytes;
+    }
+
+    function encode(trace, format) {
+        if (format === 'csv') return toCSV(trace);
+        if (format === 'json') return toJSON(trace);
+        if (format === 'npy') return toNPY(trace);
+        throw new Error('Unknown format: ' + format);
+    }
+
+    // ─── Readers ────
+    // Each returns { source: 'import', label, sampleRate, channels: { I, Q } }
+    function importedTrace(label, rate, I, Q, scale) {
+        checkRate(rate);
+        if (!I.length) throw new Error('The file holds no samples');
+        if (I.length > MAX_IMPORT_SAMPLES) {
+            throw new Error(`${I.length} samples is too many (at most ${MAX_IMPORT_SAMPLES})`);
+        }
+        if (I.length / rate > MAX_IMPORT_DURATION) {
+            throw new Error(`Traces longer than ${Decoherence.formatTime(MAX_IMPORT_DURATION)} cannot be replayed`);
+        }
+        const values = [...I, ...Q];
+        if (!values.every(Number.isFinite)) throw new Error('Samples must be finite numbers');
+        return {
+            source: 'import', label, sampleRate: rate,
+            channels: { I: Float64Array.from(I, v => v * scale), Q: Float64Array.from(Q, v => v * scale) }
+        };
+    }
+
+    function fromCSV(text, { sampleRate, scale = 1, label = 'CSV' } = {}) {
+        const rows = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (!rows.length) throw new Error('The file holds no samples');
+
+        let names = null;
+        if (rows[0].split(',').some(cell => isNaN(parseFloat(cell)))) {
+            names = rows.shift().split(',').map(cell => cell.trim().toLowerCase());
+        }
+        const data = rows.map(line => line.split(',').map(Number));
+        const width = data[0].length;
+        const column = (pattern, fallback) => {
+            const k = names ? names.findIndex(name => pattern.test(name)) : fallback;
+            return k >= 0 && k < width ? k : -1;
+        };
+        // Headerless files: I,Q or t,I,Q
+        const t = column(/^t(_|$)/, width >= 3 ? 0 : -1);
+        const i = column(/^i(_|$)/, width >= 3 ? 1 : 0);
+        const q = column(/^q(_|$)/, width >= 3 ? 2 : 1);
+        if (i < 0) throw new Error('No I column found');
+
+        let rate = sampleRate;
+        if (t >= 0 && data.length > 1) rate = 1 / (data[1][t] - data[0][t]);
+        return importedTrace(label, rate, data.map(r => r[i]), data.map(r => (q >= 0 ? r[q] : 0)), scale);
+    }
+
+    function fromJSON(text, { scale = 1, label = 'JSON' } = {}) {
+        let doc;
+        try {
+            doc = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            throw new Error('Not a valid JSON file');
+        }
+        if (!doc || doc.format !== FORMAT) throw new Error('Not an AWG export (format ≠ ' + FORMAT + ')');
+        const channel = name => (doc.channels || []).find(c => c.name === name);
+        const I = channel('I'), Q = channel('Q');
+        if (!I) throw new Error('No I channel found');
+        return importedTrace(label, doc.sampleRate, I.data, Q ? Q.data : I.data.map(() => 0), scale);
+    }
+
+    const NPY_TYPES = {
+        '<f8': [8, 'getFloat64'], '<f4': [4, 'getFloat32'],
+        '<i4': [4, 'getInt32'], '<i2': [2, 'getInt16']
+    };
+
+    function fromNPY(buffer, { sampleRate, scale = 1, label = 'NPY' } = {}) {
+        const bytes = new Uint8Array(buffer);
+        const magic = String.fromCharCode(...bytes.subarray(1, 6));
+        if (bytes[0] !== 0x93 || magic !== 'NUMPY') throw new Error('Not a .npy file');
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const major = bytes[6];
+        const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+        const start = major === 1 ? 10 : 12;
+        const header = String.fromCharCode(...bytes.subarray(start, start + headerLength));
+
+        const descr = (header.match(/'descr':\s*'([^']+)'/) || [])[1];
+        const fortran = /'fortran_order':\s*True/.test(header);
+        const shape = ((header.match(/'shape':\s*\(([^)]*)\)/) || [])[1] || '')
+            .split(',').map(s => s.trim()).filter(Boolean).map(Number);
+        if (!NPY_TYPES[descr]) throw new Error(`Unsupported .npy dtype ${descr}`);
+        if (shape.length < 1 || shape.length > 2) throw new Error('Expected a 1-D or (N, channels) array');
+
+        const [size, getter] = NPY_TYPES[descr];
+        const [n, width = 1] = shape;
+        const offset = start + headerLength;
+        if (offset + size * n * width > bytes.byteLength) throw new Error('The .npy file is truncated');
+        const at = (k, c) => view[getter](offset + size * (fortran ? c * n + k : k * width + c), true);
+        const I = Array.from({ length: n }, (_, k) => at(k, 0));
+        const Q = Array.from({ length: n }, (_, k) => (width > 1 ? at(k, 1) : 0));
+        return importedTrace(label, sampleRate, I, Q, scale);
+    }
+
+    // Pick the reader from the file name
+    function parse(content, name, options = {}) {
+        const extension = String(name).split('.').pop().toLowerCase();
+        options = { label: name, ...options };
+        if (extension === 'npy') return fromNPY(content, options);
+        if (extension === 'json') return fromJSON(content, options);
+        return fromCSV(content, options);
+    }
+
+    function load(file) {
+        const reader = new FileReader();
+        const binary = /\.npy$/i.test(file.name);
+        reader.onload = () => guarded(() => {
+            imported = parse(reader.result, file.name, { sampleRate: sampleRate(), scale: scaleFactor() });
+            if (replayBtn) replayBtn.disabled = false;
+            render(imported, 'Imported');
+        });
+        reader.onerror = () => showError('Could not read ' + file.name);
+        if (binary) reader.readAsArrayBuffer(file);
+        else reader.readAsText(file);
+    }
+
+    // ─── Replay ────
+    // Zero-order hold: sample ⌊t·f_s⌋ drives the spin until the next one
+    function envelopeOf(trace) {
+        const { I, Q } = trace.channels;
+        const last = I.length - 1;
+        return (t) => {
+            const k = Math.min(last, Math.max(0, Math.floor(t * trace.sampleRate)));
+            return { amplitude: Math.hypot(I[k], Q[k]), phase: Math.atan2(Q[k], I[k]) };
+        };
+    }
+
+    function replay(trace, { onDone = null } = {}) {
+        if (SpinPhysics.isPulseActive()) throw new Error('A pulse is already playing');
+        return SpinPhysics.startPulse({ duration: durationOf(trace), envelope: envelopeOf(trace), onDone });
+    }
+
+    // Sandboxed replay from |0⟩; returns the final state. The drive is
+    // constant while a sample is held, so each one is a single propagate.
+    function simulate(trace, { decoState = Decoherence.getState() } = {}) {
+        const { I, Q } = trace.channels;
+        const hold = 1 / trace.sampleRate;
+        return SpinPhysics.sandbox(() => {
+            SpinPhysics.reset();
+            for (let k = 0; k < I.length; k++) {
+                SpinPhysics.setDrive({ amplitude: Math.hypot(I[k], Q[k]), phase: Math.atan2(Q[k], I[k]) });
+                SpinPhysics.propagate(hold, { pulsing: true, decoState });
+            }
+            return { p1: SpinPhysics.getP1(), bloch: SpinPhysics.getBlochVector(), rho: SpinPhysics.getDensityMatrix() };
+        });
+    }
+
+    // ─── Panel ────
+    function sampleRate() {
+        const gs = rateInput ? parseFloat(rateInput.value) : DEFAULT_RATE / 1e9;
+        return gs * 1e9;
+    }
+
+    function scaleFactor() {
+        const scale = scaleInput ? parseFloat(scaleInput.value) : 1;
+        if (!Number.isFinite(scale)) throw new Error('Scale must be a number');
+        return scale;
+    }
+
+    function render(trace, verb) {
+        const unit = PulseCompiler.timeUnit(durationOf(trace));
+        const ts = Array.from(trace.channels.I, (_, k) => k / trace.sampleRate * unit.scale);
+        const mT = data => Array.from(data, v => v * 1e3);
+        Plot.xy(canvas, {
+            series: [
+                { x: ts, y: mT(trace.channels.I), mode: 'line', color: '#1a73e8', label: 'I' },
+                { x: ts, y: mT(trace.channels.Q), mode: 'line', color: '#ea4335', label: 'Q' }
+            ],
+            xRange: [0, durationOf(trace) * unit.scale],
+            xLabel: `t (${unit.label}) →`,
+            yLabel: 'B₁ (mT)'
+        });
+
+        if (!resultEl) return;
+        const rows = [
+            [`${verb}:`, `${trace.label} — ${lengthOf(trace)} samples`],
+            ['Sample rate:', `${(trace.sampleRate / 1e9).toFixed(3)} GS/s`],
+            ['Duration:', Decoherence.formatTime(durationOf(trace))],
+            ['Channels:', Object.keys(trace.channels).join(', ')]
+        ];
+        if (trace.source === 'import') rows.push(['P(|1⟩) from |0⟩:', simulate(trace).p1.toFixed(4)]);
+        UI.showRows(resultEl, rows);
+    }
+
+    function download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function guarded(fn) {
+        try {
+            fn();
+            showError('');
+        } catch (e) {
+            showError(e.message);
+        }
+    }
+
+    function showError(message) {
+        if (errorEl) errorEl.textContent = message;
+    }
+
+    function getImported() { return imported; }
+
+    return {
+        init, sampleWaveform, sampleSequence, toCSV, toJSON, toNPY,
+        fromCSV, fromJSON, fromNPY, parse, replay, simulate, getImported, CHANNELS
+    };
+})();
@@ -0,0 +1,443 @@
+/**
+ * benchmarking.js — Fidelity, Process Tomography & Randomized Benchmarking
+ *
+ * Quantifies how well gates work at the current temperature, field and
+ * drive. Gates run as compiled pulses (PulseCompiler) on a sandboxed spin
+ * with the Lindblad T1/T2 of the Decoherence model:
+ *   state:      final state of the composer's circuit vs the ideal target,
+ *               F = Tr(ρσ) + 2√(det ρ · det σ); also the live spin vs target
+ *   tomography: the circuit as a process — inputs |0⟩, |1⟩, |+⟩, |+i⟩, each
+ *               output measured in X, Y, Z with finite shots, linear inversion
+ *               to the Pauli transfer matrix R_ij = ½ Tr(P_i Λ(P_j)).
+ *               F_pro = Tr(R_idealᵀ R) / 4, F_avg = (2 F_pro + 1) / 3
+ *   rb:         random sequences of m Cliffords plus the recovering inverse,
+ *               survival P(|0⟩) fitted to A·pᵐ + B; the average Clifford
+ *               fidelity is 1 − (1 − p)/2
+ *
+ * The 24 Cliffords are built as the shortest words in ±π/2 and π pulses
+ * about x and y. Each one's noisy channel is computed once (as a PTM) from
+ * the solver, so long sequences are cheap matrix products; shot noise is
+ * binomial from the seeded Random stream.
+ */
+
+const Benchmarking = (() => {
+    const SHOTS = 1000;
+    const SEQUENCES = 30;        // random sequences per length
+    const LENGTHS = 12;          // sequence lengths, log-spaced
+    const MAX_LENGTH = 10000;
+    const PAULI = ['I', 'X', 'Y', 'Z'];
+
+    const HALF_PI = Math.PI / 2;
+    const GENERATORS = [
+        { type: 'gate', name: 'Rx', param: HALF_PI },
+        { type: 'gate', name: 'Rx', param: -HALF_PI },
+        { type: 'gate', name: 'Ry', param: HALF_PI },
+        { type: 'gate', name: 'Ry', param: -HALF_PI },
+        { type: 'gate', name: 'X' },
+        { type: 'gate', name: 'Y' }
+    ];
+
+    let canvas, resultEl, modeSelect, exportBtn;
+    let lastResult = null;
+
+    function init() {
+        canvas = document.getElementById('bench-canvas');
+        resultEl = document.getElementById('bench-result');
+        modeSelect = document.getElementById('bench-mode');
+        exportBtn = document.getElementById('bench-export-btn');
+
+        const runBtn = document.getElementById('bench-run-btn');
+        if (!runBtn) return;
+        runBtn.addEventListener('click', () => {
+            try {
+                lastResult = run(modeSelect ? modeSelect.value : 'state');
+                render(lastResult);
+            } catch (e) {
+                UI.showError(resultEl, e.message);
+            }
+            if (exportBtn) exportBtn.disabled = !lastResult;
+        });
+        if (exportBtn) {
+            exportBtn.disabled = true;
+            exportBtn.addEventListener('click', () => {
+                if (lastResult) download(toCSV(lastResult), `benchmark-${lastResult.mode}.csv`);
+            });
+        }
+    }
+
+    function run(mode) {
+        if (mode === 'rb') return randomizedBenchmarking();
+        const ops = QuantumComputing.currentCircuit();
+        if (mode === 'tomography') return processTomography(ops);
+        return stateFidelity(ops);
+    }
+
+    // ─── 2×2 Helpers ────
+    function cmul(a, b) { return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }; }
+    function matMul(A, B) {
+        return [0, 1].map(i => [0, 1].map(j => {
+            const p = cmul(A[i][0], B[0][j]), q = cmul(A[i][1], B[1][j]);
+            return { re: p.re + q.re, im: p.im + q.im };
+        }));
+    }
+    // Equal up to a global phase: |Tr(A†B)| = 2
+    function samePhase(A, B) {
+        let re = 0, im = 0;
+        for (let i = 0; i < 2; i++) {
+            for (let j = 0; j < 2; j++) {
+                re += A[i][j].re * B[i][j].re + A[i][j].im * B[i][j].im;
+                im += A[i][j].re * B[i][j].im - A[i][j].im * B[i][j].re;
+            }
+        }
+        return Math.hypot(re, im) > 2 - 1e-6;
+    }
+
+    function bloch(rho) {
+        return [2 * rho[0][1].re, -2 * rho[0][1].im, rho[0][0].re - rho[1][1].re];
+    }
+
+    // Tomography inputs |0⟩, |1⟩, |+⟩, |+i⟩
+    const INPUTS = [
+        [[{ re: 1, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: 0, im: 0 }]],
+        [[{ re: 0, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: 1, im: 0 }]],
+        [[{ re: 0.5, im: 0 }, { re: 0.5, im: 0 }], [{ re: 0.5, im: 0 }, { re: 0.5, im: 0 }]],
+        [[{ re: 0.5, im: 0 }, { re: 0, im: -0.5 }], [{ re: 0, im: 0.5 }, { re: 0.5, im: 0 }]]
+    ];
+
+    // ─── Pauli Transfer Matrices ────
+    // Linear inversion from the output Bloch vectors of the four inputs
+    function ptmFromOutputs([b0, b1, bp, bi]) {
+        const R = [[1, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+        for (let k = 0; k < 3; k++) {
+            const mean = (b0[k] + b1[k]) / 2;
+            R[k + 1] = [mean, bp[k] - mean, bi[k] - mean, (b0[k] - b1[k]) / 2];
+        }
+        return R;
+    }
+
+    // Exact PTM of process(); call inside a sandbox
+    function channelPTM(process) {
+        return ptmFromOutputs(INPUTS.map(rho => {
+            SpinPhysics.setDensityMatrix(rho);
+            process();
+            return bloch(SpinPhysics.getDensityMatrix());
+        }));
+    }
+
+    function idealProcess(ops) {
+        return () => ops.forEach(op => SpinPhysics.applyGate(op.name, op.param));
+    }
+
+    function noisyProcess(ops, deco) {
+        if (!ops.length) return () => { };
+        const schedule = PulseCompiler.compile(ops);
+        return () => PulseCompiler.apply(schedule, deco);
+    }
+
+    function processFidelity(ideal, R) {
+        let s = 0;
+        for (let i = 0; i < 4; i++) for (let j = 0; j < 4; j++) s += ideal[i][j] * R[i][j];
+        return s / 4;
+    }
+
+    function averageFidelity(ideal, R) { return (2 * processFidelity(ideal, R) + 1) / 3; }
+
+    function ptmApply(R, v) {
+        return R.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2] + row[3] * v[3]);
+    }
+
+    // ⟨σ⟩ from shots: each outcome is +1 with probability (1 + ⟨σ⟩)/2
+    function sampleExpectation(value, shots) {
+        const p = Math.min(1, Math.max(0, (1 + value) / 2));
+        return 2 * Random.binomial(shots, p) / shots - 1;
+    }
+
+    // ─── State Fidelity ────
+    function stateFidelity(ops) {
+        if (!ops.length) throw new Error('Enter a circuit first');
+        const deco = Decoherence.getState();
+        const schedule = PulseCompiler.compile(ops);
+        const { ideal, noisy } = SpinPhysics.sandbox(() => {
+            const target = PulseCompiler.idealState(ops);
+            SpinPhysics.reset();
+            PulseCompiler.apply(schedule, deco);
+            return { ideal: target, noisy: SpinPhysics.getDensityMatrix() };
+        });
+        const live = SpinPhysics.getDensityMatrix();
+        return {
+            mode: 'state',
+            circuit: Composer.toText(ops),
+            ideal, noisy, live,
+            fidelity: PulseCompiler.fidelity(ideal, noisy),
+            liveFidelity: PulseCompiler.fidelity(ideal, live),
+            duration: schedule.duration
+        };
+    }
+
+    // ─── Process Tomography ────
+    function processTomography(ops, { shots = SHOTS } = {}) {
+        if (!ops.length) throw new Error('Enter a circuit first');
+        if (ops.some(op => op.type === 'measure')) throw new Error('Process tomography needs a circuit without measurements');
+        Composer.checkSingleQubit(ops, 'Process tomography');
+        const deco = Decoherence.getState();
+
+        const { ideal, exact, outputs } = SpinPhysics.sandbox(() => {
+            const noisy = noisyProcess(ops, deco);
+            const out = INPUTS.map(rho => {
+                SpinPhysics.setDensityMatrix(rho);
+                noisy();
+                return bloch(SpinPhysics.getDensityMatrix());
+            });
+            return { ideal: channelPTM(idealProcess(ops)), exact: ptmFromOutputs(out), outputs: out };
+        });
+        // One X, Y and Z measurement setting per input, `shots` each
+        const R = ptmFromOutputs(outputs.map(b => b.map(v => sampleExpectation(v, shots))));
+
+        return {
+            mode: 'tomography',
+            circuit: Composer.toText(ops),
+            shots, ideal, R, exact,
+            processFidelity: processFidelity(ideal, R),
+            averageFidelity: averageFidelity(ideal, R),
+            exactAverageFidelity: averageFidelity(ideal, exact)
+        };
+    }
+
+    // ─── Clifford Group ────
+    let cliffords = null;   // [{ ops, U }], index 0 = identity
+    let table = null;       // table[a][b]: index of C_b·C_a (a, then b)
+    let inverse = null;
+
+    function cliffordGroup() {
+        if (cliffords) return cliffords;
+        const I = [[{ re: 1, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: 1, im: 0 }]];
+        const gens = GENERATORS.map(g => ({ op: g, U: SpinPhysics.getGateMatrix(g.name, g.param) }));
+        // Breadth-first, so every element keeps its shortest word
+        cliffords = [{ ops: [], U: I }];
+        for (let i = 0; i < cliffords.length && cliffords.length < 24; i++) {
+            for (const g of gens) {
+                const U = matMul(g.U, cliffords[i].U);
+                if (!cliffords.some(c => samePhase(c.U, U))) cliffords.push({ ops: [...cliffords[i].ops, g.op], U });
+            }
+        }
+        const find = U => cliffords.findIndex(c => samePhase(c.U, U));
+        table = cliffords.map(a => cliffords.map(b => find(matMul(b.U, a.U))));
+        inverse = table.map(row => row.indexOf(0));
+        return cliffords;
+    }
+
+    function defaultLengths(maxLength) {
+        const lengths = [];
+        for (let i = 0; i < LENGTHS; i++) {
+            const m = Math.round(Math.pow(maxLength, i / (LENGTHS - 1)));
+            if (!lengths.includes(m)) lengths.push(m);
+        }
+        return lengths;
+    }
+
+    // ─── Randomized Benchmarking ────
+    function randomizedBenchmarking({ sequences = SEQUENCES, shots = SHOTS, lengths } = {}) {
+        const group = cliffordGroup();
+        const deco = Decoherence.getState();
+
+        const { ideal, noisy } = SpinPhysics.sandbox(() => ({
+            ideal: group.map(c => channelPTM(idealProcess(c.ops))),
+            noisy: group.map(c => channelPTM(noisyProcess(c.ops, deco)))
+        }));
+        const pulsesPerClifford = group.reduce((s, c) => s + c.ops.length, 0) / group.length;
+        const predictedError = group.reduce((s, c, i) => s + 1 - averageFidelity(ideal[i], noisy[i]), 0) / group.length;
+
+        // Sweep out to where the predicted decay has fallen to ~e^−1.5
+        const predictedP = 1 - 2 * predictedError;
+        const maxLength = lengths ? Math.max(...lengths)
+            : Math.max(16, Math.min(MAX_LENGTH, Math.round(1.5 / Math.max(1e-12, 1 - predictedP))));
+        lengths = lengths || defaultLengths(maxLength);
+
+        const samples = [];
+        const means = [];
+        const sigmas = [];
+        for (const m of lengths) {
+            const survivals = [];
+            for (let s = 0; s < sequences; s++) {
+                let v = [1, 0, 0, 1];   // |0⟩
+                let net = 0;
+                for (let i = 0; i < m; i++) {
+                    const c = Random.int(group.length);
+                    v = ptmApply(noisy[c], v);
+                    net = table[net][c];
+                }
+                v = ptmApply(noisy[inverse[net]], v);
+                const survival = Random.binomial(shots, Math.min(1, Math.max(0, (1 + v[3]) / 2))) / shots;
+                survivals.push(survival);
+                samples.push({ length: m, sequence: s, survival });
+            }
+            const mean = survivals.reduce((a, b) => a + b, 0) / sequences;
+            means.push(mean);
+            sigmas.push(Math.sqrt(survivals.reduce((a, b) => a + (b - mean) ** 2, 0) / Math.max(1, sequences - 1)));
+        }
+
+        // A·pᵐ + B, fitted in u = m / maxLength as A·exp(−k u) + B
+        const model = (u, [A, k, B]) => A * Math.exp(-Math.abs(k) * u) + B;
+        const us = lengths.map(m => m / maxLength);
+        const fit = Fitting.curveFit(model, us, means, [0.5, 1, 0.5]);
+        const [A, k, B] = fit.params;
+        const p = Math.exp(-Math.abs(k) / maxLength);
+        const cliffordError = (1 - p) / 2;
+
+        return {
+            mode: 'rb',
+            lengths, means, sigmas, samples, sequences, shots, maxLength,
+            A, B, p,
+            fitCurve: us.map(u => model(u, fit.params)),
+            rmse: fit.rmse,
+            cliffordFidelity: 1 - cliffordError,
+            gateFidelity: 1 - cliffordError / pulsesPerClifford,
+            predictedFidelity: 1 - predictedError,
+            // Sequences too short to see the decay through shot noise
+            resolved: Math.pow(predictedP, maxLength) < 0.95,
+            pulsesPerClifford,
+            temperature: deco.temperature
+        };
+    }
+
+    // ─── Rendering ────
+    function pct(f) { return (f * 100).toFixed(f > 0.9999 ? 5 : 3) + '%'; }
+
+    function rows(list) {
+        UI.showRows(resultEl, list.map(([label, val]) => [`${label}:`, val]));
+    }
+
+    // Ideal and measured PTMs side by side, −1 blue → +1 red
+    function drawPTMs(ideal, measured) {
+        const c = Plot.setup(canvas);
+        if (!c) return;
+        const { ctx, w, h } = c;
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, w, h);
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+
+        const size = Math.min((w - 60) / 8, (h - 30) / 4);
+        [['ideal', ideal], ['measured', measured]].forEach(([title, R], g) => {
+            const x0 = 20 + g * (w / 2);
+            const y0 = 18;
+            ctx.fillStyle = '#5f6368';
+            ctx.fillText(title, x0 + size * 2, 11);
+            for (let i = 0; i < 4; i++) {
+                ctx.fillStyle = '#5f6368';
+                ctx.fillText(PAULI[i], x0 - 8, y0 + (i + 0.5) * size + 3);
+                for (let j = 0; j < 4; j++) {
+                    ctx.fillStyle = Plot.colormap((R[i][j] + 1) / 2);
+                    ctx.fillRect(x0 + j * size, y0 + i * size, size - 1, size - 1);
+                    ctx.fillStyle = Math.abs(R[i][j]) > 0.6 ? '#ffffff' : '#202124';
+                    ctx.fillText(R[i][j].toFixed(2), x0 + (j + 0.5) * size, y0 + (i + 0.5) * size + 3);
+                }
+            }
+        });
+    }
+
+    function render(result) {
+        if (!result) return;
+        if (result.mode === 'rb') renderRB(result);
+        else if (result.mode === 'tomography') renderTomography(result);
+        else renderState(result);
+    }
+
+    function renderState(result) {
+        const b = bloch(result.noisy), t = bloch(result.ideal);
+        const axes = [['0', 2, 1], ['1', 2, -1], ['+', 0, 1], ['−', 0, -1], ['+i', 1, 1], ['−i', 1, -1]];
+        Plot.bars(canvas, {
+            bars: axes.map(([label, k, s]) => ({ label: `|${label}⟩`, value: (1 + s * b[k]) / 2, reference: (1 + s * t[k]) / 2 })),
+            yRange: [0, 1],
+            yLabel: 'P',
+            legend: [
+                { label: 'compiled pulses with T1/T2', color: Plot.COLORS[0] },
+                { label: '- - ideal', color: '#202124' }
+            ]
+        });
+        if (!resultEl) return;
+        rows([
+            ['Circuit', result.circuit],
+            ['F (pulses, T1/T2)', `${pct(result.fidelity)} · 1 − F = ${(1 - result.fidelity).toExponential(2)}`],
+            ['F (live spin)', pct(result.liveFidelity)],
+            ['Gate time', Decoherence.formatTime(result.duration)]
+        ]);
+    }
+
+    function renderTomography(result) {
+        drawPTMs(result.ideal, result.R);
+        if (!resultEl) return;
+        rows([
+            ['Process', result.circuit],
+            ['F_pro', pct(result.processFidelity)],
+            ['F_avg', `${pct(result.averageFidelity)} (${result.shots} shots per setting)`],
+            ['F_avg (exact)', pct(result.exactAverageFidelity)]
+        ]);
+    }
+
+    function renderRB(result) {
+        Plot.xy(canvas, {
+            series: [
+                { x: result.samples.map(s => s.length), y: result.samples.map(s => s.survival), mode: 'points', color: '#bdc1c6', radius: 1.5 },
+                { x: result.lengths, y: result.means, mode: 'points', color: '#1a73e8', label: `mean of ${result.sequences}` },
+                { x: result.lengths, y: result.fitCurve, mode: 'line', color: '#ea4335', label: `A·pᵐ + B, p = ${result.p.toFixed(6)}` }
+            ],
+            xRange: [0, result.maxLength],
+            yRange: [0, 1],
+            xLabel: 'Cliffords m →',
+            yLabel: 'P(|0⟩)'
+        });
+        if (!resultEl) return;
+        rows([
+            ['Clifford fidelity', `${pct(result.cliffordFidelity)} (predicted ${pct(result.predictedFidelity)})`],
+            ['Gate fidelity', `${pct(result.gateFidelity)} · ${result.pulsesPerClifford.toFixed(3)} pulses / Clifford`],
+            ['Fit', `A = ${result.A.toFixed(3)}, B = ${result.B.toFixed(3)}, RMSE ${result.rmse.toFixed(4)}`]
+        ].concat(result.resolved ? [] : [
+            ['Note', `no decay within ${result.maxLength} Cliffords — raise T or lower B₁`]
+        ]));
+    }
+
+    // ─── CSV Export ────
+    function toCSV(result) {
+        const lines = [];
+        if (result.mode === 'rb') {
+            lines.push(`# randomized benchmarking, ${result.sequences} sequences x ${result.shots} shots, T = ${result.temperature} mK`);
+            lines.push(`# fit A*p^m + B: A = ${result.A}, p = ${result.p}, B = ${result.B}`);
+            lines.push(`# clifford_fidelity = ${result.cliffordFidelity}, gate_fidelity = ${result.gateFidelity}`);
+            lines.push('length,sequence,survival');
+            result.samples.forEach(s => lines.push(`${s.length},${s.sequence},${s.survival}`));
+        } else if (result.mode === 'tomography') {
+            lines.push(`# process tomography of "${result.circuit}", ${result.shots} shots per setting`);
+            lines.push(`# process_fidelity = ${result.processFidelity}, average_fidelity = ${result.averageFidelity}`);
+            lines.push('matrix,row,I,X,Y,Z');
+            [['measured', result.R], ['ideal', result.ideal]].forEach(([name, R]) =>
+                R.forEach((row, i) => lines.push(`${name},${PAULI[i]},${row.join(',')}`)));
+        } else {
+            lines.push(`# state fidelity of "${result.circuit}"`);
+            lines.push(`# fidelity = ${result.fidelity}, live_fidelity = ${result.liveFidelity}`);
+            lines.push('state,x,y,z');
+            [['noisy', result.noisy], ['ideal', result.ideal], ['live', result.live]].forEach(([name, rho]) =>
+                lines.push(`${name},${bloch(rho).join(',')}`));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    function download(text, filename) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function getLastResult() { return lastResult; }
+
+    return {
+        init, run, stateFidelity, processTomography, randomizedBenchmarking,
+        cliffordGroup, toCSV, render, getLastResult
+    };
+})();
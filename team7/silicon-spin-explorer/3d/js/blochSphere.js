@@ -0,0 +1,346 @@
+/**
+ * blochSphere.js — Interactive Bloch Sphere
+ *
+ * A small Three.js view of the active spin next to the probability bars:
+ *   - the Bloch vector r of ρ = (I + r·σ)/2; it shrinks inside the sphere
+ *     as the state decoheres (|r| < 1 for mixed states)
+ *   - a fading trail of where r has been during pulses and free precession;
+ *     instant gates add the arc they rotate the vector along
+ *   - the rotation axis of each gate as it is applied (from
+ *     SpinPhysics.getRotationAxis), fading out after a moment
+ *
+ * Drag the arrow tip to set the spin to the pure state under the pointer;
+ * drag anywhere else to orbit the view.
+ *
+ * Bloch (x, y, z) maps to scene (x, z, −y) so |0⟩ points up.
+ */
+
+const BlochSphere = (() => {
+    const TRAIL_LENGTH = 600;     // points kept in the trail
+    const TRAIL_STEP = 0.004;     // min distance between trail points
+    const JUMP = 0.25;            // larger unexplained moves restart the trail
+    const AXIS_HOLD = 1.6;        // s a gate axis stays visible
+    const ARC_STEPS = 32;         // points per gate arc
+    const GRAB_RADIUS = 0.3;      // how close to the tip a drag grabs the vector
+
+    let container, renderer, scene, camera;
+    let sphere, arrow, axisLine, trailLine, trailPositions;
+    let labels = [];
+    let readoutEl = null;
+    let trail = [];
+    let logLength = 0;
+    let axisAge = Infinity;
+    let view = { theta: 0.55, phi: 1.1 };
+    let drag = null;   // 'vector' | { x, y } (orbit start)
+
+    function init() {
+        container = document.getElementById('bloch-sphere');
+        if (!container || typeof THREE === 'undefined') return;
+
+        const w = container.clientWidth || 260;
+        const h = container.clientHeight || 220;
+        try {
+            renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        } catch (e) {
+            console.warn('[BlochSphere] WebGL unavailable:', e);
+            return;
+        }
+        renderer.setSize(w, h);
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        renderer.setClearColor(0xffffff, 0);
+        container.appendChild(renderer.domElement);
+
+        scene = new THREE.Scene();
+        camera = new THREE.PerspectiveCamera(32, w / h, 0.1, 50);
+        updateCamera();
+
+        buildScene();
+        buildLabels();
+        readoutEl = document.createElement('span');
+        readoutEl.className = 'bloch-readout';
+        container.appendChild(readoutEl);
+
+        setupEvents();
+        logLength = SpinPhysics.getGateLog().length;
+        resetTrail(current());
+    }
+
+    // ─── Scene ────
+    function toScene(v) { return new THREE.Vector3(v.x, v.z, -v.y); }
+    function fromScene(p) { return { x: p.x, y: -p.z, z: p.y }; }
+
+    function circle(normal, color, opacity) {
+        const pts = [];
+        for (let i = 0; i <= 96; i++) {
+            const a = (i / 96) * Math.PI * 2;
+            pts.push(new THREE.Vector3(Math.cos(a), 0, Math.sin(a)));
+        }
+        const geo = new THREE.BufferGeometry().setFromPoints(pts);
+        const line = new THREE.Line(geo, new THREE.LineBasicMaterial({ color, transparent: true, opacity }));
+        line.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
+        return line;
+    }
+
+    function segment(from, to, color, opacity = 1) {
+        const geo = new THREE.BufferGeometry().setFromPoints([from, to]);
+        return new THREE.Line(geo, new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity }));
+    }
+
+    function buildScene() {
+        sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 48, 32),
+            new THREE.MeshBasicMaterial({ color: 0x1a73e8, transparent: true, opacity: 0.06, depthWrite: false })
+        );
+        scene.add(sphere);
+
+        // Equator and the two meridians through x and y
+        scene.add(circle(new THREE.Vector3(0, 1, 0), 0x5f6368, 0.45));
+        scene.add(circle(new THREE.Vector3(0, 0, 1), 0x9aa0a6, 0.25));
+        scene.add(circle(new THREE.Vector3(1, 0, 0), 0x9aa0a6, 0.25));
+
+        // Axes: x, y, z (scene x, −z, y)
+        const axes = [[1, 0, 0], [0, 0, -1], [0, 1, 0]];
+        axes.forEach(([x, y, z]) => scene.add(segment(
+            new THREE.Vector3(-x, -y, -z).multiplyScalar(1.15),
+            new THREE.Vector3(x, y, z).multiplyScalar(1.15),
+            0x9aa0a6, 0.6
+        )));
+
+        arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 0), 1, 0xea4335, 0.14, 0.08);
+        scene.add(arrow);
+
+        axisLine = segment(new THREE.Vector3(0, -1.3, 0), new THREE.Vector3(0, 1.3, 0), 0x34a853);
+        axisLine.material.transparent = true;
+        axisLine.visible = false;
+        scene.add(axisLine);
+
+        trailPositions = new Float32Array(TRAIL_LENGTH * 3);
+        const trailGeo = new THREE.BufferGeometry();
+        trailGeo.setAttribute('position', new THREE.BufferAttribute(trailPositions, 3));
+        trailGeo.setDrawRange(0, 0);
+        trailLine = new THREE.Line(trailGeo, new THREE.LineBasicMaterial({ color: 0x1a73e8, transparent: true, opacity: 0.7 }));
+        scene.add(trailLine);
+    }
+
+    // Axis labels are HTML so they stay crisp; they follow the projection
+    function buildLabels() {
+        const defs = [
+            { text: '|0⟩', pos: { x: 0, y: 0, z: 1.3 } },
+            { text: '|1⟩', pos: { x: 0, y: 0, z: -1.3 } },
+            { text: 'x', pos: { x: 1.3, y: 0, z: 0 } },
+            { text: 'y', pos: { x: 0, y: 1.3, z: 0 } }
+        ];
+        labels = defs.map(d => {
+            const el = document.createElement('span');
+            el.className = 'bloch-label';
+            el.textContent = d.text;
+            container.appendChild(el);
+            return { el, pos: toScene(d.pos) };
+        });
+    }
+
+    function updateCamera() {
+        const r = 4.2;
+        camera.position.set(
+            r * Math.sin(view.phi) * Math.sin(view.theta),
+            r * Math.cos(view.phi),
+            r * Math.sin(view.phi) * Math.cos(view.theta)
+        );
+        camera.lookAt(0, 0, 0);
+    }
+
+    // ─── Trail ────
+    function current() {
+        const r = SpinPhysics.getBlochVector();
+        return { x: r.x, y: r.y, z: r.z };
+    }
+
+    function dist(a, b) { return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z); }
+
+    function resetTrail(v) {
+        trail = v ? [v] : [];
+    }
+
+    function pushTrail(v) {
+        const last = trail[trail.length - 1];
+        if (last && dist(last, v) < TRAIL_STEP) return;
+        trail.push(v);
+        if (trail.length > TRAIL_LENGTH) trail.splice(0, trail.length - TRAIL_LENGTH);
+    }
+
+    // Rodrigues rotation of v about unit n by angle a
+    function rotate(v, n, a) {
+        const c = Math.cos(a), s = Math.sin(a);
+        const dot = n.x * v.x + n.y * v.y + n.z * v.z;
+        return {
+            x: v.x * c + (n.y * v.z - n.z * v.y) * s + n.x * dot * (1 - c),
+            y: v.y * c + (n.z * v.x - n.x * v.z) * s + n.y * dot * (1 - c),
+            z: v.z * c + (n.x * v.y - n.y * v.x) * s + n.z * dot * (1 - c)
+        };
+    }
+
+    function blochOf(rho) {
+        return { x: 2 * rho[0][1].re, y: -2 * rho[0][1].im, z: rho[0][0].re - rho[1][1].re };
+    }
+
+    // Replay gates logged since the last frame as arcs; measurements,
+    // preparations and a shortened log (restart, step back) restart the trail
+    function followLog() {
+        const log = SpinPhysics.getGateLog();
+        if (log.length < logLength) {
+            logLength = log.length;
+            resetTrail(current());
+            return;
+        }
+        for (const entry of log.slice(logLength)) {
+            const after = entry.stateAfter && entry.stateAfter.rho ? blochOf(entry.stateAfter.rho) : current();
+            if (entry.gate === 'MEASURE' || entry.gate === 'INIT' || !SpinPhysics.isGate(entry.gate)) {
+                resetTrail(after);
+                continue;
+            }
+            const axis = SpinPhysics.getRotationAxis(entry.gate, entry.param);
+            const from = trail.length ? trail[trail.length - 1] : after;
+            for (let i = 1; i <= ARC_STEPS; i++) pushTrail(rotate(from, axis, (axis.angle * i) / ARC_STEPS));
+            pushTrail(after);
+            showAxis(axis);
+        }
+        logLength = log.length;
+    }
+
+    function showAxis(n) {
+        const d = toScene(n).normalize();
+        const pos = axisLine.geometry.attributes.position;
+        pos.setXYZ(0, -d.x * 1.3, -d.y * 1.3, -d.z * 1.3);
+        pos.setXYZ(1, d.x * 1.3, d.y * 1.3, d.z * 1.3);
+        pos.needsUpdate = true;
+        axisAge = 0;
+    }
+
+    // ─── Frame ────
+    function update(dt = 0) {
+        if (!renderer) return;
+        followLog();
+
+        const v = current();
+        const last = trail[trail.length - 1];
+        if (last && dist(last, v) > JUMP) resetTrail(v);
+        else pushTrail(v);
+
+        // Bloch vector, scaled by |r|
+        const len = Math.hypot(v.x, v.y, v.z);
+        arrow.visible = len > 0.02;
+        if (arrow.visible) {
+            arrow.setDirection(toScene(v).normalize());
+            arrow.setLength(len, Math.min(0.14, len * 0.4), Math.min(0.08, len * 0.25));
+        }
+
+        for (let i = 0; i < trail.length; i++) {
+            const p = toScene(trail[i]);
+            trailPositions[i * 3] = p.x;
+            trailPositions[i * 3 + 1] = p.y;
+            trailPositions[i * 3 + 2] = p.z;
+        }
+        trailLine.geometry.setDrawRange(0, trail.length);
+        trailLine.geometry.attributes.position.needsUpdate = true;
+
+        axisAge += dt;
+        axisLine.visible = axisAge < AXIS_HOLD;
+        if (axisLine.visible) axisLine.material.opacity = 1 - axisAge / AXIS_HOLD;
+
+        if (readoutEl) readoutEl.textContent = `|r| = ${len.toFixed(3)}`;
+
+        // Skip drawing while the stage holding the widget is hidden
+        if (!container.offsetParent) return;
+        placeLabels();
+        renderer.render(scene, camera);
+    }
+
+    function placeLabels() {
+        const w = container.clientWidth, h = container.clientHeight;
+        for (const l of labels) {
+            const p = l.pos.clone().project(camera);
+            l.el.style.left = ((p.x + 1) / 2) * w + 'px';
+            l.el.style.top = ((1 - p.y) / 2) * h + 'px';
+        }
+    }
+
+    // ─── Interaction ────
+    function pointerRay(e) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(ndc, camera);
+        return raycaster.ray;
+    }
+
+    // Point on the unit sphere under the pointer; off the sphere, the
+    // closest point of the ray to the centre is pushed out onto it
+    function spherePoint(e) {
+        const ray = pointerRay(e);
+        const hit = new THREE.Vector3();
+        if (!ray.intersectSphere(new THREE.Sphere(new THREE.Vector3(), 1), hit)) {
+            ray.closestPointToPoint(new THREE.Vector3(), hit);
+        }
+        return hit.lengthSq() > 1e-9 ? hit.normalize() : null;
+    }
+
+    // Pure state along the unit vector v
+    function setState(v) {
+        const theta = Math.acos(Math.max(-1, Math.min(1, v.z)));
+        const phi = Math.atan2(v.y, v.x);
+        const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+        SpinPhysics.loadState([
+            [{ re: c * c, im: 0 }, { re: c * s * Math.cos(phi), im: -c * s * Math.sin(phi) }],
+            [{ re: c * s * Math.cos(phi), im: c * s * Math.sin(phi) }, { re: s * s, im: 0 }]
+        ]);
+        resetTrail(current());
+        try { QuantumComputing.updateDisplay(); } catch (err) { }
+    }
+
+    function setupEvents() {
+        const el = renderer.domElement;
+        el.addEventListener('pointerdown', (e) => {
+            const tip = toScene(current());
+            const ray = pointerRay(e);
+            const near = arrow.visible && ray.distanceToPoint(tip) < GRAB_RADIUS;
+            drag = near ? 'vector' : { x: e.clientX, y: e.clientY };
+            if (el.setPointerCapture) el.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+        el.addEventListener('pointermove', (e) => {
+            if (!drag) {
+                const near = arrow.visible && pointerRay(e).distanceToPoint(toScene(current())) < GRAB_RADIUS;
+                el.style.cursor = near ? 'grab' : 'default';
+                return;
+            }
+            if (drag === 'vector') {
+                const p = spherePoint(e);
+                if (p) setState(fromScene(p));
+                return;
+            }
+            view.theta -= (e.clientX - drag.x) * 0.01;
+            view.phi = Math.max(0.1, Math.min(Math.PI - 0.1, view.phi - (e.clientY - drag.y) * 0.01));
+            drag = { x: e.clientX, y: e.clientY };
+            updateCamera();
+        });
+        const end = () => { drag = null; };
+        el.addEventListener('pointerup', end);
+        el.addEventListener('pointercancel', end);
+
+        window.addEventListener('resize', () => {
+            const w = container.clientWidth, h = container.clientHeight;
+            if (w > 0 && h > 0) {
+                camera.aspect = w / h;
+                camera.updateProjectionMatrix();
+                renderer.setSize(w, h);
+            }
+        });
+    }
+
+    function clearTrail() { resetTrail(current()); }
+
+    return { init, update, showAxis, clearTrail, setState };
+})();
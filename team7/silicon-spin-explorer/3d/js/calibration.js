@@ -0,0 +1,217 @@
+/**
+ * calibration.js — Automatic π-Pulse Calibration
+ *
+ * Measures the drive the way a lab would, rather than trusting γB₁. Both
+ * sweeps run on a sandboxed copy of the spin and include the current
+ * detuning and decoherence:
+ *   Length Rabi:    P(|1⟩) vs pulse length at the current B₁
+ *                   → Ω_R, t_π = 1 / (2 f_R), t_π/2 = 1 / (4 f_R)
+ *   Amplitude Rabi: P(|1⟩) vs B₁ at the calibrated t_π
+ *                   → π amplitude and the fitted γ (cross-check)
+ * Each point is averaged over a finite number of shots (seeded Random).
+ *
+ * Both curves are fitted with c − a·e^(−g·u)·cos(2π f u). The frequency
+ * guess comes from the strongest cosine component of the data, so the fit
+ * does not lean on the nominal Rabi frequency.
+ *
+ * The calibrated durations go to PulseController, which scales the
+ * hold-to-pulse ring with them. A calibration belongs to the drive and
+ * field it was taken at; changing them marks it stale until the next run.
+ */
+
+const Calibration = (() => {
+    const LENGTH_POINTS = 61;
+    const AMPLITUDE_POINTS = 41;
+    const SHOTS = 500;          // single-shot readouts per point
+    const PERIODS = 3;          // nominal Rabi periods across the length sweep
+    const AMPLITUDE_SPAN = 3;   // amplitude sweep runs to 3 × B₁ (1.5 periods)
+    const SAME = 1e-9;          // relative tolerance for "drive unchanged"
+
+    let lengthCanvas, amplitudeCanvas, resultEl, statusEl;
+    let lastResult = null;
+
+    function init() {
+        lengthCanvas = document.getElementById('calibration-length-canvas');
+        amplitudeCanvas = document.getElementById('calibration-amp-canvas');
+        resultEl = document.getElementById('calibration-result');
+        statusEl = document.getElementById('pulse-calibration');
+
+        const runBtn = document.getElementById('calibration-run-btn');
+        if (runBtn) runBtn.addEventListener('click', () => calibrate());
+
+        // The drive sliders update SpinPhysics first (ui.js), then this
+        for (const id of ['slider-drive-amp', 'slider-drive-freq', 'slider-bfield']) {
+            const slider = document.getElementById(id);
+            if (slider) slider.addEventListener('input', updateStatus);
+        }
+
+        calibrate();
+    }
+
+    // Run both sweeps, store t_π and t_π/2 in PulseController and redraw
+    function calibrate() {
+        try {
+            lastResult = run();
+        } catch (e) {
+            UI.showError(resultEl, e.message);
+            return null;
+        }
+        PulseController.setCalibration(lastResult);
+        render(lastResult);
+        updateStatus();
+        return lastResult;
+    }
+
+    // ─── Sweeps ────
+    // P(|1⟩) after a square pulse of length t from |0⟩, with shot noise
+    function measure(t, deco) {
+        SpinPhysics.reset();
+        if (t > 0) SpinPhysics.propagate(t, { pulsing: true, decoState: deco });
+        const p1 = Math.min(1, Math.max(0, SpinPhysics.getP1()));
+        return Random.binomial(SHOTS, p1) / SHOTS;
+    }
+
+    function run() {
+        const deco = Decoherence.getState();
+        const drive = SpinPhysics.getDrive();
+        const bz = SpinPhysics.getBField();
+        if (!(drive.amplitude > 0)) throw new Error('Set a drive amplitude to calibrate');
+
+        // Sweep length from the nominal generalized Rabi frequency
+        const gamma = SpinPhysics.GYROMAGNETIC_RATIO;
+        const detuning = drive.frequency - gamma * bz;
+        const nominalHz = Math.hypot(gamma * drive.amplitude, detuning);
+        const tMax = PERIODS / nominalHz;
+        const aMax = AMPLITUDE_SPAN * drive.amplitude;
+
+        return SpinPhysics.sandbox(() => {
+            const lengths = grid(tMax, LENGTH_POINTS);
+            const lengthP1 = lengths.map(t => measure(t, deco));
+            const lengthFit = fitOscillation(lengths.map(t => t / tMax), lengthP1);
+            const rabiHz = lengthFit.frequency / tMax;
+            const piTime = 1 / (2 * rabiHz);
+
+            const amplitudes = grid(aMax, AMPLITUDE_POINTS);
+            const amplitudeP1 = amplitudes.map((a) => {
+                SpinPhysics.setDrive({ amplitude: a });
+                return measure(piTime, deco);
+            });
+            const amplitudeFit = fitOscillation(amplitudes.map(a => a / aMax), amplitudeP1);
+            const cyclesPerTesla = amplitudeFit.frequency / aMax;
+
+            return {
+                drive, bz, tMax, aMax,
+                lengths, lengthP1, lengthFit,
+                amplitudes, amplitudeP1, amplitudeFit,
+                rabiHz,
+                piTime,
+                halfPiTime: piTime / 2,
+                visibility: 2 * Math.abs(lengthFit.params[1]),
+                piAmplitude: 1 / (2 * cyclesPerTesla),
+                gammaFit: cyclesPerTesla / piTime,
+                nominalHz
+            };
+        });
+    }
+
+    function grid(max, n) {
+        return Array.from({ length: n }, (_, i) => max * i / (n - 1));
+    }
+
+    // ─── Fit ────
+    const MODEL = (u, [c, a, f, g]) => c - a * Math.exp(-Math.abs(g) * u) * Math.cos(2 * Math.PI * f * u);
+
+    // us span [0, 1]; returns the fitted cycles across the sweep
+    function fitOscillation(us, ys) {
+        const mean = ys.reduce((s, y) => s + y, 0) / ys.length;
+        const range = Math.max(...ys) - Math.min(...ys);
+        if (range < 0.05) throw new Error('No Rabi oscillation — is the drive on resonance?');
+
+        // Strongest cosine component (data start at the trough)
+        let guess = 1, best = -Infinity;
+        for (let f = 0.25; f <= 2 * PERIODS; f += 0.05) {
+            let overlap = 0;
+            for (let i = 0; i < us.length; i++) overlap += (mean - ys[i]) * Math.cos(2 * Math.PI * f * us[i]);
+            if (overlap > best) { best = overlap; guess = f; }
+        }
+
+        const fit = Fitting.curveFit(MODEL, us, ys, [mean, range / 2, guess, 0]);
+        const frequency = Math.abs(fit.params[2]);
+        if (!(frequency > 0)) throw new Error('Rabi fit failed');
+        return { params: fit.params, frequency, rmse: fit.rmse, curve: us.map(u => MODEL(u, fit.params)) };
+    }
+
+    // ─── Status ────
+    function isStale(result = lastResult) {
+        if (!result) return false;
+        const drive = SpinPhysics.getDrive();
+        const differs = (a, b) => Math.abs(a - b) > SAME * Math.max(Math.abs(a), Math.abs(b));
+        return differs(drive.amplitude, result.drive.amplitude)
+            || differs(drive.frequency, result.drive.frequency)
+            || differs(SpinPhysics.getBField(), result.bz);
+    }
+
+    function updateStatus() {
+        if (!statusEl) return;
+        if (!lastResult) {
+            statusEl.textContent = 'Uncalibrated';
+            return;
+        }
+        const fmt = Decoherence.formatTime;
+        statusEl.textContent = `π ${fmt(lastResult.piTime)} · π/2 ${fmt(lastResult.halfPiTime)}`
+            + (isStale() ? ' · stale' : '');
+        statusEl.classList.toggle('stale', isStale());
+        statusEl.title = isStale() ? 'Drive or field changed since the last calibration' : '';
+    }
+
+    // ─── Rendering ────
+    function render(result) {
+        if (!result) return;
+        const unit = PulseCompiler.timeUnit(result.tMax);
+        const ts = result.lengths.map(t => t * unit.scale);
+        Plot.xy(lengthCanvas, {
+            series: [
+                { x: ts, y: result.lengthP1, mode: 'points', color: '#1a73e8', label: 'length' },
+                { x: ts, y: result.lengthFit.curve, mode: 'line', color: '#ea4335', label: 'fit' }
+            ],
+            xRange: [0, result.tMax * unit.scale],
+            yRange: [0, 1],
+            xLabel: `t (${unit.label}) →`,
+            yLabel: 'P(|1⟩)',
+            markers: [
+                { x: result.halfPiTime * unit.scale, label: 'π/2', color: '#fbbc04' },
+                { x: result.piTime * unit.scale, label: 'π', color: '#ea4335' }
+            ]
+        });
+
+        const mT = result.amplitudes.map(a => a * 1e3);
+        Plot.xy(amplitudeCanvas, {
+            series: [
+                { x: mT, y: result.amplitudeP1, mode: 'points', color: '#1a73e8', label: 'amplitude' },
+                { x: mT, y: result.amplitudeFit.curve, mode: 'line', color: '#ea4335', label: 'fit' }
+            ],
+            xRange: [0, result.aMax * 1e3],
+            yRange: [0, 1],
+            xLabel: 'B₁ (mT) →',
+            yLabel: 'P(|1⟩)',
+            markers: [{ x: result.piAmplitude * 1e3, label: 'π', color: '#ea4335' }]
+        });
+
+        if (!resultEl) return;
+        const rows = [
+            ['Ω_R (fit):', `${(result.rabiHz / 1e6).toFixed(1)} MHz`],
+            ['Ω_R (nominal):', `${(result.nominalHz / 1e6).toFixed(1)} MHz`],
+            ['π pulse:', Decoherence.formatTime(result.piTime)],
+            ['π/2 pulse:', Decoherence.formatTime(result.halfPiTime)],
+            ['Visibility:', result.visibility.toFixed(3)],
+            ['π amplitude @ t_π:', `${(result.piAmplitude * 1e3).toFixed(2)} mT`],
+            ['γ (fit):', `${(result.gammaFit / 1e9).toFixed(3)} GHz/T`],
+            ['Fit RMSE:', result.lengthFit.rmse.toFixed(4)]
+        ];
+        UI.showRows(resultEl, rows);
+    }
+
+    function getLastResult() { return lastResult; }
+
+    return { init, calibrate, run, isStale, getLastResult };
+})();
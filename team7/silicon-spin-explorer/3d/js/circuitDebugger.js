@@ -0,0 +1,215 @@
+/**
+ * circuitDebugger.js — Step-Through Circuit Debugger
+ *
+ * Walks the composer's circuit one op at a time on the live spin:
+ *   ⏮ restart from |0⟩ · ◀ step back · ▶ play / ⏸ pause · ▶| step forward
+ *   plus a scrubber over the circuit and breakpoints set in the composer.
+ * Play stops before any op with a breakpoint (and at the end). An op that
+ * fails (a gate that no longer exists, a qubit that left the lattice) is
+ * not stepped over: the position stays before it and its error is shown.
+ *
+ * Position k means the first k ops have run. Every op logs its state in
+ * gateLog (stateAfter.rho), so stepping back is exact: the snapshot is
+ * reloaded with SpinPhysics.loadState and the log is truncated to its
+ * length at k. Stepping forward again re-runs the op (measurements draw a
+ * fresh outcome). The classical register is read back from the log, so it
+ * steps back with the spin. Exchange gates entangle the active spin with
+ * other lattice qubits, and ops on other qubits log those qubits' states,
+ * which a reduced snapshot of the active spin cannot undo: circuits with
+ * either keep a copy of the whole register and the active spin's state per
+ * step instead.
+ *
+ * Editing or re-running the circuit elsewhere invalidates the session; the
+ * next debugger action starts over from |0⟩.
+ */
+
+const CircuitDebugger = (() => {
+    const PLAY_INTERVAL = 400;   // ms per op while playing
+
+    let ops = [];
+    let pos = 0;
+    let marks = [];     // gateLog length after k ops
+    let registers = null; // { register, rho } after k ops (multi-qubit circuits only)
+    let initial = null; // state before the first op
+    let failure = null; // error of the op at pos, which could not run
+    let session = false;
+    let timer = null;
+    let els = {};
+
+    function init() {
+        els = {
+            restart: document.getElementById('dbg-restart'),
+            back: document.getElementById('dbg-back'),
+            play: document.getElementById('dbg-play'),
+            forward: document.getElementById('dbg-forward'),
+            scrub: document.getElementById('dbg-scrub'),
+            pos: document.getElementById('dbg-pos')
+        };
+        if (!els.play) return;
+
+        els.restart.addEventListener('click', () => { pause(); start(); });
+        els.back.addEventListener('click', () => { pause(); stepBack(); });
+        els.forward.addEventListener('click', () => { pause(); stepForward(); });
+        els.play.addEventListener('click', () => (timer ? pause() : play()));
+        els.scrub.addEventListener('input', () => { pause(); seek(parseInt(els.scrub.value, 10)); });
+
+        Composer.onChange(() => {
+            pause();
+            session = false;
+            refresh();
+        });
+        refresh();
+    }
+
+    // ─── Session ────
+    function sameCircuit(a, b) {
+        const condition = op => (op.condition ? `${op.condition.bit}=${op.condition.value}` : '');
+        const qubits = op => (op.qubits ? op.qubits.join(',') : String(op.qubit));
+        return a.length === b.length && a.every((op, i) =>
+            op.type === b[i].type && op.name === b[i].name && op.param === b[i].param &&
+            op.bit === b[i].bit && condition(op) === condition(b[i]) && qubits(op) === qubits(b[i]));
+    }
+
+    // The log must still be exactly what this session wrote
+    function isCurrent() {
+        return session && SpinPhysics.getGateLog().length === marks[pos] &&
+            sameCircuit(ops, Composer.getCircuit());
+    }
+
+    function ensureSession() {
+        if (!isCurrent()) start();
+    }
+
+    function start() {
+        ops = Composer.getCircuit();
+        QuantumComputing.restart(ops);
+        initial = SpinPhysics.getDensityMatrix();
+        marks = [SpinPhysics.getGateLog().length];
+        const active = typeof Lattice !== 'undefined' ? Lattice.getActiveQubit() : null;
+        const local = ops.every(op => op.type !== 'exchange' && (!active || op.qubit === active.id));
+        registers = local ? null : [snapshot()];
+        pos = 0;
+        failure = null;
+        session = true;
+        refresh();
+    }
+
+    // ─── Stepping ────
+    function stepForward() {
+        ensureSession();
+        if (pos >= ops.length) return false;
+        try {
+            QuantumComputing.applyOp(ops[pos]);
+        } catch (e) {
+            failure = e.message;
+            refresh();
+            return false;
+        }
+        failure = null;
+        pos++;
+        marks[pos] = SpinPhysics.getGateLog().length;
+        marks.length = pos + 1;
+        if (registers) {
+            registers[pos] = snapshot();
+            registers.length = pos + 1;
+        }
+        refresh();
+        return true;
+    }
+
+    function stepBack() {
+        ensureSession();
+        if (pos === 0) return false;
+        restore(pos - 1);
+        return true;
+    }
+
+    // Reload the snapshot taken after k ops
+    function restore(k) {
+        const log = SpinPhysics.getGateLog();
+        const entry = marks[k] > 0 ? log[marks[k] - 1] : null;
+        if (registers) {
+            QubitRegister.restore(registers[k].register);
+            SpinPhysics.setDensityMatrix(registers[k].rho);
+        } else {
+            SpinPhysics.loadState(k > 0 && entry ? entry.stateAfter.rho : initial);
+        }
+        SpinPhysics.truncateGateLog(marks[k]);
+        pos = k;
+        failure = null;
+        refresh();
+    }
+
+    function snapshot() {
+        return { register: QubitRegister.snapshot(), rho: SpinPhysics.getDensityMatrix() };
+    }
+
+    function seek(k) {
+        ensureSession();
+        k = Math.max(0, Math.min(ops.length, k));
+        if (k < pos) restore(k);
+        while (pos < k && stepForward());
+    }
+
+    // ─── Playback ────
+    function play() {
+        ensureSession();
+        if (pos >= ops.length) start();
+        // Starting on a breakpoint runs past it
+        if (!stepForward()) return;
+        timer = setInterval(() => {
+            if (pos >= ops.length || hasBreakpoint(pos) || !stepForward()) pause();
+        }, PLAY_INTERVAL);
+        refresh();
+    }
+
+    // Read live from the composer: breakpoints toggled mid-session count,
+    // and toggling one is not an edit that ends the session
+    function hasBreakpoint(k) {
+        const op = Composer.getCircuit()[k];
+        return Boolean(op && op.breakpoint);
+    }
+
+    function pause() {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+        refresh();
+    }
+
+    // ─── Display ────
+    function describe(op) {
+        if (op.type === 'exchange') return `${Exchange.getLabel(op.name)} Q${op.qubits[0]},Q${op.qubits[1]}`;
+        const on = op.qubit != null ? ` @Q${op.qubit}` : '';
+        if (op.type === 'measure') return `MEASURE${on}` + (op.bit != null ? ` → c${op.bit}` : '');
+        const gate = (op.param != null ? `${op.name}(${(op.param / Math.PI).toFixed(2)}π)` : op.name) + on;
+        return op.condition ? `IF(c${op.condition.bit}==${op.condition.value}) ${gate}` : gate;
+    }
+
+    function refresh() {
+        const live = session && isCurrent();
+        Composer.setCursor(live ? pos : -1);
+        Composer.setOutcomes(QuantumComputing.measurementBits());
+        QuantumComputing.updateDisplay();
+        if (!els.play) return;
+
+        const n = live ? ops.length : Composer.getCircuit().length;
+        els.scrub.max = n;
+        els.scrub.value = live ? pos : 0;
+        els.play.textContent = timer ? '⏸' : '▶';
+        els.back.disabled = !live || pos === 0;
+        els.forward.disabled = live && pos >= n;
+        if (els.pos) {
+            const failed = live && failure != null;
+            els.pos.classList.toggle('error', failed);
+            els.pos.textContent = !live
+                ? `${n} ops · step to debug`
+                : failed ? `${pos} / ${n} · ${describe(ops[pos])} failed: ${failure}`
+                    : pos === 0 ? `0 / ${n} · |0⟩` : `${pos} / ${n} · after ${describe(ops[pos - 1])}`;
+        }
+    }
+
+    function getPosition() { return session ? pos : -1; }
+
+    return { init, start, stepForward, stepBack, seek, play, pause, getPosition };
+})();
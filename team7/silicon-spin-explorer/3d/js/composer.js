@@ -0,0 +1,665 @@
+/**
+ * composer.js — Drag-and-Drop Circuit Composer
+ *
+ * Holds the circuit of the QC panel as the list of ops the rest of the
+ * panel consumes: [{ type: 'gate', name, param, qubit } | { type: 'measure', qubit }],
+ * the same list parseCircuit produces and QuantumComputing.runOp runs.
+ * Measurements write a classical bit ({ type: 'measure', bit }) and gates
+ * may be conditioned on one ({ …, condition: { bit, value } }): feed-forward.
+ *
+ * Single-qubit gates and measurements name the lattice qubit they act on
+ * (qubit: its id; ops added without one get the active qubit). Exchange
+ * gates name their pair: { type: 'exchange', name: 'CZ', qubits: [idA, idB] }
+ * (Exchange; the first qubit is the control). Tools that model one spin
+ * (pulse compiler, sampling, tomography) reject circuits with exchange gates
+ * or ops on more than one qubit.
+ *
+ * Rendered into #qc-circuit as one quantum wire per lattice qubit (Q0, Q1,
+ * …; q0 when there is no lattice) with one classical wire per bit below
+ * them (c0, c1, …) showing outcomes:
+ *   - drag gates in from the palette onto a wire (or click them to append
+ *     on the active qubit); exchange gates join the active qubit and its
+ *     partner
+ *   - drag blocks along a wire to reorder, or onto another wire (↑/↓ on a
+ *     selected block) to retarget them; drop them on the trash zone that
+ *     appears while dragging (or select one and press Delete) to remove
+ *     it. A cancelled drag leaves the circuit as it was
+ *   - click a rotation block to edit its angle (Enter commits, Esc cancels);
+ *     a symbol such as θ1 makes it a circuit parameter
+ *   - click the dot above a block to toggle a breakpoint (CircuitDebugger)
+ *   - click a classical wire under a measurement to store its bit there,
+ *     under a gate to cycle its condition (c == 1 → c == 0 → none)
+ *
+ * Parameterized rotations carry { symbol: 'θ1' } next to param, which
+ * always holds the symbol's bound value, so consumers that only read param
+ * run the circuit as bound. bind({ θ1: … }) rebinds every occurrence;
+ * preview() does the same without re-simulating (optimizer ticks).
+ *
+ * Text form (toText, parseCircuit): H@Q0 Rx(pi/2)@Q1 CNOT(Q0,Q1) M(c1)@Q1.
+ *
+ * Every edit notifies onEdit listeners, which re-simulate from |0⟩.
+ * append() only records the op; the caller has already applied it.
+ * onChange listeners hear about any change to the op list.
+ */
+
+const Composer = (() => {
+    const ROTATIONS = ['Rx', 'Ry', 'Rz'];
+    const MIME_PALETTE = 'application/x-qc-gate';
+    const MIME_BLOCK = 'application/x-qc-block';
+
+    let container, track;
+    let circuit = [];
+    let outcomes = [];     // last bit per measurement, in order
+    let selected = -1;
+    let cursor = -1;       // debugger position: ops before it have run, -1 = none
+    const values = new Map();    // parameter symbol → bound angle
+    const listeners = [];        // edits (re-simulate)
+    const changeListeners = [];  // any change of the op list
+
+    function init() {
+        container = document.getElementById('qc-circuit');
+        if (!container) return;
+        render();
+    }
+
+    // ─── Model ────
+    // autoBit: where a measurement without a bit stores its result
+    function normalize(op, autoBit = classicalSize()) {
+        if (op.type === 'exchange') return exchangeOp(op);
+        const qubit = isBit(op.qubit) ? op.qubit : defaultQubit();
+        if (op.type === 'measure') return { type: 'measure', bit: isBit(op.bit) ? op.bit : autoBit, qubit };
+        if (!SpinPhysics.isGate(op.name)) throw new Error(`Unknown gate "${op.name}"`);
+        const gate = { type: 'gate', name: op.name, param: undefined, qubit };
+        if (ROTATIONS.includes(op.name) && op.symbol) {
+            if (!values.has(op.symbol)) values.set(op.symbol, op.param == null ? 0 : op.param);
+            Object.assign(gate, { param: values.get(op.symbol), symbol: op.symbol });
+        } else if (ROTATIONS.includes(op.name)) {
+            gate.param = op.param == null ? Math.PI / 2 : op.param;
+        }
+        if (op.condition) gate.condition = checkCondition(op.condition);
+        return gate;
+    }
+
+    function isBit(bit) { return Number.isInteger(bit) && bit >= 0; }
+
+    // The active lattice qubit (0 without a lattice)
+    function defaultQubit() {
+        const active = typeof Lattice !== 'undefined' ? Lattice.getActiveQubit() : null;
+        return active ? active.id : 0;
+    }
+
+    // Ids of the qubits a circuit acts on, ascending; ops without a qubit
+    // (parsed text without @Qn) count as the active one
+    function qubitsOf(ops) {
+        const ids = new Set();
+        for (const op of ops) {
+            if (op.type === 'exchange') op.qubits.forEach(id => ids.add(id));
+            else ids.add(isBit(op.qubit) ? op.qubit : defaultQubit());
+        }
+        return [...ids].sort((a, b) => a - b);
+    }
+
+    function exchangeOp({ name, qubits, condition }) {
+        if (!Exchange.isGate(name)) throw new Error(`Unknown two-qubit gate "${name}"`);
+        if (!Array.isArray(qubits) || qubits.length !== 2 || !qubits.every(isBit) || qubits[0] === qubits[1]) {
+            throw new Error(`${Exchange.getLabel(name)} needs two different qubits`);
+        }
+        if (condition) throw new Error('Two-qubit gates cannot be conditioned');
+        return { type: 'exchange', name, qubits: [...qubits] };
+    }
+
+    // For tools that simulate the driven spin alone
+    function checkSingleQubit(ops, tool) {
+        if (ops.some(op => op.type === 'exchange')) {
+            throw new Error(`${tool} models a single spin; remove the two-qubit gates first`);
+        }
+        const ids = qubitsOf(ops);
+        if (ids.length > 1) {
+            throw new Error(`${tool} models a single spin; this circuit acts on ${ids.map(id => `Q${id}`).join(', ')}`);
+        }
+    }
+
+    function checkCondition({ bit, value }) {
+        if (!isBit(bit)) throw new Error('Condition needs a classical bit c0, c1, …');
+        if (value !== 0 && value !== 1) throw new Error('A bit can only be compared with 0 or 1');
+        return { bit, value };
+    }
+
+    function getCircuit() { return circuit.map(op => (op.qubits ? { ...op, qubits: [...op.qubits] } : { ...op })); }
+
+    // Replace the whole circuit (text box / QASM runs)
+    function setCircuit(ops) {
+        let measured = 0;
+        circuit = ops.map(op => normalize(op, op.type === 'measure' ? measured++ : 0));
+        outcomes = [];
+        selected = -1;
+        cursor = -1;
+        changed();
+    }
+
+    function append(op) {
+        circuit.push(normalize(op));
+        cursor = -1;
+        changed();
+    }
+
+    function insert(op, index = circuit.length) {
+        circuit.splice(clampIndex(index), 0, normalize(op));
+        edited();
+    }
+
+    // Move the op at from so it lands before the op currently at to, and
+    // onto another qubit's wire if one is given (exchange gates keep theirs)
+    function move(from, to, qubit = null) {
+        if (from < 0 || from >= circuit.length) return;
+        to = clampIndex(to);
+        const [op] = circuit.splice(from, 1);
+        if (isBit(qubit) && op.type !== 'exchange') op.qubit = qubit;
+        circuit.splice(to > from ? to - 1 : to, 0, op);
+        edited();
+    }
+
+    function setQubit(index, qubit) {
+        const op = circuit[index];
+        if (!op || op.type === 'exchange') throw new Error('Two-qubit gates keep their pair of qubits');
+        if (!isBit(qubit)) throw new Error('Qubit must be Q0, Q1, …');
+        op.qubit = qubit;
+        edited();
+    }
+
+    function remove(index) {
+        if (index < 0 || index >= circuit.length) return;
+        circuit.splice(index, 1);
+        selected = -1;
+        edited();
+    }
+
+    // A symbol turns the angle into a parameter (bound to value everywhere)
+    function setParam(index, value, symbol = null) {
+        const op = circuit[index];
+        if (!op || !ROTATIONS.includes(op.name)) throw new Error('Only rotation gates take an angle');
+        if (!Number.isFinite(value)) throw new Error('Angle must be a finite number');
+        if (symbol) {
+            op.symbol = symbol;
+            values.set(symbol, value);
+            rebind();
+        } else {
+            delete op.symbol;
+            op.param = value;
+        }
+        edited();
+    }
+
+    // Store a measurement's result in another bit
+    function setBit(index, bit) {
+        const op = circuit[index];
+        if (!op || op.type !== 'measure') throw new Error('Only measurements write a classical bit');
+        if (!isBit(bit)) throw new Error('Bit must be c0, c1, …');
+        op.bit = bit;
+        edited();
+    }
+
+    // Condition a gate on c[bit] == value; null removes the condition
+    function setCondition(index, condition) {
+        const op = circuit[index];
+        if (!op || op.type !== 'gate') throw new Error('Only gates can be conditioned');
+        if (condition) op.condition = checkCondition(condition);
+        else delete op.condition;
+        edited();
+    }
+
+    // Bits written by measurements or read by conditions
+    function classicalSize(ops = circuit) {
+        return ops.reduce((n, op) => Math.max(n,
+            op.type === 'measure' && isBit(op.bit) ? op.bit + 1 : 0,
+            op.condition ? op.condition.bit + 1 : 0), 0);
+    }
+
+    // ─── Parameters ────
+    // Symbols used by the circuit, θ1 before θ2 before θ10
+    function getParameters() {
+        const symbols = [...new Set(circuit.filter(op => op.symbol).map(op => op.symbol))];
+        symbols.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return symbols.map(symbol => ({ symbol, value: values.get(symbol) }));
+    }
+
+    // θ1 / theta1 / Theta1 → 'θ1'; null for anything else
+    function parameterSymbol(text) {
+        const m = text.trim().match(/^(?:θ|theta)(\d+)$/i);
+        return m ? 'θ' + parseInt(m[1], 10) : null;
+    }
+
+    // Bound value of a symbol (0 until first bound)
+    function getParameter(symbol) {
+        return values.has(symbol) ? values.get(symbol) : 0;
+    }
+
+    // { θ1: angle, … } → rebinds and re-simulates
+    function bind(bindings) {
+        setValues(bindings);
+        rebind();
+        edited();
+    }
+
+    // Rebind without re-simulating: the blocks and onChange listeners follow,
+    // the live spin keeps its state until the next bind() or edit
+    function preview(bindings) {
+        setValues(bindings);
+        rebind();
+        changed();
+    }
+
+    function setValues(bindings) {
+        for (const [symbol, value] of Object.entries(bindings)) {
+            if (!Number.isFinite(value)) throw new Error(`${symbol} must be a finite number`);
+        }
+        for (const [symbol, value] of Object.entries(bindings)) values.set(symbol, value);
+    }
+
+    function rebind() {
+        for (const op of circuit) {
+            if (op.symbol) op.param = values.get(op.symbol);
+        }
+    }
+
+    function clear() {
+        circuit = [];
+        outcomes = [];
+        selected = -1;
+        cursor = -1;
+        changed();
+    }
+
+    // Breakpoints live on the op and move with it; they are not edits
+    function toggleBreakpoint(index) {
+        const op = circuit[index];
+        if (!op) return;
+        op.breakpoint = !op.breakpoint;
+        render();
+    }
+
+    function setCursor(pos) {
+        cursor = pos;
+        render();
+    }
+
+    function clampIndex(i) { return Math.max(0, Math.min(circuit.length, i)); }
+
+    function edited() {
+        outcomes = [];
+        cursor = -1;
+        changed();
+        listeners.forEach(fn => fn(getCircuit()));
+    }
+
+    function changed() {
+        render();
+        changeListeners.forEach(fn => fn(getCircuit()));
+    }
+
+    function onEdit(fn) { listeners.push(fn); }
+    function onChange(fn) { changeListeners.push(fn); }
+
+    // Bits shown on the classical wire, one per measurement
+    function setOutcomes(bits) {
+        outcomes = [...bits];
+        render();
+    }
+
+    // Circuit as text for the circuit box: "H@Q0 CNOT(Q0,Q1) M@Q1 IF(c0==1) X@Q0";
+    // a measurement into its default bit (c_k for the k-th) is plain M
+    function toText(ops = circuit) {
+        let measured = 0;
+        const on = op => (isBit(op.qubit) ? `@Q${op.qubit}` : '');
+        return ops.map(op => {
+            if (op.type === 'measure') {
+                const auto = measured++;
+                return (op.bit == null || op.bit === auto ? 'M' : `M(c${op.bit})`) + on(op);
+            }
+            if (op.type === 'exchange') return `${op.name}(Q${op.qubits[0]},Q${op.qubits[1]})`;
+            const condition = op.condition ? `IF(c${op.condition.bit}==${op.condition.value}) ` : '';
+            if (!ROTATIONS.includes(op.name)) return condition + op.name + on(op);
+            return `${condition}${op.name}(${op.symbol || Qasm.formatAngle(op.param)})${on(op)}`;
+        }).join(' ');
+    }
+
+    function label(op) {
+        if (op.type === 'measure') return 'M';
+        if (op.type === 'exchange') return Exchange.getLabel(op.name);
+        if (!ROTATIONS.includes(op.name)) return op.name;
+        if (op.symbol) return `${op.name}(${op.symbol})`;
+        return `${op.name}(${(op.param / Math.PI).toFixed(2).replace(/\.?0+$/, '')}π)`;
+    }
+
+    // ─── Rendering ────
+    function render() {
+        if (!container) return;
+        container.innerHTML = '';
+        container.classList.add('qc-composer');
+
+        const rows = Math.max(1, classicalSize());
+        const qwires = wires();
+        const labels = document.createElement('div');
+        labels.className = 'qc-wire-labels';
+        labels.innerHTML = qwires.map(w => (w.active
+            ? `<span class="qc-wire-label qc-qwire-label active" data-qubit="${w.id}" title="Active qubit: clicked gate buttons act on it">${w.name} |0⟩</span>`
+            : `<span class="qc-wire-label qc-qwire-label" data-qubit="${w.id}">${w.name} |0⟩</span>`)).join('') +
+            Array.from({ length: rows }, (_, k) => `<span class="qc-wire-label qc-cwire-label">c${k}</span>`).join('');
+        container.appendChild(labels);
+
+        track = document.createElement('div');
+        track.className = 'qc-composer-track';
+        track.style.setProperty('--qubit-rows', qwires.length);
+        track.style.setProperty('--cbit-rows', rows);
+        let measured = 0;
+        circuit.forEach((op, i) => {
+            const col = document.createElement('div');
+            col.className = 'qc-op' + (cursor >= 0 && i < cursor ? ' done' : '') + (i === cursor ? ' next' : '');
+
+            const bp = document.createElement('span');
+            bp.className = 'qc-bp' + (op.breakpoint ? ' on' : '');
+            bp.title = op.breakpoint ? 'Remove breakpoint' : 'Break before this gate';
+            bp.addEventListener('click', () => toggleBreakpoint(i));
+
+            const block = document.createElement('span');
+            block.className = 'qc-gate-block' + (op.type === 'measure' ? ' qc-measure-block' : '') +
+                (op.condition ? ' qc-cond-block' : '') + (i === selected ? ' selected' : '');
+            block.textContent = label(op);
+            block.draggable = true;
+            block.tabIndex = 0;
+            block.dataset.index = i;
+            block.title = (op.condition ? `Runs if c${op.condition.bit} = ${op.condition.value} · ` : '') +
+                (op.type === 'exchange' ? `Q${op.qubits[0]} → Q${op.qubits[1]} · ` : `Q${op.qubit} · `) +
+                (ROTATIONS.includes(op.name) ? 'Click to edit the angle · drag to move' : 'Drag to move · Delete to remove');
+            wireBlock(block, i);
+
+            const del = document.createElement('button');
+            del.className = 'qc-gate-del';
+            del.textContent = '×';
+            del.title = 'Remove';
+            del.addEventListener('click', (e) => { e.stopPropagation(); remove(i); });
+            block.appendChild(del);
+
+            col.appendChild(bp);
+            col.appendChild(quantumCells(op, block, qwires));
+            const outcome = op.type === 'measure' ? outcomes[measured++] : null;
+            for (let k = 0; k < rows; k++) col.appendChild(classicalCell(op, i, k, outcome));
+            track.appendChild(col);
+        });
+
+        const hint = document.createElement('span');
+        hint.className = 'qc-composer-hint';
+        hint.textContent = circuit.length ? '' : 'drag gates here';
+        track.appendChild(hint);
+
+        wireTrack(track);
+        container.appendChild(track);
+
+        const trash = document.createElement('span');
+        trash.className = 'qc-composer-trash';
+        trash.textContent = '🗑';
+        trash.title = 'Drop a gate here to remove it';
+        wireTrash(trash);
+        container.appendChild(trash);
+    }
+
+    // Lattice qubits in order, the active one marked; a lone q0 without a lattice
+    function wires() {
+        const qubits = typeof Lattice !== 'undefined' ? Lattice.getQubits() : [];
+        if (!qubits.length) return [{ id: 0, name: 'q0', active: true }];
+        const active = Lattice.getActiveQubit();
+        return qubits.map(q => ({ id: q.id, name: `Q${q.id}`, active: q === active }));
+    }
+
+    // One cell per quantum wire. Single-qubit ops sit on their qubit's wire;
+    // an exchange gate puts its block on the first qubit, a marker on the
+    // second and a link through the wires between them. Ops on qubits that
+    // are not in the lattice (any more) sit on the active wire.
+    function quantumCells(op, block, qwires) {
+        const cells = document.createElement('div');
+        cells.className = 'qc-qwires';
+        const cell = qwires.map(() => {
+            const c = document.createElement('span');
+            c.className = 'qc-qcell';
+            return cells.appendChild(c);
+        });
+
+        const rowOf = id => qwires.findIndex(w => w.id === id);
+        const stray = () => Math.max(0, qwires.findIndex(w => w.active));
+        if (op.type !== 'exchange') {
+            const row = rowOf(op.qubit);
+            if (row < 0) block.title = `Q${op.qubit} is not in the lattice`;
+            cell[row < 0 ? stray() : row].appendChild(block);
+            return cells;
+        }
+        const [a, b] = op.qubits.map(rowOf);
+        if (a < 0 || b < 0) {
+            block.title = `Q${op.qubits[0]} or Q${op.qubits[1]} is not in the lattice`;
+            cell[stray()].appendChild(block);
+            return cells;
+        }
+        const lo = Math.min(a, b), hi = Math.max(a, b);
+        for (let r = lo; r <= hi; r++) {
+            cell[r].classList.add(r === lo ? 'qc-link-down' : r === hi ? 'qc-link-up' : 'qc-link');
+        }
+        cell[a].appendChild(block);
+        const mark = document.createElement('span');
+        mark.className = 'qc-gate-mark';
+        mark.textContent = op.name === 'CNOT' ? '⊕' : op.name === 'CZ' ? '●' : '×';
+        cell[b].appendChild(mark);
+        return cells;
+    }
+
+    // Column i's cell on classical wire k: a measurement's target or a condition
+    function classicalCell(op, i, k, outcome) {
+        const cell = document.createElement('span');
+        cell.className = 'qc-cbit';
+        if (op.type === 'exchange') {
+            cell.classList.add('qc-cbit-none');
+        } else if (op.type === 'measure') {
+            if (op.bit === k) {
+                cell.classList.add('qc-cbit-write');
+                cell.textContent = outcome == null ? '▼' : String(outcome);
+                cell.title = `Result stored in c${k}`;
+            } else {
+                cell.title = `Store the result in c${k}`;
+            }
+            cell.addEventListener('click', () => setBit(i, k));
+        } else {
+            const { condition } = op;
+            if (condition && condition.bit === k) {
+                cell.classList.add('qc-cbit-read');
+                cell.textContent = `=${condition.value}`;
+                cell.title = condition.value === 1 ? `Runs if c${k} = 1 · click for c${k} = 0` : `Runs if c${k} = 0 · click to remove`;
+            } else {
+                cell.title = `Run only if c${k} = 1`;
+            }
+            // none → == 1 → == 0 → none
+            cell.addEventListener('click', () => {
+                const on = condition && condition.bit === k;
+                setCondition(i, !on ? { bit: k, value: 1 } : condition.value === 1 ? { bit: k, value: 0 } : null);
+            });
+        }
+        return cell;
+    }
+
+    function wireBlock(block, i) {
+        block.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(MIME_BLOCK, String(i));
+            e.dataTransfer.effectAllowed = 'move';
+            container.classList.add('qc-dragging');
+        });
+        // Drops are handled by their targets; ending anywhere else (Esc,
+        // released over the page) just cancels the drag
+        block.addEventListener('dragend', endDrag);
+        block.addEventListener('click', () => {
+            selected = i;
+            track.querySelectorAll('.qc-gate-block').forEach(b => b.classList.toggle('selected', b === block));
+            if (ROTATIONS.includes(circuit[i].name)) editParam(block, i);
+        });
+        block.addEventListener('keydown', (e) => {
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                remove(i);
+            } else if (e.key === 'ArrowLeft' && i > 0) {
+                selected = i - 1;
+                move(i, i - 1);
+                focusBlock(i - 1);
+            } else if (e.key === 'ArrowRight' && i < circuit.length - 1) {
+                selected = i + 1;
+                move(i, i + 2);
+                focusBlock(i + 1);
+            } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && circuit[i].type !== 'exchange') {
+                e.preventDefault();
+                const qwires = wires();
+                const row = qwires.findIndex(w => w.id === circuit[i].qubit) + (e.key === 'ArrowUp' ? -1 : 1);
+                if (row < 0 || row >= qwires.length) return;
+                setQubit(i, qwires[row].id);
+                focusBlock(i);
+            }
+        });
+    }
+
+    function focusBlock(i) {
+        const block = track && track.querySelector(`.qc-gate-block[data-index="${i}"]`);
+        if (block) block.focus();
+    }
+
+    // Inline angle editor; accepts the circuit-box syntax (pi/2, 0.25pi, θ1, …)
+    function editParam(block, i) {
+        const input = document.createElement('input');
+        input.className = 'qc-gate-param';
+        input.value = circuit[i].symbol || Qasm.formatAngle(circuit[i].param);
+        block.replaceChildren(`${circuit[i].name}(`, input, ')');
+        block.draggable = false;
+        input.focus();
+        input.select();
+
+        let done = false;
+        const commit = () => {
+            if (done) return;
+            done = true;
+            try {
+                const { param, symbol } = QuantumComputing.parseParameter(input.value);
+                setParam(i, param, symbol);
+            } catch (e) {
+                block.title = e.message;
+                render();
+            }
+        };
+        input.addEventListener('click', e => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') commit();
+            if (e.key === 'Escape') { done = true; render(); }
+        });
+        input.addEventListener('blur', commit);
+    }
+
+    // ─── Drop Target ────
+    // Insertion index from the pointer x against block midpoints
+    function dropIndex(x) {
+        const blocks = [...track.querySelectorAll('.qc-op')];
+        const k = blocks.findIndex(b => {
+            const r = b.getBoundingClientRect();
+            return x < r.left + r.width / 2;
+        });
+        return k < 0 ? blocks.length : k;
+    }
+
+    // Qubit of the wire nearest the pointer y
+    function dropQubit(y) {
+        let best = null, bestDistance = Infinity;
+        container.querySelectorAll('.qc-qwire-label').forEach(label => {
+            const r = label.getBoundingClientRect();
+            const distance = Math.abs(y - (r.top + r.height / 2));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = parseInt(label.dataset.qubit, 10);
+            }
+        });
+        return best;
+    }
+
+    function clearCaret() {
+        if (!track) return;
+        track.querySelectorAll('.qc-drop-caret').forEach(c => c.remove());
+    }
+
+    // A drop re-renders the dragged block away, so its dragend may not fire
+    function endDrag() {
+        clearCaret();
+        if (container) container.classList.remove('qc-dragging');
+    }
+
+    function wireTrack(el) {
+        el.addEventListener('dragover', (e) => {
+            const types = [...(e.dataTransfer ? e.dataTransfer.types : [])];
+            if (!types.includes(MIME_PALETTE) && !types.includes(MIME_BLOCK)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = types.includes(MIME_BLOCK) ? 'move' : 'copy';
+            clearCaret();
+            const caret = document.createElement('span');
+            caret.className = 'qc-drop-caret';
+            const cols = el.querySelectorAll('.qc-op');
+            const k = dropIndex(e.clientX);
+            el.insertBefore(caret, cols[k] || el.querySelector('.qc-composer-hint'));
+        });
+        el.addEventListener('dragleave', (e) => {
+            if (!el.contains(e.relatedTarget)) clearCaret();
+        });
+        el.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const k = dropIndex(e.clientX);
+            const qubit = dropQubit(e.clientY);
+            endDrag();
+            const fromBlock = e.dataTransfer.getData(MIME_BLOCK);
+            if (fromBlock !== '') {
+                move(parseInt(fromBlock, 10), k, qubit);
+                return;
+            }
+            const gate = e.dataTransfer.getData(MIME_PALETTE);
+            if (!gate) return;
+            try {
+                insert({ ...JSON.parse(gate), qubit }, k);
+            } catch (err) {
+                console.warn('Composer drop:', err);
+            }
+        });
+    }
+
+    // Only blocks can be dropped here; the drop removes them
+    function wireTrash(el) {
+        el.addEventListener('dragover', (e) => {
+            if (![...(e.dataTransfer ? e.dataTransfer.types : [])].includes(MIME_BLOCK)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            el.classList.add('over');
+        });
+        el.addEventListener('dragleave', () => el.classList.remove('over'));
+        el.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const fromBlock = e.dataTransfer.getData(MIME_BLOCK);
+            endDrag();
+            if (fromBlock !== '') remove(parseInt(fromBlock, 10));
+        });
+    }
+
+    // Make a palette button draggable; op is { type, name, param }, or a
+    // function returning one when dragged (null cancels the drag)
+    function makeDraggable(btn, op) {
+        btn.draggable = true;
+        btn.addEventListener('dragstart', (e) => {
+            const value = typeof op === 'function' ? op() : op;
+            if (!value) { e.preventDefault(); return; }
+            e.dataTransfer.setData(MIME_PALETTE, JSON.stringify(value));
+            e.dataTransfer.effectAllowed = 'copy';
+        });
+    }
+
+    return {
+        init, getCircuit, setCircuit, append, insert, move, remove, setParam, setBit, setCondition, setQubit, clear,
+        classicalSize, qubitsOf, checkSingleQubit, getParameters, getParameter, parameterSymbol, bind, preview, toggleBreakpoint, setCursor,
+        onEdit, onChange, setOutcomes, toText, makeDraggable, render
+    };
+})();
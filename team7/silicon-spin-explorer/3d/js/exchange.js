@@ -0,0 +1,164 @@
+/**
+ * exchange.js — Exchange-Coupled Two-Qubit Gates
+ *
+ * Neighboring dots couple through the exchange interaction J(d), which
+ * falls off exponentially with the dot separation (see Lattice):
+ *   H_ex = (h J / 4) σ₁·σ₂           → SWAP family (Heisenberg)
+ *   H_ZZ = (h J / 4) σz₁ σz₂         → CZ family (large ΔE_Z between dots)
+ *
+ * Gate times follow from J:
+ *   SWAP: t = 1/(2J)   √SWAP: t = 1/(4J)   CZ: t = 1/(2J)   CNOT: H · CZ · H
+ *
+ * Gates run in real (simulated) time: the pair evolves under H every
+ * frame, and the interaction tube glows while the gate executes.
+ * apply() runs a whole gate at once, for circuits re-simulated from |0…0⟩.
+ */
+
+const Exchange = (() => {
+    const GATES = {
+        SQRT_SWAP: { label: '√SWAP', hamiltonian: 'heisenberg', turns: 0.25 },
+        SWAP: { label: 'SWAP', hamiltonian: 'heisenberg', turns: 0.5 },
+        CZ: { label: 'CZ', hamiltonian: 'ising', turns: 0.5 },
+        CNOT: { label: 'CNOT', hamiltonian: 'ising', turns: 0.5 }
+    };
+
+    const S2 = 1 / Math.sqrt(2);
+    const HADAMARD = [[{ re: S2, im: 0 }, { re: S2, im: 0 }], [{ re: S2, im: 0 }, { re: -S2, im: 0 }]];
+    const S_DAGGER = [[{ re: 1, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: 0, im: -1 }]];
+
+    let current = null;
+
+    // Gate duration in seconds (simulated time)
+    function getGateTime(gate, J) {
+        const def = GATES[gate];
+        if (!def || !(J > 0)) return Infinity;
+        return def.turns / J;
+    }
+
+    // exp(−i H t) for the chosen Hamiltonian, θ = 2π J t / 4
+    function evolutionMatrix(hamiltonian, J, t) {
+        const theta = 2 * Math.PI * J * t / 4;
+        const z = { re: 0, im: 0 };
+        const eMinus = { re: Math.cos(theta), im: -Math.sin(theta) };
+        const ePlus = { re: Math.cos(theta), im: Math.sin(theta) };
+
+        if (hamiltonian === 'ising') {
+            return [
+                [eMinus, z, z, z],
+                [z, ePlus, z, z],
+                [z, z, ePlus, z],
+                [z, z, z, eMinus]
+            ];
+        }
+
+        // Heisenberg: triplet |00⟩, |11⟩ pick up e^{−iθ}; the {|01⟩, |10⟩}
+        // block is e^{iθ}(cos 2θ − i sin 2θ X), mixing singlet and triplet
+        const c = Math.cos(2 * theta), s = Math.sin(2 * theta);
+        const diag = { re: ePlus.re * c, im: ePlus.im * c };
+        const off = { re: ePlus.im * s, im: -ePlus.re * s };
+        return [
+            [eMinus, z, z, z],
+            [z, diag, off, z],
+            [z, off, diag, z],
+            [z, z, z, eMinus]
+        ];
+    }
+
+    // ─── Gate Execution ────
+    // Validated gate on a coupled pair of lattice qubits
+    function resolve(gate, idA, idB) {
+        const def = GATES[gate];
+        if (!def) throw new Error('Unknown two-qubit gate: ' + gate);
+
+        const qubits = Lattice.getQubits();
+        const qa = qubits.find(q => q.id === idA);
+        const qb = qubits.find(q => q.id === idB);
+        if (!qa || !qb || qa === qb) throw new Error('Select two different qubits');
+
+        const J = Lattice.getExchange(idA, idB);
+        if (!(J > 0)) throw new Error(`Q${idA} and Q${idB} are not exchange-coupled`);
+
+        return {
+            gate, def, idA, idB, J,
+            regA: qa.regIndex, regB: qb.regIndex,
+            duration: getGateTime(gate, J)
+        };
+    }
+
+    function start(gate, idA, idB, onDone) {
+        if (current) throw new Error('A two-qubit gate is already running');
+        current = { ...resolve(gate, idA, idB), elapsed: 0, onDone };
+
+        // CNOT = H(target) · CZ · H(target)
+        if (gate === 'CNOT') QubitRegister.applyUnitary(current.regB, HADAMARD);
+        syncActive(current.regA, current.regB);
+        Lattice.setGateActive(idA, idB, 0);
+        return { duration: current.duration, J: current.J };
+    }
+
+    // The whole gate in one step (no animation)
+    function apply(gate, idA, idB) {
+        const g = resolve(gate, idA, idB);
+        if (gate === 'CNOT') QubitRegister.applyUnitary(g.regB, HADAMARD);
+        QubitRegister.applyTwoQubitUnitary(g.regA, g.regB, evolutionMatrix(g.def.hamiltonian, g.J, g.duration));
+        correct(g);
+        syncActive(g.regA, g.regB);
+        return { duration: g.duration, J: g.J };
+    }
+
+    function update(dt) {
+        if (!current) return;
+        // Abort if either qubit was removed mid-gate
+        const ids = Lattice.getQubits().map(q => q.id);
+        if (!ids.includes(current.idA) || !ids.includes(current.idB)) {
+            Lattice.setGateActive(current.idA, current.idB, null);
+            current = null;
+            return;
+        }
+
+        const step = Math.min(dt * SpinPhysics.TIME_SCALE, current.duration - current.elapsed);
+        QubitRegister.applyTwoQubitUnitary(current.regA, current.regB,
+            evolutionMatrix(current.def.hamiltonian, current.J, step));
+        current.elapsed += step;
+        Lattice.setGateActive(current.idA, current.idB, current.elapsed / current.duration);
+
+        if (current.elapsed >= current.duration) {
+            finish();
+            return;
+        }
+        syncActive(current.regA, current.regB);
+    }
+
+    // exp(−iπ/4 ZZ) = CZ up to S⊗S: undo the local phases
+    function correct(g) {
+        if (g.def.hamiltonian === 'ising') {
+            QubitRegister.applyUnitary(g.regA, S_DAGGER);
+            QubitRegister.applyUnitary(g.regB, S_DAGGER);
+        }
+        if (g.gate === 'CNOT') QubitRegister.applyUnitary(g.regB, HADAMARD);
+    }
+
+    function finish() {
+        const done = current;
+        correct(done);
+        current = null;
+        syncActive(done.regA, done.regB);
+        Lattice.setGateActive(done.idA, done.idB, null);
+        if (typeof AudioFeedback !== 'undefined') AudioFeedback.playGateTick();
+        if (done.onDone) done.onDone(done);
+    }
+
+    // SpinPhysics mirrors the active qubit: reload its reduced state if it took part
+    function syncActive(regA, regB) {
+        const active = QubitRegister.getActive();
+        if (active === regA || active === regB) {
+            SpinPhysics.setDensityMatrix(QubitRegister.getReducedDensityMatrix(active));
+        }
+    }
+
+    function isRunning() { return current !== null; }
+    function isGate(gate) { return Object.prototype.hasOwnProperty.call(GATES, gate); }
+    function getLabel(gate) { return GATES[gate] ? GATES[gate].label : gate; }
+
+    return { start, apply, update, isRunning, isGate, getGateTime, getLabel };
+})();
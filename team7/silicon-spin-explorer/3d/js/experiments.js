@@ -0,0 +1,186 @@
+/**
+ * experiments.js — Free-Evolution Coherence Experiments
+ *
+ * Runs the standard pulse sequences on a sandboxed copy of the spin and
+ * fits the decay back out of the simulated data:
+ *   Ramsey:    π/2_x ─ τ ─ π/2_x                       → T2*  (1/e of the envelope)
+ *   Hahn echo: π/2_x ─ τ/2 ─ π_y ─ τ/2 ─ π/2_x         → T2   (exponential)
+ *   CPMG-N:    π/2_x ─ τ/2N ─ (π_y ─ τ/N ─)^(N−1) π_y ─ τ/2N ─ π/2_x
+ *
+ * Noise model:
+ *   - Markovian T1/T2 from the Lindblad solver (Decoherence rates)
+ *   - Quasi-static detuning δ ~ N(0, σ²), redrawn per realization — this
+ *     is what Ramsey sees and echoes refocus. σ = √2 / T_qs is chosen so the
+ *     full Ramsey envelope exp(−τ/T2 − (τ/T_qs)²) falls to 1/e at τ = T2*
+ *   - Finite shots per delay (binomial readout noise)
+ * All noise is drawn from the seeded Random stream.
+ *
+ * Pulses are ideal and instantaneous; the drive is tuned to resonance and
+ * Ramsey uses an artificial detuning so the fringes are visible.
+ * The white Lindblad dephasing is not filtered by CPMG, so every echo
+ * variant recovers the same T2.
+ */
+
+const Experiments = (() => {
+    const POINTS = 61;
+    const REALIZATIONS = 48;   // quasi-static noise draws per delay
+    const SHOTS = 1000;        // single-shot readouts per delay
+    const RAMSEY_FRINGES = 3;  // artificial-detuning oscillations across the sweep
+
+    const TYPES = {
+        ramsey: { label: 'Ramsey', constant: 'T2*' },
+        echo: { label: 'Hahn echo', constant: 'T2' },
+        cpmg: { label: 'CPMG', constant: 'T2' }
+    };
+
+    let canvas, resultEl, typeSelect, nInput;
+    let lastResult = null;
+
+    function init() {
+        canvas = document.getElementById('experiment-canvas');
+        resultEl = document.getElementById('experiment-result');
+        typeSelect = document.getElementById('experiment-type');
+        nInput = document.getElementById('experiment-n');
+
+        const runBtn = document.getElementById('experiment-run-btn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => {
+                const type = typeSelect ? typeSelect.value : 'ramsey';
+                const n = nInput ? parseInt(nInput.value, 10) : 4;
+                lastResult = run(type, { n });
+                render(lastResult);
+            });
+        }
+        if (typeSelect && nInput) {
+            const syncN = () => { nInput.disabled = typeSelect.value !== 'cpmg'; };
+            typeSelect.addEventListener('change', syncN);
+            syncN();
+        }
+    }
+
+    // ─── Sequences ────
+    // Single realization at delay tau; returns P(|1⟩)
+    function sequence(type, tau, n, delta, deco, ramseyOffset) {
+        SpinPhysics.reset();
+        SpinPhysics.applyGate('Rx', Math.PI / 2);
+
+        if (type === 'ramsey') {
+            SpinPhysics.propagate(tau, { decoState: deco, detuningOffset: delta + ramseyOffset });
+        } else {
+            const pulses = type === 'echo' ? 1 : n;
+            const wait = t => SpinPhysics.propagate(t, { decoState: deco, detuningOffset: delta });
+            wait(tau / (2 * pulses));
+            for (let k = 0; k < pulses; k++) {
+                SpinPhysics.applyGate('Ry', Math.PI);
+                wait(k < pulses - 1 ? tau / pulses : tau / (2 * pulses));
+            }
+        }
+
+        SpinPhysics.applyGate('Rx', Math.PI / 2);
+        return SpinPhysics.getP1();
+    }
+
+    // Quasi-static noise width (rad/s) that completes the T2 decay to T2*
+    function quasiStaticSigma(deco) {
+        const residual = 1 - deco.T2star / deco.T2;
+        if (residual <= 0) return 0;
+        return Math.SQRT2 * Math.sqrt(residual) / deco.T2star;
+    }
+
+    // ─── Fit Models (u = τ / maxDelay) ────
+    // Ramsey uses a stretched exponent p (1 = Markovian, 2 = quasi-static)
+    const MODELS = {
+        ramsey: (u, [c, a, t, f, phi, p]) =>
+            c + a * Math.exp(-Math.pow(u / Math.abs(t), Math.abs(p))) * Math.cos(2 * Math.PI * f * u + phi),
+        echo: (u, [c, a, t]) => c + a * Math.exp(-u / t)
+    };
+
+    // Run a delay sweep. Options: n (CPMG pulses), points, maxDelay (s).
+    function run(type, { n = 4, points = POINTS, maxDelay } = {}) {
+        if (!TYPES[type]) throw new Error('Unknown experiment: ' + type);
+        n = Math.max(1, Math.min(64, n || 1));
+
+        const deco = Decoherence.getState();
+        const analytic = type === 'ramsey' ? deco.T2star : deco.T2;
+        maxDelay = maxDelay || (type === 'ramsey' ? 2.5 : 3) * analytic;
+        const sigma = quasiStaticSigma(deco);
+        const ramseyOffset = 2 * Math.PI * RAMSEY_FRINGES / maxDelay;
+
+        const delays = [];
+        const p1 = [];
+        SpinPhysics.sandbox(() => {
+            SpinPhysics.tuneToResonance();
+            for (let i = 0; i < points; i++) {
+                const tau = maxDelay * i / (points - 1);
+                let mean = 0;
+                for (let r = 0; r < REALIZATIONS; r++) {
+                    mean += sequence(type, tau, n, sigma * Random.gaussian(), deco, ramseyOffset) / REALIZATIONS;
+                }
+                delays.push(tau);
+                p1.push(Random.binomial(SHOTS, Math.min(1, Math.max(0, mean))) / SHOTS);
+            }
+        });
+
+        // Fit in units of the sweep length
+        const us = delays.map(t => t / maxDelay);
+        const fit = type === 'ramsey'
+            ? Fitting.curveFit(MODELS.ramsey, us, p1, [0.5, 0.5, 0.4, RAMSEY_FRINGES, 0, 2])
+            : Fitting.curveFit(MODELS.echo, us, p1, [0.5, 0.5, 0.33]);
+        const model = type === 'ramsey' ? MODELS.ramsey : MODELS.echo;
+        const fitted = Math.abs(fit.params[2]) * maxDelay;
+
+        return {
+            type, n: type === 'cpmg' ? n : type === 'echo' ? 1 : 0,
+            label: type === 'cpmg' ? `CPMG-${n}` : TYPES[type].label,
+            constant: TYPES[type].constant,
+            delays, p1,
+            fitCurve: us.map(u => model(u, fit.params)),
+            fitParams: fit.params,
+            rmse: fit.rmse,
+            fitted,
+            analytic,
+            relativeError: (fitted - analytic) / analytic,
+            maxDelay,
+            temperature: deco.temperature
+        };
+    }
+
+    // ─── Rendering ────
+    // Pick a display unit for the delay axis
+    function timeUnit(t) {
+        if (t < 1e-6) return { scale: 1e9, label: 'ns' };
+        if (t < 1e-3) return { scale: 1e6, label: 'μs' };
+        if (t < 1) return { scale: 1e3, label: 'ms' };
+        return { scale: 1, label: 's' };
+    }
+
+    function render(result) {
+        if (!result) return;
+        const unit = timeUnit(result.maxDelay);
+        const xs = result.delays.map(t => t * unit.scale);
+
+        Plot.xy(canvas, {
+            series: [
+                { x: xs, y: result.p1, mode: 'points', color: '#1a73e8', label: result.label },
+                { x: xs, y: result.fitCurve, mode: 'line', color: '#ea4335', label: 'fit' }
+            ],
+            xRange: [0, result.maxDelay * unit.scale],
+            yRange: [0, 1],
+            xLabel: `τ (${unit.label}) →`,
+            yLabel: 'P(|1⟩)'
+        });
+
+        if (!resultEl) return;
+        const err = (result.relativeError * 100).toFixed(1);
+        UI.showRows(resultEl, [
+            [`${result.constant} (fit):`, Decoherence.formatTime(result.fitted)],
+            [`${result.constant} (analytic):`, Decoherence.formatTime(result.analytic)],
+            ['Deviation:', `${result.relativeError >= 0 ? '+' : ''}${err}%`],
+            ['Fit RMSE:', result.rmse.toFixed(4)]
+        ]);
+    }
+
+    function getLastResult() { return lastResult; }
+
+    return { init, run, render, getLastResult, TYPES };
+})();
@@ -0,0 +1,96 @@
+/**
+ * fitting.js — Least-Squares Curve Fitting
+ *
+ * Derivative-free Nelder–Mead simplex minimizer, plus a least-squares
+ * wrapper for fitting model curves to simulated data:
+ *   curveFit(model, xs, ys, p0) minimizes Σ (y_i − model(x_i, p))²
+ * nelderMeadSteps is the same search as a generator that yields the best
+ * vertex after every iteration, for callers that animate convergence.
+ *
+ * Fits are best conditioned when x and the parameters are O(1), so callers
+ * rescale their axes (e.g. delay / maxDelay) before fitting.
+ */
+
+const Fitting = (() => {
+    // ─── Nelder–Mead Simplex ────
+    // Yields { x, fx, iteration } per iteration; returns { x, fx, iterations }
+    function* nelderMeadSteps(f, x0, { maxIterations = 2000, tolerance = 1e-10, step = 0.1 } = {}) {
+        const n = x0.length;
+        let simplex = [x0.slice()];
+        for (let i = 0; i < n; i++) {
+            const x = x0.slice();
+            x[i] += x[i] !== 0 ? step * Math.abs(x[i]) : step;
+            simplex.push(x);
+        }
+        let values = simplex.map(f);
+
+        let iterations = 0;
+        for (; iterations < maxIterations; iterations++) {
+            // Order vertices best → worst
+            const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+            if (Math.abs(values[n] - values[0]) <= tolerance * (Math.abs(values[0]) + tolerance)) break;
+
+            // Centroid of all but the worst vertex
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+            }
+            const along = t => centroid.map((c, j) => c + t * (simplex[n][j] - c));
+
+            const reflected = along(-1);
+            const fr = f(reflected);
+            if (fr < values[0]) {
+                const expanded = along(-2);
+                const fe = f(expanded);
+                if (fe < fr) { simplex[n] = expanded; values[n] = fe; }
+                else { simplex[n] = reflected; values[n] = fr; }
+            } else if (fr < values[n - 1]) {
+                simplex[n] = reflected; values[n] = fr;
+            } else {
+                // Contract toward the better of the worst and reflected points
+                const contracted = fr < values[n] ? along(-0.5) : along(0.5);
+                const fc = f(contracted);
+                if (fc < Math.min(fr, values[n])) {
+                    simplex[n] = contracted; values[n] = fc;
+                } else {
+                    // Shrink everything toward the best vertex
+                    for (let i = 1; i <= n; i++) {
+                        simplex[i] = simplex[i].map((x, j) => simplex[0][j] + 0.5 * (x - simplex[0][j]));
+                        values[i] = f(simplex[i]);
+                    }
+                }
+            }
+
+            const best = values.indexOf(Math.min(...values));
+            yield { x: simplex[best].slice(), fx: values[best], iteration: iterations + 1 };
+        }
+
+        const best = values.indexOf(Math.min(...values));
+        return { x: simplex[best], fx: values[best], iterations };
+    }
+
+    function nelderMead(f, x0, options) {
+        const steps = nelderMeadSteps(f, x0, options);
+        let step;
+        do step = steps.next(); while (!step.done);
+        return step.value;
+    }
+
+    // ─── Least Squares ────
+    function curveFit(model, xs, ys, p0, options) {
+        const sse = p => {
+            let s = 0;
+            for (let i = 0; i < xs.length; i++) {
+                const r = ys[i] - model(xs[i], p);
+                s += r * r;
+            }
+            return Number.isFinite(s) ? s : Infinity;
+        };
+        const { x, fx, iterations } = nelderMead(sse, p0, options);
+        return { params: x, sse: fx, rmse: Math.sqrt(fx / xs.length), iterations };
+    }
+
+    return { nelderMead, nelderMeadSteps, curveFit };
+})();
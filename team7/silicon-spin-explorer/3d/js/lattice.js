@@ -4,8 +4,10 @@
  * FULLY INTERACTIVE:
  *   - Tiny dot-like atoms that visibly vibrate with temperature
  *   - Thermal vibration amplitude scales with kBT (physics-accurate)
- *   - Qubit markers pulse, precess, and change color with spin state
- *   - Exchange coupling lines animate between neighboring qubits
+ *   - Qubit markers pulse, precess, and change color with their own spin state
+ *     (one QubitRegister slot per marker; click a marker to drive it)
+ *   - Exchange coupling lines J(d) = J_MAX · exp(−d / INTERACTION_DECAY) animate
+ *     between neighboring qubits and glow while a two-qubit gate runs
  *   - B-field affects qubit precession speed
  *   - Gate voltages affect local potential landscape visually
  */
@@ -17,6 +19,7 @@ const Lattice = (() => {
     const FALLOFF_RADIUS = 5.5;
     const QUBIT_RADIUS = 0.24;
     const INTERACTION_DECAY = 2.5;
+    const J_MAX = 10e6; // Hz, exchange at zero separation
 
     let group;
     const atoms = []; // individual meshes for animation
@@ -37,10 +40,15 @@ const Lattice = (() => {
     const QUBIT_COLOR_1 = new THREE.Color(0xff1744); // |1⟩ hot red/magenta
     const QUBIT_GLOW_COLOR = new THREE.Color(0x69f0ae); // green glow
     const INTERACTION_COLOR = new THREE.Color(0x40c4ff);
+    const GATE_COLOR = new THREE.Color(0xfbbc04);
 
     let scene_ref;
     let currentDecoState = null;
 
+    // Two-qubit gate selection & execution
+    let partnerId = null;
+    let gatePair = null; // { idA, idB, progress } while a gate runs
+
     // Shared geometries/materials for atoms
     let atomGeo, bondGeo;
 
@@ -192,6 +200,11 @@ const Lattice = (() => {
     // ─── Qubit Management ────
     function addQubit(position) {
         if (!scene_ref) return null;
+        const regIndex = QubitRegister.allocate();
+        if (regIndex === null) {
+            console.warn(`[Lattice] Register full (${QubitRegister.MAX_QUBITS} qubits)`);
+            return null;
+        }
         const id = qubitIdCounter++;
 
         // Qubit core — bright sphere
@@ -247,7 +260,7 @@ const Lattice = (() => {
         group.add(arrow);
 
         const qubit = {
-            id, position: position.clone(),
+            id, regIndex, position: position.clone(),
             marker, halo, glow, arrow,
             phase: Math.random() * Math.PI * 2,
             spinAngle: 0 // precession angle
@@ -268,10 +281,88 @@ const Lattice = (() => {
         q.glow.geometry.dispose(); q.glow.material.dispose();
         q.arrow.geometry.dispose(); q.arrow.material.dispose();
         qubits.splice(idx, 1);
+        QubitRegister.release(q.regIndex);
+        if (partnerId === id) partnerId = null;
+        if (q.regIndex === QubitRegister.getActive() && qubits.length > 0) {
+            setActiveQubit(qubits[0].id);
+        }
         rebuildInteractions();
         return true;
     }
 
+    // ─── Qubit Selection & Measurement ────
+    // The active qubit is driven by SpinPhysics (pulses, gates, decoherence).
+    // The one it replaces keeps its decohered state in the register.
+    function setActiveQubit(id) {
+        const q = qubits.find(q => q.id === id);
+        if (!q) return false;
+        const previous = QubitRegister.getActive();
+        if (previous !== q.regIndex) QubitRegister.keepDensityMatrix(previous, SpinPhysics.getDensityMatrix());
+        const rho = QubitRegister.getDensityMatrix(q.regIndex);
+        QubitRegister.setActive(q.regIndex);
+        SpinPhysics.setDensityMatrix(rho);
+        return true;
+    }
+
+    function getActiveQubit() {
+        return qubits.find(q => q.regIndex === QubitRegister.getActive()) || null;
+    }
+
+    // Partner qubit for two-qubit gates (the active qubit is the control)
+    function setPartnerQubit(id) {
+        partnerId = qubits.some(q => q.id === id) ? id : null;
+        return partnerId !== null;
+    }
+
+    function getPartnerQubit() {
+        return qubits.find(q => q.id === partnerId) || null;
+    }
+
+    // ─── Exchange Coupling ────
+    function isPair(line, idA, idB) {
+        return (line._idA === idA && line._idB === idB) || (line._idA === idB && line._idB === idA);
+    }
+
+    // Exchange J (Hz) between two qubits, 0 if they are not coupled
+    function getExchange(idA, idB) {
+        const line = interactionLines.find(l => isPair(l, idA, idB));
+        return line ? line._J : 0;
+    }
+
+    // progress ∈ [0, 1] while a gate runs on the pair, null when it ends
+    function setGateActive(idA, idB, progress) {
+        gatePair = progress === null ? null : { idA, idB, progress };
+    }
+
+    function pickQubit(raycaster) {
+        const hits = raycaster.intersectObjects(qubits.map(q => q.marker));
+        if (hits.length === 0) return null;
+        const q = qubits.find(q => q.marker === hits[0].object);
+        return q ? q.id : null;
+    }
+
+    function measureQubit(id) {
+        const q = qubits.find(q => q.id === id);
+        if (!q) return null;
+        // The active qubit is measured through SpinPhysics so both stay in sync
+        if (q.regIndex === QubitRegister.getActive()) return SpinPhysics.measure();
+        const spin = QubitRegister.measure(q.regIndex);
+        const ro = Readout.readSpin(spin);
+        if (ro.finalSpin !== spin) QubitRegister.collapse(q.regIndex, ro.finalSpin);
+        return ro.outcome;
+    }
+
+    function measureAll() {
+        return qubits.map(q => ({ id: q.id, result: measureQubit(q.id) }));
+    }
+
+    // Bloch vector of a lattice qubit, decoherence included (for the others,
+    // what they picked up while they were active)
+    function getQubitBloch(q) {
+        if (q.regIndex === QubitRegister.getActive()) return SpinPhysics.getBlochVector();
+        return QubitRegister.getBlochVector(q.regIndex);
+    }
+
     function removeLastQubit() {
         if (qubits.length === 0) return false;
         return removeQubit(qubits[qubits.length - 1].id);
@@ -281,7 +372,7 @@ const Lattice = (() => {
         const occupied = new Set(qubits.map(q => `${q.position.x.toFixed(1)},${q.position.z.toFixed(1)}`));
         const available = QUBIT_SITES.filter(s => !occupied.has(`${s.x.toFixed(1)},${s.z.toFixed(1)}`));
         if (available.length === 0) return null;
-        const site = available[Math.floor(Math.random() * available.length)];
+        const site = available[Random.int(available.length)];
         return addQubit(site);
     }
 
@@ -326,6 +417,9 @@ const Lattice = (() => {
                     tube._strength = strength;
                     tube._qi = i;
                     tube._qj = j;
+                    tube._idA = qubits[i].id;
+                    tube._idB = qubits[j].id;
+                    tube._J = J_MAX * strength;
                     interactionGroup.add(tube);
                     interactionLines.push(tube);
                 }
@@ -374,12 +468,18 @@ const Lattice = (() => {
         // ────────────────────────────────────────────────
         // QUBIT MARKERS — respond to spin state & temperature
         // ────────────────────────────────────────────────
-        const spinState = typeof SpinPhysics !== 'undefined' ? SpinPhysics.getState() : null;
-        const p1 = spinState ? spinState.probUp : 0;
-        const theta = spinState ? spinState.theta : 0;
-        const phi = spinState ? spinState.phi : 0;
+        const activeIndex = QubitRegister.getActive();
+        const larmorGHz = typeof SpinPhysics !== 'undefined' ? SpinPhysics.getLarmorGHz() : 28;
+        const p1ById = new Map();
 
         for (const q of qubits) {
+            // ── Own reduced spin state from the register ──
+            const bloch = getQubitBloch(q);
+            const p1 = (1 - bloch.z) / 2;
+            const theta = Math.atan2(Math.sqrt(bloch.x * bloch.x + bloch.y * bloch.y), bloch.z);
+            const isActive = q.regIndex === activeIndex;
+            p1ById.set(q.id, p1);
+
             // ── Spin-state color blend (|0⟩ blue → |1⟩ red) ──
             const c = new THREE.Color();
             c.lerpColors(QUBIT_COLOR_0, QUBIT_COLOR_1, p1);
@@ -388,7 +488,6 @@ const Lattice = (() => {
 
             // ── Precession animation ──
             // Qubits precess around z-axis at Larmor frequency (visible rotation)
-            const larmorGHz = typeof SpinPhysics !== 'undefined' ? SpinPhysics.getLarmorGHz() : 28;
             // Map to visible speed: scale down enormously but keep proportional
             const precessionSpeed = larmorGHz * 0.08;
             q.spinAngle += dt * precessionSpeed;
@@ -403,12 +502,14 @@ const Lattice = (() => {
 
             // ── Pulse/breathing ──
             const pulse = 1 + Math.sin(elapsed * 2.5 + q.id * 0.7) * 0.08;
+            const isPartner = q.id === partnerId;
             q.marker.scale.setScalar(pulse);
-            q.halo.scale.setScalar(pulse * 1.15);
+            q.halo.scale.setScalar(pulse * (isActive || isPartner ? 1.5 : 1.15));
+            q.halo.material.color.copy(isPartner ? INTERACTION_COLOR : QUBIT_GLOW_COLOR);
 
-            // ── Halo brightness responds to coherence ──
-            const coherenceFactor = decoState ? Math.max(0.05, 1 - decoState.noiseLevel) : 1;
-            q.halo.material.opacity = 0.12 * coherenceFactor + Math.sin(elapsed * 3 + q.id) * 0.04;
+            // ── Halo brightness responds to coherence (and entanglement via |r|) ──
+            const coherenceFactor = (decoState ? Math.max(0.05, 1 - decoState.noiseLevel) : 1) * Math.max(0.2, bloch.length);
+            q.halo.material.opacity = (isActive || isPartner ? 0.25 : 0.12) * coherenceFactor + Math.sin(elapsed * 3 + q.id) * 0.04;
             q.glow.material.opacity = 0.04 * coherenceFactor;
 
             // ── Emissive intensity changes with temperature ──
@@ -448,15 +549,22 @@ const Lattice = (() => {
         // ────────────────────────────────────────────────
         for (const line of interactionLines) {
             const s = line._strength || 0.5;
+
+            // Gate in progress: bright, fast-pulsing tube
+            if (gatePair && isPair(line, gatePair.idA, gatePair.idB)) {
+                line.material.opacity = 0.6 + Math.sin(elapsed * 14 - gatePair.progress * 20) * 0.3;
+                line.material.color.copy(GATE_COLOR);
+                continue;
+            }
+
             // Pulsing opacity
             line.material.opacity = s * (0.25 + Math.sin(elapsed * 4 + line._qi * 0.5) * 0.15);
 
-            // Color shifts with spin state
-            if (p1 > 0.01) {
-                const lineColor = new THREE.Color();
-                lineColor.lerpColors(INTERACTION_COLOR, new THREE.Color(0xff4081), p1 * 0.5);
-                line.material.color.copy(lineColor);
-            }
+            // Color shifts with the spin states of both ends
+            const p1 = ((p1ById.get(line._idA) || 0) + (p1ById.get(line._idB) || 0)) / 2;
+            const lineColor = new THREE.Color();
+            lineColor.lerpColors(INTERACTION_COLOR, new THREE.Color(0xff4081), p1 * 0.5);
+            line.material.color.copy(lineColor);
         }
 
         // ── Substrate responds to temperature ──
@@ -484,6 +592,8 @@ const Lattice = (() => {
     return {
         init, update, showQuantumDot,
         addQubit, removeQubit, removeLastQubit, addQubitAtRandomSite,
-        getQubits, getQubitCount, rebuildInteractions
+        getQubits, getQubitCount, rebuildInteractions,
+        setActiveQubit, getActiveQubit, setPartnerQubit, getPartnerQubit, pickQubit,
+        measureQubit, measureAll, getExchange, setGateActive
     };
 })();
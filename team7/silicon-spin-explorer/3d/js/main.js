@@ -15,6 +15,7 @@
     // Orbit controls
     let isDragging = false;
     let prevMouse = { x: 0, y: 0 };
+    let downMouse = { x: 0, y: 0 };
     let cameraTheta = Math.PI * 0.25;
     let cameraPhi = Math.PI * 0.35;
     let cameraRadius = 20;
@@ -85,6 +86,7 @@
         try { Lattice.init(scene); } catch (e) { console.error('Lattice init:', e); }
         try { QuantumDot.init(scene); } catch (e) { console.error('QuantumDot init:', e); }
         try { UI.init(); } catch (e) { console.error('UI init:', e); }
+        try { BlochSphere.init(); } catch (e) { console.error('BlochSphere init:', e); }
 
         setupEvents(container);
         wireQubitToolbar();
@@ -106,6 +108,26 @@
         container.addEventListener('mousedown', e => {
             isDragging = true;
             prevMouse = { x: e.clientX, y: e.clientY };
+            downMouse = { x: e.clientX, y: e.clientY };
+        });
+
+        // Click (without dragging) on a qubit marker selects it as the active qubit;
+        // shift-click selects the partner for two-qubit gates
+        container.addEventListener('mouseup', e => {
+            if (Math.hypot(e.clientX - downMouse.x, e.clientY - downMouse.y) > 4) return;
+            const rect = container.getBoundingClientRect();
+            const ndc = new THREE.Vector2(
+                ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                -((e.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            const raycaster = new THREE.Raycaster();
+            raycaster.setFromCamera(ndc, camera);
+            const id = Lattice.pickQubit(raycaster);
+            if (id === null) return;
+            if (e.shiftKey) Lattice.setPartnerQubit(id);
+            else Lattice.setActiveQubit(id);
+            updateActiveQubitLabel();
+            try { QuantumComputing.updateDisplay(); } catch (err) { }
         });
         window.addEventListener('mousemove', e => {
             if (cursorGlow) {
@@ -169,24 +191,57 @@
         }
     };
 
+    // HUD label and the composer's wires (one per qubit, active marked)
+    function updateActiveQubitLabel() {
+        const el = document.getElementById('hud-active-qubit');
+        const q = Lattice.getActiveQubit();
+        const p = Lattice.getPartnerQubit();
+        if (el) el.textContent = (q ? `Active qubit: Q${q.id}` : 'No active qubit') + (p ? ` ↔ Q${p.id}` : '');
+        Composer.render();
+    }
+
+    // Per-qubit outcomes of Measure All, e.g. "Measured: Q0=1 Q1=0"
+    function showMeasurement(results) {
+        const el = document.getElementById('hud-measurement');
+        if (!el) return;
+        el.textContent = results.length
+            ? 'Measured: ' + results.map(r => `Q${r.id}=${r.result}`).join(' ')
+            : 'No qubits to measure';
+        el.classList.remove('hidden');
+    }
+
     // Qubit toolbar wiring
     function wireQubitToolbar() {
         const addBtn = document.getElementById('btn-add-qubit');
         const delBtn = document.getElementById('btn-delete-qubit');
+        const measureBtn = document.getElementById('btn-measure-qubits');
         const countNum = document.getElementById('qubit-count-num');
 
         if (addBtn) {
             addBtn.addEventListener('click', () => {
                 Lattice.addQubitAtRandomSite();
                 if (countNum) countNum.textContent = Lattice.getQubitCount();
+                updateActiveQubitLabel();
             });
         }
         if (delBtn) {
             delBtn.addEventListener('click', () => {
                 Lattice.removeLastQubit();
                 if (countNum) countNum.textContent = Lattice.getQubitCount();
+                updateActiveQubitLabel();
+            });
+        }
+        if (measureBtn) {
+            measureBtn.addEventListener('click', () => {
+                const results = Lattice.measureAll();
+                showMeasurement(results);
+                try {
+                    QuantumComputing.logMeasureAll(results);
+                    QuantumComputing.updateDisplay();
+                } catch (err) { }
             });
         }
+        updateActiveQubitLabel();
     }
 
     // Hand Tracking wiring
@@ -281,12 +336,14 @@
 
         try {
             const isPulsing = PulseController.getIsPulsing();
-            SpinPhysics.evolve(dt, isPulsing);
-            SpinPhysics.applyDecoherence(dt, decoState);
+            SpinPhysics.evolve(dt, isPulsing, decoState);
+            Exchange.update(dt);
             PulseController.update(dt);
+            Sequencer.update();
         } catch (e) { }
 
         try { UI.updateReadouts(); } catch (e) { }
+        try { BlochSphere.update(dt); } catch (e) { }
 
         // Audio feedback
         if (typeof AudioFeedback !== 'undefined' && AudioFeedback.isEnabled()) {
@@ -0,0 +1,324 @@
+/**
+ * permalink.js — Shareable Session Links & Save Slots
+ *
+ * Packs the lab into one compact string: the circuit (composer text with
+ * its θ bindings and any custom gates it uses), gate voltages, temperature,
+ * B-field, microwave drive, the unlocked stage and the random seed.
+ *
+ *   state → JSON → UTF-8 → base64url  →  #s=…  (URL fragment)
+ *
+ * Opening a link with #s=… restores the page on load (or when the fragment
+ * changes in place). The same encoded strings are kept in localStorage as
+ * named save slots. Restoring re-seeds Random before re-running the
+ * circuit, so everyone who opens a link sees the same measurement outcomes.
+ *
+ * Restoring is all or nothing: the gates, circuit and bindings are checked
+ * and parsed before anything on the page changes, and a link whose custom
+ * gate has the name of a different gate already defined here is refused.
+ * Errors show in the session menu.
+ */
+
+const Permalink = (() => {
+    const VERSION = 1;
+    const HASH_KEY = 's';
+    const STORAGE_KEY = 'silicon-pulse.slots';
+
+    // Slider id → state key; restored through their 'input' handlers in ui.js
+    const SLIDERS = {
+        vl: 'slider-vl', vc: 'slider-vc', vr: 'slider-vr',
+        temp: 'slider-temp', b: 'slider-bfield',
+        freq: 'slider-drive-freq', phase: 'slider-drive-phase', amp: 'slider-drive-amp'
+    };
+
+    let shareBtn, menu, linkInput, nameInput, slotList, errorEl;
+
+    function init() {
+        shareBtn = document.getElementById('header-share');
+        menu = document.getElementById('session-menu');
+        linkInput = document.getElementById('session-link');
+        nameInput = document.getElementById('session-name');
+        slotList = document.getElementById('session-slots');
+        errorEl = document.getElementById('session-error');
+
+        if (shareBtn && menu) {
+            shareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const open = menu.classList.toggle('hidden') === false;
+                if (open) showMenu();
+            });
+            menu.addEventListener('click', e => e.stopPropagation());
+            document.addEventListener('click', () => menu.classList.add('hidden'));
+        }
+
+        const copyBtn = document.getElementById('session-copy');
+        if (copyBtn) copyBtn.addEventListener('click', copyLink);
+
+        const saveBtn = document.getElementById('session-save');
+        if (saveBtn) saveBtn.addEventListener('click', () => guarded(() => {
+            save(nameInput ? nameInput.value : '');
+            if (nameInput) nameInput.value = '';
+            renderSlots();
+        }));
+        if (nameInput) {
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') saveBtn.click();
+            });
+        }
+
+        restoreFromHash();
+        window.addEventListener('hashchange', restoreFromHash);
+    }
+
+    // ─── State ────
+    function capture() {
+        const ops = Composer.getCircuit();
+        const state = { v: VERSION, c: Composer.toText(ops) };
+
+        // Only the bindings and custom gates the circuit refers to
+        const symbols = new Set(ops.filter(op => op.symbol).map(op => op.symbol));
+        if (symbols.size) {
+            state.p = {};
+            for (const symbol of symbols) state.p[symbol] = Composer.getParameter(symbol);
+        }
+        const names = new Set(ops.filter(op => op.type === 'gate').map(op => op.name));
+        const gates = SpinPhysics.getRegisteredGates().filter(g => names.has(g.name));
+        if (gates.length) {
+            state.g = gates.map(g => [g.name, g.matrix.flat().flatMap(z => [z.re, z.im])]);
+        }
+
+        for (const [key, id] of Object.entries(SLIDERS)) {
+            const slider = document.getElementById(id);
+            if (slider) state[key] = parseFloat(slider.value);
+        }
+        state.stage = StageManager.getCurrent();
+        state.seed = Random.getSeed();
+        return state;
+    }
+
+    function restore(state) {
+        const { gates, ops, bindings } = prepare(state);
+
+        if (state.seed != null) Random.setSeed(state.seed);
+
+        for (const [key, id] of Object.entries(SLIDERS)) {
+            const slider = document.getElementById(id);
+            if (!slider || !Number.isFinite(state[key])) continue;
+            slider.value = state[key];
+            slider.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        if (Number.isInteger(state.stage) && state.stage > 1) UI.restoreStage(state.stage);
+
+        if (gates.length) QuantumComputing.renderCustomGates();
+
+        // bind() re-runs the restored circuit from |0⟩ and rewrites the text box
+        Composer.setCircuit(ops);
+        Composer.bind(bindings);
+    }
+
+    // Check the whole state and parse its circuit; throws, leaving the page
+    // as it was, unless everything is valid. The link's custom gates are
+    // registered on success (Hamiltonian gates come back as their matrix —
+    // same unitary).
+    function prepare(state) {
+        if (!state || typeof state !== 'object' || state.v !== VERSION) throw new Error('Unsupported permalink version');
+        if (state.seed != null && !['string', 'number'].includes(typeof state.seed)) throw new Error('Invalid seed');
+        if (state.c != null && typeof state.c !== 'string') throw new Error('Invalid circuit');
+
+        const bindings = state.p || {};
+        if (typeof bindings !== 'object' || Array.isArray(bindings)) throw new Error('Invalid parameter bindings');
+        for (const [symbol, value] of Object.entries(bindings)) {
+            if (Composer.parameterSymbol(symbol) !== symbol || !Number.isFinite(value)) {
+                throw new Error(`Invalid binding for "${symbol}"`);
+            }
+        }
+
+        // Gates already defined here with the same matrix are reused
+        const existing = new Map(SpinPhysics.getRegisteredGates().map(g => [g.name, g.matrix]));
+        const gates = [];
+        if (state.g != null && !Array.isArray(state.g)) throw new Error('Invalid custom gates');
+        for (const gate of state.g || []) {
+            const [name, entries] = Array.isArray(gate) ? gate : [];
+            if (typeof name !== 'string' || !Array.isArray(entries) || entries.length !== 8 || !entries.every(Number.isFinite)) {
+                throw new Error('Invalid custom gate');
+            }
+            const z = k => ({ re: entries[2 * k], im: entries[2 * k + 1] });
+            const matrix = [[z(0), z(1)], [z(2), z(3)]];
+            if (!existing.has(name)) {
+                gates.push({ name, matrix });
+            } else if (!sameMatrix(existing.get(name), matrix)) {
+                throw new Error(`This session defines gate "${name}" differently from your gate of that name; rename yours first`);
+            }
+        }
+
+        // Parse with the link's gates known; take them back out on failure
+        const added = [];
+        try {
+            for (const { name, matrix } of gates) {
+                SpinPhysics.registerGate(name, { matrix });
+                added.push(name);
+            }
+            const ops = state.c ? QuantumComputing.parseCircuit(state.c) : [];
+            return { gates, ops, bindings };
+        } catch (e) {
+            added.forEach(name => SpinPhysics.unregisterGate(name));
+            throw e;
+        }
+    }
+
+    function sameMatrix(a, b) {
+        return [0, 1].every(i => [0, 1].every(j =>
+            Math.abs(a[i][j].re - b[i][j].re) < 1e-9 && Math.abs(a[i][j].im - b[i][j].im) < 1e-9));
+    }
+
+    // ─── Encoding ────
+    function encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        for (const b of bytes) binary += String.fromCharCode(b);
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decode(text) {
+        try {
+            const binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new Error('Not a valid permalink');
+        }
+    }
+
+    function link(state = capture()) {
+        const url = new URL(window.location.href);
+        url.hash = `${HASH_KEY}=${encode(state)}`;
+        return url.toString();
+    }
+
+    function restoreFromHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const code = params.get(HASH_KEY);
+        if (!code) return;
+        try {
+            restore(decode(code));
+        } catch (e) {
+            if (menu) {
+                menu.classList.remove('hidden');
+                showMenu();
+            }
+            showError(`This link could not be opened: ${e.message}`);
+        }
+    }
+
+    // ─── Save Slots ────
+    // localStorage[STORAGE_KEY] = { name: { code, saved } }, code as in #s=…
+    function readSlots() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function writeSlots(slots) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(slots));
+        } catch (e) {
+            throw new Error('Browser storage is unavailable');
+        }
+    }
+
+    function save(name) {
+        name = String(name).trim();
+        if (!name) throw new Error('Name the save slot');
+        const slots = readSlots();
+        slots[name] = { code: encode(capture()), saved: Date.now() };
+        writeSlots(slots);
+    }
+
+    function load(name) {
+        const slot = readSlots()[name];
+        if (!slot) throw new Error(`No save slot "${name}"`);
+        restore(decode(slot.code));
+    }
+
+    function remove(name) {
+        const slots = readSlots();
+        if (!(name in slots)) return false;
+        delete slots[name];
+        writeSlots(slots);
+        return true;
+    }
+
+    function listSlots() {
+        return Object.entries(readSlots())
+            .map(([name, slot]) => ({ name, saved: slot.saved }))
+            .sort((a, b) => b.saved - a.saved);
+    }
+
+    // ─── Menu ────
+    function showMenu() {
+        if (linkInput) linkInput.value = link();
+        showError('');
+        renderSlots();
+    }
+
+    function copyLink() {
+        const url = link();
+        if (linkInput) {
+            linkInput.value = url;
+            linkInput.select();
+        }
+        window.history.replaceState(null, '', url);
+        if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => { });
+    }
+
+    function renderSlots() {
+        if (!slotList) return;
+        slotList.innerHTML = '';
+        const slots = listSlots();
+        if (!slots.length) {
+            slotList.innerHTML = '<li class="session-empty">No saved sessions</li>';
+            return;
+        }
+        for (const { name, saved } of slots) {
+            const li = document.createElement('li');
+            li.className = 'session-slot';
+
+            const loadBtn = document.createElement('button');
+            loadBtn.className = 'session-slot-load';
+            loadBtn.textContent = name;
+            loadBtn.title = 'Saved ' + new Date(saved).toLocaleString();
+            loadBtn.addEventListener('click', () => guarded(() => {
+                load(name);
+                menu.classList.add('hidden');
+            }));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'session-slot-delete';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Delete';
+            deleteBtn.addEventListener('click', () => guarded(() => {
+                remove(name);
+                renderSlots();
+            }));
+
+            li.append(loadBtn, deleteBtn);
+            slotList.appendChild(li);
+        }
+    }
+
+    function guarded(fn) {
+        try {
+            fn();
+            showError('');
+        } catch (e) {
+            showError(e.message);
+        }
+    }
+
+    function showError(message) {
+        if (errorEl) errorEl.textContent = message;
+    }
+
+    return { init, capture, restore, encode, decode, link, save, load, remove, listSlots };
+})();
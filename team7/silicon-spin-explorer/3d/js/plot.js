@@ -0,0 +1,285 @@
+/**
+ * plot.js — Lightweight 2D Canvas Plots
+ *
+ * Shared by the experiment panels. Canvases are drawn at 2× for HiDPI,
+ * in the same palette as the potential-well plot:
+ *   xy(canvas, { series, ... })   — scatter points and line curves with axes
+ *   heatmap(canvas, { grid, ... }) — 2D maps (P(|1⟩) sweeps) with a colorbar
+ *   bars(canvas, { bars, ... })    — categorical histograms with error bars
+ *
+ * Canvases that are not laid out yet (hidden stage) are skipped; callers
+ * redraw when their panel is used.
+ */
+
+const Plot = (() => {
+    const MARGIN = { left: 40, right: 10, top: 10, bottom: 26 };
+    const HEATMAP_MARGIN = { left: 44, right: 34, top: 10, bottom: 26 };
+    const COLORS = ['#1a73e8', '#ea4335', '#34a853', '#fbbc04', '#9334e6'];
+
+    // Size the backing store to the laid-out size and return a 1× context
+    function setup(canvas) {
+        if (!canvas) return null;
+        const w = canvas.offsetWidth;
+        const h = canvas.offsetHeight;
+        if (w <= 0 || h <= 0) return null;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+        canvas.width = w * 2;
+        canvas.height = h * 2;
+        ctx.setTransform(2, 0, 0, 2, 0, 0);
+        return { ctx, w, h };
+    }
+
+    // 1-2-5 spaced ticks covering [min, max]
+    function niceTicks(min, max, count = 5) {
+        const span = max - min;
+        if (!(span > 0)) return [min];
+        const raw = span / count;
+        const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+        const ticks = [];
+        for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+            ticks.push(Math.abs(t) < step * 1e-9 ? 0 : t);
+        }
+        return ticks;
+    }
+
+    function extent(values) {
+        let min = Infinity, max = -Infinity;
+        for (const v of values) {
+            if (!Number.isFinite(v)) continue;
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (min === Infinity) return [0, 1];
+        if (min === max) return [min - 0.5, max + 0.5];
+        return [min, max];
+    }
+
+    // Background, grid, ticks and labels; returns data → pixel mappers
+    function drawFrame(ctx, w, h, { xRange, yRange, xLabel = '', yLabel = '', xFormat, yFormat }, m = MARGIN) {
+        const plotW = w - m.left - m.right;
+        const plotH = h - m.top - m.bottom;
+        const px = x => m.left + (x - xRange[0]) / (xRange[1] - xRange[0]) * plotW;
+        const py = y => m.top + (1 - (y - yRange[0]) / (yRange[1] - yRange[0])) * plotH;
+        const fmt = f => f || (v => +v.toPrecision(3) + '');
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.lineWidth = 0.5;
+        ctx.strokeStyle = '#e8eaed';
+        ctx.fillStyle = '#5f6368';
+
+        ctx.textAlign = 'center';
+        for (const t of niceTicks(xRange[0], xRange[1])) {
+            const x = px(t);
+            ctx.beginPath(); ctx.moveTo(x, m.top); ctx.lineTo(x, m.top + plotH); ctx.stroke();
+            ctx.fillText(fmt(xFormat)(t), x, m.top + plotH + 11);
+        }
+        ctx.textAlign = 'right';
+        for (const t of niceTicks(yRange[0], yRange[1], 4)) {
+            const y = py(t);
+            ctx.beginPath(); ctx.moveTo(m.left, y); ctx.lineTo(m.left + plotW, y); ctx.stroke();
+            ctx.fillText(fmt(yFormat)(t), m.left - 4, y + 3);
+        }
+
+        ctx.strokeStyle = '#bdc1c6';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(m.left, m.top, plotW, plotH);
+
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(xLabel, m.left + plotW, h - 2);
+        ctx.textAlign = 'left';
+        ctx.fillText(yLabel, m.left + 4, m.top + 11);
+
+        return { px, py, plotW, plotH };
+    }
+
+    // series: [{ x: [], y: [], color, mode: 'points' | 'line', label }]
+    // markers: [{ x, label, color }] drawn as dashed vertical lines
+    function xy(canvas, { series = [], xRange, yRange, xLabel, yLabel, xFormat, yFormat, markers = [] } = {}) {
+        const c = setup(canvas);
+        if (!c) return;
+        const { ctx, w, h } = c;
+
+        xRange = xRange || extent(series.flatMap(s => s.x));
+        yRange = yRange || extent(series.flatMap(s => s.y));
+        const { px, py } = drawFrame(ctx, w, h, { xRange, yRange, xLabel, yLabel, xFormat, yFormat });
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(MARGIN.left, MARGIN.top, w - MARGIN.left - MARGIN.right, h - MARGIN.top - MARGIN.bottom);
+        ctx.clip();
+
+        series.forEach((s, i) => {
+            const color = s.color || COLORS[i % COLORS.length];
+            if (s.mode === 'line') {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = s.width || 2;
+                ctx.lineJoin = 'round';
+                ctx.beginPath();
+                s.x.forEach((x, k) => k === 0 ? ctx.moveTo(px(x), py(s.y[k])) : ctx.lineTo(px(x), py(s.y[k])));
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = color;
+                s.x.forEach((x, k) => {
+                    ctx.beginPath();
+                    ctx.arc(px(x), py(s.y[k]), s.radius || 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            }
+        });
+
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 1;
+        for (const m of markers) {
+            ctx.strokeStyle = m.color || '#5f6368';
+            ctx.beginPath(); ctx.moveTo(px(m.x), MARGIN.top); ctx.lineTo(px(m.x), h - MARGIN.bottom); ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        ctx.restore();
+
+        // Marker labels and legend sit on top of the clip
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        for (const m of markers) {
+            if (!m.label) continue;
+            ctx.fillStyle = m.color || '#5f6368';
+            ctx.fillText(m.label, px(m.x) + 3, MARGIN.top + 22);
+        }
+        let ly = MARGIN.top + 11;
+        ctx.textAlign = 'right';
+        series.forEach((s, i) => {
+            if (!s.label) return;
+            ctx.fillStyle = s.color || COLORS[i % COLORS.length];
+            ctx.fillText(s.label, w - MARGIN.right - 4, ly);
+            ly += 12;
+        });
+    }
+
+    // ─── Heatmap ────
+    // Diverging |0⟩ blue → white → |1⟩ red, matching the lattice spin colors
+    function colormap(v) {
+        const t = Math.max(0, Math.min(1, v));
+        const lo = [26, 115, 232], mid = [248, 249, 250], hi = [234, 67, 53];
+        const [a, b, f] = t < 0.5 ? [lo, mid, t * 2] : [mid, hi, t * 2 - 1];
+        return `rgb(${a.map((c, i) => Math.round(c + (b[i] - c) * f)).join(',')})`;
+    }
+
+    // grid: rows (y) of columns (x), values in [0, 1]; rows run bottom → top.
+    // lines: [{ y, label, color }] horizontal guides, e.g. the resonance
+    function heatmap(canvas, { grid, xRange, yRange, xLabel, yLabel, xFormat, yFormat, lines = [], colorLabel = '' } = {}) {
+        const c = setup(canvas);
+        if (!c || !grid || !grid.length) return;
+        const { ctx, w, h } = c;
+        const m = HEATMAP_MARGIN;
+        const { px, py, plotW, plotH } = drawFrame(ctx, w, h, { xRange, yRange, xLabel: '', yLabel: '', xFormat, yFormat }, m);
+
+        const rows = grid.length, cols = grid[0].length;
+        const cw = plotW / cols, ch = plotH / rows;
+        for (let r = 0; r < rows; r++) {
+            for (let k = 0; k < cols; k++) {
+                ctx.fillStyle = colormap(grid[r][k]);
+                // Overdraw by half a pixel to hide seams between cells
+                ctx.fillRect(m.left + k * cw, m.top + plotH - (r + 1) * ch, cw + 0.5, ch + 0.5);
+            }
+        }
+
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 1;
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        for (const l of lines) {
+            const y = py(l.y);
+            ctx.strokeStyle = l.color || '#202124';
+            ctx.beginPath(); ctx.moveTo(m.left, y); ctx.lineTo(m.left + plotW, y); ctx.stroke();
+            if (l.label) {
+                ctx.fillStyle = l.color || '#202124';
+                ctx.fillText(l.label, px(xRange[1]) - ctx.measureText(l.label).width - 4, y - 3);
+            }
+        }
+        ctx.setLineDash([]);
+
+        // Colorbar
+        const barX = w - m.right + 8;
+        for (let i = 0; i < plotH; i++) {
+            ctx.fillStyle = colormap(1 - i / plotH);
+            ctx.fillRect(barX, m.top + i, 8, 1.5);
+        }
+        ctx.strokeStyle = '#bdc1c6';
+        ctx.strokeRect(barX, m.top, 8, plotH);
+        ctx.fillStyle = '#5f6368';
+        ctx.fillText('1', barX + 11, m.top + 8);
+        ctx.fillText('0', barX + 11, m.top + plotH);
+
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(xLabel || '', m.left + plotW, h - 2);
+        ctx.textAlign = 'left';
+        ctx.fillText([yLabel, colorLabel].filter(Boolean).join('   ·   '), 4, h - 2);
+    }
+
+    // ─── Bar Chart ────
+    // bars: [{ label, value, error, reference }] — error draws a ±error
+    // whisker, reference a dashed tick (e.g. the ideal probability)
+    function bars(canvas, { bars: items = [], yRange, yLabel, yFormat, color = COLORS[0], referenceColor = '#202124', legend = [] } = {}) {
+        const c = setup(canvas);
+        if (!c || !items.length) return;
+        const { ctx, w, h } = c;
+        const n = items.length;
+
+        yRange = yRange || [0, Math.max(...items.map(b => Math.max(b.value + (b.error || 0), b.reference || 0))) * 1.1 || 1];
+        const { px, py, plotW } = drawFrame(ctx, w, h, { xRange: [0, n], yRange, xLabel: '', yLabel, yFormat, xFormat: () => '' });
+
+        const slot = plotW / n;
+        const barW = Math.min(40, slot * 0.6);
+        ctx.font = '10px JetBrains Mono, monospace';
+        ctx.textAlign = 'center';
+        items.forEach((b, i) => {
+            const cx = px(i + 0.5);
+            const top = py(b.value);
+            ctx.fillStyle = color;
+            ctx.fillRect(cx - barW / 2, top, barW, py(yRange[0]) - top);
+
+            if (b.error > 0) {
+                const y0 = py(Math.max(yRange[0], b.value - b.error));
+                const y1 = py(Math.min(yRange[1], b.value + b.error));
+                ctx.strokeStyle = '#202124';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(cx, y0); ctx.lineTo(cx, y1);
+                ctx.moveTo(cx - 4, y0); ctx.lineTo(cx + 4, y0);
+                ctx.moveTo(cx - 4, y1); ctx.lineTo(cx + 4, y1);
+                ctx.stroke();
+            }
+
+            if (Number.isFinite(b.reference)) {
+                const y = py(b.reference);
+                ctx.strokeStyle = referenceColor;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath(); ctx.moveTo(cx - barW / 2 - 4, y); ctx.lineTo(cx + barW / 2 + 4, y); ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            // Thin out category labels when they would overlap
+            if (n <= 16 || i % Math.ceil(n / 16) === 0) {
+                ctx.fillStyle = '#5f6368';
+                ctx.fillText(b.label, cx, py(yRange[0]) + 11);
+            }
+        });
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        legend.forEach((l, i) => {
+            ctx.fillStyle = l.color;
+            ctx.fillText(l.label, w - MARGIN.right - 4, MARGIN.top + 11 + i * 12);
+        });
+    }
+
+    return { setup, niceTicks, xy, heatmap, bars, colormap, COLORS };
+})();
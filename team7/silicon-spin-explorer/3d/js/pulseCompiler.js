@@ -0,0 +1,453 @@
+/**
+ * pulseCompiler.js — Gate-to-Pulse Compiler & Schedule View
+ *
+ * Compiles the composer's circuit into what the hardware would play:
+ *   - square resonant microwave pulses (amplitude B₁, phase, duration),
+ *     calibrated from the resonant Rabi frequency Ω_R = γB₁:
+ *     a rotation by θ takes θ / (2π γ B₁)
+ *   - virtual-Z frame updates: Z rotations cost no time, they shift the
+ *     phase of every later pulse instead
+ *   - measurements (drawn as markers; readout time is not on the axis)
+ *
+ * Each gate is classified by its Bloch rotation (SpinPhysics.getRotationAxis):
+ *   axis along z         → one virtual Z
+ *   axis in the xy-plane → one pulse at the axis' phase
+ *   anything else        → Z-Y-Z: Rz(λ) virtual, Ry(θ) pulse, Rz(φ) virtual
+ * With an accumulated frame f, a pulse about phase α is played at α − f,
+ * since Rz(f)·R_(α−f)(θ) = R_α(θ)·Rz(f). The frame left over at the end
+ * is applied as a final virtual Z.
+ *
+ * execute() runs the schedule through SpinPhysics.evolve on a sandboxed
+ * spin (current field, drive frequency and integrator) and compares it with
+ * the instantaneous circuit: once coherent and once with the Lindblad
+ * T1/T2 of the Decoherence model, so the infidelity accrued during real
+ * gate time shows up. Measurements are non-selective there: ρ → diag ρ,
+ * with each outcome's weight moved to the spin the readout leaves behind
+ * (Readout.postReadoutSpin — |0⟩ for both under Elzerman).
+ * Feed-forward (conditioned) gates have no fixed schedule and are
+ * rejected; idealState() handles them by branching on the outcomes.
+ * apply() plays a schedule on the solver's current state (Benchmarking);
+ * play() runs the same pulses on the live spin.
+ */
+
+const PulseCompiler = (() => {
+    const EPS = 1e-9;
+
+    let canvas, resultEl, playBtn;
+    let lastSchedule = null;
+    let lastExecution = null;
+    let playing = null;   // { entries, index, frame } while play() runs
+
+    function init() {
+        canvas = document.getElementById('pulse-timeline');
+        resultEl = document.getElementById('pulse-schedule-result');
+        playBtn = document.getElementById('pulse-play-btn');
+
+        const compileBtn = document.getElementById('pulse-compile-btn');
+        if (!compileBtn) return;
+        compileBtn.addEventListener('click', () => {
+            try {
+                lastSchedule = compile(QuantumComputing.currentCircuit());
+                lastExecution = execute(lastSchedule);
+                render(lastSchedule, lastExecution);
+            } catch (e) {
+                UI.showError(resultEl, e.message);
+            }
+        });
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                try {
+                    if (playing) stop();
+                    else play(lastSchedule || compile(QuantumComputing.currentCircuit()));
+                } catch (e) {
+                    UI.showError(resultEl, e.message);
+                }
+            });
+        }
+    }
+
+    // ─── Compilation ────
+    function wrap(a) { return Math.atan2(Math.sin(a), Math.cos(a)); }
+
+    // Options: amplitude B₁ (T, default: the drive's), spacing (s) between pulses
+    function compile(ops, { amplitude = SpinPhysics.getDrive().amplitude, spacing = 0 } = {}) {
+        if (!ops.length) throw new Error('Enter a circuit first');
+        Composer.checkSingleQubit(ops, 'The pulse compiler');
+        if (!(amplitude > 0)) throw new Error('Drive amplitude must be positive');
+        if (ops.some(op => op.condition)) throw new Error('Conditioned gates depend on outcomes; they have no fixed pulse schedule');
+        const omegaR = 2 * Math.PI * SpinPhysics.GYROMAGNETIC_RATIO * amplitude;
+
+        const entries = [];
+        let t = 0;
+        let frame = 0;
+
+        const virtualZ = (angle, gate, index) => {
+            if (Math.abs(wrap(angle)) < EPS) return;
+            frame = wrap(frame + angle);
+            if (Math.abs(frame) < EPS) frame = 0;
+            entries.push({ type: 'vz', gate, index, start: t, angle: wrap(angle), frame });
+        };
+        const pulse = (axisPhase, angle, gate, index) => {
+            if (angle < EPS) return;
+            if (entries.some(e => e.type === 'pulse')) t += spacing;
+            const duration = angle / omegaR;
+            entries.push({
+                type: 'pulse', gate, index, start: t, duration,
+                amplitude, phase: wrap(axisPhase - frame), angle
+            });
+            t += duration;
+        };
+
+        ops.forEach((op, index) => {
+            if (op.type === 'measure') {
+                entries.push({ type: 'measure', gate: 'M', index, start: t, bit: op.bit });
+                return;
+            }
+            const axis = SpinPhysics.getRotationAxis(op.name, op.param);
+            if (axis.angle < EPS) return;
+            if (Math.abs(axis.z) > 1 - EPS) {
+                virtualZ(axis.z * axis.angle, op.name, index);
+            } else if (Math.abs(axis.z) < EPS) {
+                pulse(Math.atan2(axis.y, axis.x), axis.angle, op.name, index);
+            } else {
+                const { theta, phi, lambda } = SpinPhysics.decomposeZYZ(SpinPhysics.getGateMatrix(op.name, op.param));
+                virtualZ(lambda, op.name, index);
+                pulse(Math.PI / 2, theta, op.name, index);
+                virtualZ(phi, op.name, index);
+            }
+        });
+
+        const pulses = entries.filter(e => e.type === 'pulse');
+        return {
+            ops: ops.map(op => ({ ...op })),
+            entries,
+            duration: t,
+            frame,
+            amplitude,
+            rabiMHz: omegaR / (2 * Math.PI) / 1e6,
+            piTime: Math.PI / omegaR,
+            pulseCount: pulses.length,
+            virtualZCount: entries.filter(e => e.type === 'vz').length
+        };
+    }
+
+    // ─── Execution ────
+    // Non-selective readout: outcome k keeps its weight ρ_kk but lands in
+    // the post-readout spin
+    function measureNonSelective() {
+        const rho = SpinPhysics.getDensityMatrix();
+        const diag = [0, 0];
+        for (const k of [0, 1]) diag[Readout.postReadoutSpin(k)] += rho[k][k].re;
+        SpinPhysics.setDensityMatrix([0, 1].map(i => [0, 1].map(j => ({ re: i === j ? diag[i] : 0, im: 0 }))));
+    }
+
+    // Advance the solver by tSim simulated seconds in whole grid steps (at least one)
+    function advance(tSim, decoState) {
+        const h = SpinPhysics.getIntegrator().stepSize;
+        const steps = Math.max(1, Math.ceil(tSim / h - 1e-9));
+        SpinPhysics.evolve(steps * h / SpinPhysics.TIME_SCALE, false, decoState);
+    }
+
+    // Play the schedule on the (sandboxed) solver from |0⟩
+    function runSchedule(schedule, decoState) {
+        SpinPhysics.reset();
+        let t = 0;
+        for (const e of schedule.entries) {
+            if (e.type === 'measure') { measureNonSelective(); continue; }
+            if (e.type !== 'pulse') continue;
+            if (e.start > t) advance(e.start - t, decoState);
+            SpinPhysics.startPulse({
+                duration: e.duration,
+                envelope: () => ({ amplitude: e.amplitude, phase: e.phase })
+            });
+            advance(e.duration, decoState);
+            // Round-off in the simulated clock can leave the pulse a step short
+            for (let i = 0; i < 4 && SpinPhysics.isPulseActive(); i++) advance(0, decoState);
+            SpinPhysics.cancelPulse();
+            t = e.start + e.duration;
+        }
+        if (Math.abs(schedule.frame) > EPS) SpinPhysics.applyGate('Rz', schedule.frame);
+        return SpinPhysics.getDensityMatrix();
+    }
+
+    // Play the pulses on the solver's current state with propagate(), whose
+    // step count follows the rotation angle instead of the fixed grid — cheap
+    // enough for benchmarking. Changes the drive, so call it inside a sandbox.
+    function apply(schedule, decoState = null) {
+        let t = 0;
+        for (const e of schedule.entries) {
+            if (e.type === 'measure') { measureNonSelective(); continue; }
+            if (e.type !== 'pulse') continue;
+            if (e.start > t) SpinPhysics.propagate(e.start - t, { decoState });
+            SpinPhysics.setDrive({ amplitude: e.amplitude, phase: e.phase });
+            SpinPhysics.propagate(e.duration, { pulsing: true, decoState });
+            t = e.start + e.duration;
+        }
+        if (Math.abs(schedule.frame) > EPS) SpinPhysics.applyGate('Rz', schedule.frame);
+    }
+
+    // Instantaneous gates from |0⟩, non-selective measurements; call inside a sandbox.
+    // With conditioned gates the state is a mixture over classical
+    // registers: each measurement splits every branch into |0⟩ and |1⟩.
+    function idealState(ops) {
+        Composer.checkSingleQubit(ops, 'The ideal-state reference');
+        SpinPhysics.reset();
+        if (!ops.some(op => op.condition)) {
+            for (const op of ops) {
+                if (op.type === 'measure') measureNonSelective();
+                else SpinPhysics.applyGate(op.name, op.param);
+            }
+            return SpinPhysics.getDensityMatrix();
+        }
+
+        let branches = [{ bits: [], p: 1, rho: SpinPhysics.getDensityMatrix() }];
+        let measured = 0;
+        for (const op of ops) {
+            if (op.type === 'measure') {
+                const bit = op.bit == null ? measured : op.bit;
+                measured++;
+                const split = new Map();   // same register → same branch
+                for (const b of branches) {
+                    for (const outcome of [0, 1]) {
+                        const p = b.p * b.rho[outcome][outcome].re;
+                        if (p < 1e-15) continue;
+                        const bits = b.bits.slice();
+                        bits[bit] = outcome;
+                        mix(split, bits.join(','), { bits, p, rho: basisState(Readout.postReadoutSpin(outcome)) });
+                    }
+                }
+                branches = [...split.values()];
+            } else {
+                for (const b of branches) {
+                    if (!QuantumComputing.conditionMet(op, b.bits)) continue;
+                    SpinPhysics.setDensityMatrix(b.rho);
+                    SpinPhysics.applyGate(op.name, op.param);
+                    b.rho = SpinPhysics.getDensityMatrix();
+                }
+            }
+        }
+        const total = { p: 0, rho: null };
+        for (const b of branches) mixInto(total, b);
+        SpinPhysics.setDensityMatrix(total.rho);
+        return SpinPhysics.getDensityMatrix();
+    }
+
+    // |k⟩⟨k|
+    function basisState(k) {
+        return [0, 1].map(i => [0, 1].map(j => ({ re: i === k && j === k ? 1 : 0, im: 0 })));
+    }
+
+    // Probability-weighted average of branch states
+    function mixInto(acc, b) {
+        const w = b.p / (acc.p + b.p);
+        acc.rho = acc.rho
+            ? acc.rho.map((row, i) => row.map((v, j) => ({
+                re: (1 - w) * v.re + w * b.rho[i][j].re,
+                im: (1 - w) * v.im + w * b.rho[i][j].im
+            })))
+            : b.rho;
+        acc.p += b.p;
+    }
+
+    function mix(branches, key, b) {
+        if (!branches.has(key)) branches.set(key, { bits: b.bits, p: 0, rho: null });
+        mixInto(branches.get(key), b);
+    }
+
+    // Uhlmann fidelity of two qubit states: Tr(ρσ) + 2√(det ρ · det σ)
+    function fidelity(a, b) {
+        const det = m => m[0][0].re * m[1][1].re - (m[0][1].re * m[0][1].re + m[0][1].im * m[0][1].im);
+        const overlap = a[0][0].re * b[0][0].re + a[1][1].re * b[1][1].re +
+            2 * (a[0][1].re * b[0][1].re + a[0][1].im * b[0][1].im);
+        return Math.min(1, overlap + 2 * Math.sqrt(Math.max(0, det(a)) * Math.max(0, det(b))));
+    }
+
+    function execute(schedule) {
+        const deco = Decoherence.getState();
+        return SpinPhysics.sandbox(() => {
+            const ideal = idealState(schedule.ops);
+            const coherent = runSchedule(schedule, null);
+            const noisy = runSchedule(schedule, deco);
+            return {
+                ideal, coherent, noisy,
+                coherentFidelity: fidelity(ideal, coherent),
+                fidelity: fidelity(ideal, noisy),
+                detuningMHz: SpinPhysics.getDetuningMHz(),
+                T1: deco.T1,
+                T2: deco.T2
+            };
+        });
+    }
+
+    // ─── Live Playback ────
+    // Chains the pulses on the live spin: each pulse's onDone starts the next
+    function play(schedule) {
+        if (SpinPhysics.isPulseActive()) throw new Error('A pulse is already playing');
+        QuantumComputing.restart();
+        playing = { entries: schedule.entries, index: 0, t: 0, frame: schedule.frame };
+        next();
+        refreshButton();
+    }
+
+    function next() {
+        if (!playing) return;
+        while (playing.index < playing.entries.length) {
+            const e = playing.entries[playing.index];
+            if (e.type === 'measure') {
+                QuantumComputing.runOp({ type: 'measure', bit: e.bit });
+                playing.index++;
+                continue;
+            }
+            if (e.type !== 'pulse') {
+                playing.index++;
+                continue;
+            }
+            // Idle until the pulse is due, then play it
+            const idle = e.start - playing.t;
+            if (idle > 1e-15) {
+                playing.t = e.start;
+                SpinPhysics.startPulse({ duration: idle, envelope: () => ({ amplitude: 0 }), onDone: next });
+                return;
+            }
+            playing.index++;
+            playing.t = e.start + e.duration;
+            SpinPhysics.startPulse({
+                duration: e.duration,
+                envelope: () => ({ amplitude: e.amplitude, phase: e.phase }),
+                onDone: next
+            });
+            return;
+        }
+        const frame = playing.frame;
+        playing = null;
+        if (Math.abs(frame) > EPS) QuantumComputing.runOp({ type: 'gate', name: 'Rz', param: frame });
+        QuantumComputing.updateDisplay();
+        refreshButton();
+    }
+
+    function stop() {
+        if (!playing) return;
+        playing = null;
+        SpinPhysics.cancelPulse();
+        refreshButton();
+    }
+
+    function isPlaying() { return playing !== null; }
+
+    function refreshButton() {
+        if (playBtn) playBtn.textContent = playing ? '■ Stop' : '▶ Play on spin';
+    }
+
+    // ─── Rendering ────
+    function timeUnit(t) {
+        if (t < 1e-9) return { scale: 1e12, label: 'ps' };
+        if (t < 1e-6) return { scale: 1e9, label: 'ns' };
+        if (t < 1e-3) return { scale: 1e6, label: 'μs' };
+        return { scale: 1e3, label: 'ms' };
+    }
+
+    // Pulse phase → hue, so equal axes share a colour
+    function phaseColor(phase) {
+        const deg = ((phase * 180 / Math.PI) % 360 + 360) % 360;
+        return `hsl(${Math.round(deg)}, 70%, 55%)`;
+    }
+
+    function drawTimeline(schedule) {
+        const c = Plot.setup(canvas);
+        if (!c) return;
+        const { ctx, w, h } = c;
+        const m = { left: 34, right: 10, top: 8, bottom: 22 };
+        const plotW = w - m.left - m.right;
+        const span = schedule.duration || 1e-9;
+        const unit = timeUnit(span);
+        const px = t => m.left + (t / span) * plotW;
+        const lanes = { mw: { top: m.top, height: (h - m.top - m.bottom) * 0.62 } };
+        lanes.z = { top: lanes.mw.top + lanes.mw.height + 4, height: h - m.bottom - lanes.mw.top - lanes.mw.height - 4 };
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, w, h);
+        ctx.font = '10px Inter, sans-serif';
+
+        // Lane labels and baselines
+        ctx.fillStyle = '#5f6368';
+        ctx.textAlign = 'right';
+        ctx.fillText('MW', m.left - 6, lanes.mw.top + lanes.mw.height / 2 + 3);
+        ctx.fillText('Z', m.left - 6, lanes.z.top + lanes.z.height / 2 + 3);
+        ctx.strokeStyle = '#dadce0';
+        ctx.lineWidth = 1;
+        [lanes.mw.top + lanes.mw.height, lanes.z.top + lanes.z.height / 2].forEach(y => {
+            ctx.beginPath(); ctx.moveTo(m.left, y); ctx.lineTo(w - m.right, y); ctx.stroke();
+        });
+
+        // Time axis
+        ctx.textAlign = 'center';
+        for (const tick of Plot.niceTicks(0, span * unit.scale)) {
+            const x = px(tick / unit.scale);
+            ctx.fillText(+tick.toPrecision(3) + '', x, h - m.bottom + 12);
+        }
+        ctx.fillText(`t (${unit.label}) →`, m.left + plotW / 2, h - 2);
+
+        for (const e of schedule.entries) {
+            const x = px(e.start);
+            if (e.type === 'pulse') {
+                const x1 = px(e.start + e.duration);
+                const bh = lanes.mw.height * Math.min(1, e.amplitude / schedule.amplitude) - 2;
+                const y = lanes.mw.top + lanes.mw.height - bh;
+                ctx.fillStyle = phaseColor(e.phase);
+                ctx.fillRect(x, y, Math.max(1, x1 - x), bh);
+                ctx.strokeStyle = '#ffffff';
+                ctx.strokeRect(x, y, Math.max(1, x1 - x), bh);
+                if (x1 - x > 24) {
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillText(e.gate, (x + x1) / 2, y + bh / 2 - 1);
+                    ctx.fillText(`φ ${Qasm.formatAngle(e.phase)}`, (x + x1) / 2, y + bh / 2 + 10);
+                }
+            } else if (e.type === 'vz') {
+                const yc = lanes.z.top + lanes.z.height / 2;
+                ctx.fillStyle = '#9334e6';
+                ctx.beginPath();
+                ctx.moveTo(x, yc - 5); ctx.lineTo(x + 4, yc); ctx.lineTo(x, yc + 5); ctx.lineTo(x - 4, yc);
+                ctx.closePath();
+                ctx.fill();
+                ctx.fillText(Qasm.formatAngle(e.angle), x, yc - 7);
+            } else {
+                ctx.strokeStyle = '#ea4335';
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath(); ctx.moveTo(x, m.top); ctx.lineTo(x, h - m.bottom); ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = '#ea4335';
+                ctx.fillText('M', x + 6, m.top + 8);
+            }
+        }
+    }
+
+    function render(schedule, execution) {
+        if (!schedule) return;
+        drawTimeline(schedule);
+        if (!resultEl) return;
+        const unit = timeUnit(schedule.duration || schedule.piTime);
+        const fmt = t => `${(t * unit.scale).toFixed(2)} ${unit.label}`;
+        const rows = [
+            ['Schedule', `${schedule.pulseCount} pulses · ${schedule.virtualZCount} virtual Z · ${fmt(schedule.duration)}`],
+            ['Calibration', `Ω_R = ${schedule.rabiMHz.toFixed(1)} MHz · t_π = ${fmt(schedule.piTime)}`],
+            ['Final frame', Qasm.formatAngle(schedule.frame)]
+        ];
+        if (execution) {
+            rows.push(
+                ['F (coherent)', `${(execution.coherentFidelity * 100).toFixed(4)}%`],
+                ['F (T1/T2)', `${(execution.fidelity * 100).toFixed(4)}% · 1 − F = ${(1 - execution.fidelity).toExponential(2)}`],
+                ['Detuning Δ', `${execution.detuningMHz.toFixed(1)} MHz`]
+            );
+        }
+        UI.showRows(resultEl, rows.map(([label, val]) => [`${label}:`, val]));
+    }
+
+    function getLastSchedule() { return lastSchedule; }
+    function getLastExecution() { return lastExecution; }
+
+    return {
+        init, compile, execute, apply, idealState, play, stop, isPlaying, render, fidelity,
+        measureNonSelective, timeUnit, phaseColor, getLastSchedule, getLastExecution
+    };
+})();
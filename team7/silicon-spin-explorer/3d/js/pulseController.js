@@ -2,57 +2,173 @@
  * pulseController.js — Microwave Pulse UI & Animation (v2)
  *
  * Hold-to-pulse button with SVG ring progress.
+ * Shaped pulses from the waveform editor (Waveforms) play through play():
+ * they are scheduled on the solver's clock with SpinPhysics.startPulse, so
+ * they last exactly their duration, and the ring follows the rotation
+ * angle accumulated so far.
+ *
+ * Holding the button drives the spin at B₁ for pulseDuration × TIME_SCALE
+ * of simulated time. The ring measures that against the π and π/2
+ * durations from the last Rabi calibration (Calibration): it is full at
+ * t_π, turns yellow within CUE_ANGLE of π/2 and red within CUE_ANGLE of π.
+ * Until a calibration exists the nominal t_π = 1 / (2γB₁) is used.
+ *
+ * Keyboard: hold Space to pulse like the button; 1 / 2 / 3 fire square
+ * π/2, π and 2π pulses of the calibrated length. Scripts get the same
+ * exact timing from fire({ duration, phase, shape }), which resolves with
+ * the spin state once the pulse has played:
+ *   const { p1 } = await PulseController.fire({ duration: 89e-12 });   // π/2 at 100 mT
  * Google Material Design colors.
  */
 
 const PulseController = (() => {
+    const RING_CIRCUMFERENCE = 339.3;
+    // Rotation error that still leaves 99% overlap with the target state
+    const CUE_ANGLE = 2 * Math.acos(Math.sqrt(0.99));
+
     let isPulsing = false;
     let pulseDuration = 0;
-    const PI_PULSE_TIME = 2.0; // seconds for π rotation
     let btn, ringFg;
+    let shaped = null;        // { waveform, start } while a shaped pulse plays
+    let calibration = null;   // { piTime, halfPiTime } in simulated seconds
+
+    // Number keys → preset rotation angles (square pulses at B₁)
+    const PRESET_KEYS = { '1': Math.PI / 2, '2': Math.PI, '3': 2 * Math.PI };
 
     function init(button, ring) {
         btn = button;
         ringFg = ring;
         if (!btn) return;
 
-        const start = () => {
-            if (btn.disabled) return;
-            isPulsing = true;
-            pulseDuration = 0;
-            btn.classList.add('pulsing');
-            if (AudioFeedback && AudioFeedback.playPulseStart) AudioFeedback.playPulseStart();
+        btn.addEventListener('mousedown', startHold);
+        btn.addEventListener('mouseup', stopHold);
+        btn.addEventListener('mouseleave', stopHold);
+        btn.addEventListener('touchstart', e => { e.preventDefault(); startHold(); });
+        btn.addEventListener('touchend', stopHold);
+
+        document.addEventListener('keydown', onKeyDown);
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space' && isPulsing) stopHold();
+        });
+        window.addEventListener('blur', () => { if (isPulsing) stopHold(); });
+    }
+
+    function startHold() {
+        if (btn.disabled) return;
+        isPulsing = true;
+        pulseDuration = 0;
+        btn.classList.add('pulsing');
+        if (AudioFeedback && AudioFeedback.playPulseStart) AudioFeedback.playPulseStart();
+    }
+
+    function stopHold() {
+        isPulsing = false;
+        btn.classList.remove('pulsing');
+        if (ringFg) ringFg.style.strokeDashoffset = RING_CIRCUMFERENCE.toString();
+    }
+
+    // ─── Keyboard ────
+    function onKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (btn.disabled) return;
+
+        if (e.code === 'Space') {
+            // A focused button keeps its own Space activation
+            if (e.target.closest && e.target.closest('button') && e.target !== btn) return;
+            e.preventDefault();   // no page scroll or button click
+            if (!e.repeat && !isPulsing) startHold();
+            return;
+        }
+        const angle = PRESET_KEYS[e.key];
+        if (angle === undefined || e.repeat || shaped || SpinPhysics.isPulseActive()) return;
+        const { piTime } = getCalibration();
+        fire({ duration: piTime * angle / Math.PI })
+            .then(() => QuantumComputing.updateDisplay())
+            .catch(err => console.warn('Pulse:', err.message));
+    }
+
+    // Play a waveform on the live spin; onDone runs when it has finished,
+    // onCancel if it is cut short (sandbox, compiler playback)
+    function play(waveform, onDone = null, onCancel = null) {
+        const envelope = Waveforms.envelope(waveform);
+        const { start } = SpinPhysics.startPulse({
+            duration: waveform.duration,
+            envelope,
+            onDone: () => {
+                finishShaped();
+                if (onDone) onDone();
+            }
+        });
+        shaped = { waveform: { ...waveform }, start, onCancel };
+        if (btn) btn.classList.add('pulsing');
+        if (AudioFeedback && AudioFeedback.playPulseStart) AudioFeedback.playPulseStart();
+    }
+
+    // Scripted pulse of exactly `duration` simulated seconds. shape is a
+    // Waveforms shape (default square); phase (rad) and amplitude (T, peak)
+    // default to the current drive. Resolves with the state after the pulse.
+    function fire({ duration, phase, shape = 'square', amplitude } = {}) {
+        const drive = SpinPhysics.getDrive();
+        const waveform = {
+            shape, duration,
+            amplitude: amplitude !== undefined ? amplitude : drive.amplitude,
+            phase: phase !== undefined ? phase : drive.phase,
+            i: 1, q: 0, beta: 0
         };
+        return new Promise((resolve, reject) => {
+            play(waveform, () => resolve(finalState(waveform)), () => reject(new Error('Pulse was cancelled')));
+        });
+    }
 
-        const stop = () => {
-            isPulsing = false;
-            btn.classList.remove('pulsing');
-            if (ringFg) ringFg.style.strokeDashoffset = '339.3';
+    function finalState(waveform) {
+        return {
+            p0: SpinPhysics.getP0(),
+            p1: SpinPhysics.getP1(),
+            bloch: SpinPhysics.getBlochVector(),
+            rho: SpinPhysics.getDensityMatrix(),
+            angle: Waveforms.rotationAngle(waveform, waveform.duration),
+            simTime: SpinPhysics.getSimTime()
         };
+    }
 
-        btn.addEventListener('mousedown', start);
-        btn.addEventListener('mouseup', stop);
-        btn.addEventListener('mouseleave', stop);
-        btn.addEventListener('touchstart', e => { e.preventDefault(); start(); });
-        btn.addEventListener('touchend', stop);
+    function finishShaped() {
+        shaped = null;
+        if (btn) btn.classList.remove('pulsing');
+        if (ringFg) ringFg.style.strokeDashoffset = RING_CIRCUMFERENCE.toString();
     }
 
     function update(dt) {
+        // Cancelled from elsewhere (sandbox, compiler playback)
+        if (shaped && !SpinPhysics.isPulseActive()) {
+            const { onCancel } = shaped;
+            finishShaped();
+            if (onCancel) onCancel();
+        }
+        if (shaped) {
+            const angle = Waveforms.rotationAngle(shaped.waveform, SpinPhysics.getSimTime() - shaped.start);
+            showProgress(angle / Math.PI);
+            return;
+        }
         if (!isPulsing) return;
         pulseDuration += dt;
+        const { piTime, halfPiTime } = getCalibration();
+        showProgress(pulseDuration * SpinPhysics.TIME_SCALE / piTime, halfPiTime / piTime);
+    }
 
-        // Update ring progress
-        const progress = Math.min(pulseDuration / PI_PULSE_TIME, 1);
-        const circumference = 339.3;
+    // progress = rotation / π; halfPi = where π/2 sits on that scale
+    function showProgress(progress, halfPi = 0.5) {
         if (ringFg) {
-            ringFg.style.strokeDashoffset = (circumference * (1 - progress)).toString();
+            const fill = Math.min(Math.max(progress, 0), 1);
+            ringFg.style.strokeDashoffset = (RING_CIRCUMFERENCE * (1 - fill)).toString();
         }
 
-        // Color transition: blue → red at π pulse
+        // Color cues: blue → yellow at π/2 → red at π (and past it)
         if (btn) {
-            if (progress > 0.45 && progress < 0.55) {
+            const tolerance = CUE_ANGLE / Math.PI;
+            if (Math.abs(progress - halfPi) <= tolerance) {
                 btn.style.borderColor = '#fbbc04'; // Google yellow at π/2
-            } else if (progress > 0.9) {
+            } else if (progress >= 1 - tolerance) {
                 btn.style.borderColor = '#ea4335'; // Google red at π
             } else {
                 btn.style.borderColor = '#1a73e8'; // Google blue
@@ -60,8 +176,27 @@ const PulseController = (() => {
         }
     }
 
+    // ─── Calibration ────
+    function setCalibration(values) {
+        if (values === null) {
+            calibration = null;
+            return;
+        }
+        const { piTime, halfPiTime = piTime / 2 } = values;
+        if (!(piTime > 0) || !(halfPiTime > 0)) throw new Error('Calibrated pulse durations must be positive');
+        calibration = { piTime, halfPiTime };
+    }
+
+    // Falls back to the nominal resonant Rabi period at the current B₁
+    function getCalibration() {
+        if (calibration) return { ...calibration, calibrated: true };
+        const piTime = 1 / (2 * SpinPhysics.GYROMAGNETIC_RATIO * SpinPhysics.getDrive().amplitude);
+        return { piTime, halfPiTime: piTime / 2, calibrated: false };
+    }
+
     function getIsPulsing() { return isPulsing; }
     function getDuration() { return pulseDuration; }
+    function isPlaying() { return shaped !== null; }
 
-    return { init, update, getIsPulsing, getDuration };
+    return { init, update, play, fire, isPlaying, getIsPulsing, getDuration, setCalibration, getCalibration };
 })();
@@ -0,0 +1,628 @@
+/**
+ * qasm.js — OpenQASM 2.0 / 3.0 Import and Export
+ *
+ * Translates between OpenQASM programs and the circuit ops the QC panel
+ * runs: [{ type: 'gate', name, param, qubit } | { type: 'measure', qubit }].
+ *
+ * Import understands the single-qubit-gate subset of both versions:
+ *   OPENQASM 2.0; include "qelib1.inc";   qreg q[2]; creg c[1];
+ *   OPENQASM 3.0; include "stdgates.inc"; qubit[2] q; bit[1] c;
+ *   gate calls with parameter expressions — rx(pi/4) q[1];
+ *   measure q[0] -> c[0];  /  c[0] = measure q[0];
+ *   feed-forward — if (c[0] == 1) x q[0];  /  if(c==1) x q[0];  (2.0, 1-bit c)
+ *   gate definitions — gate name(a, b) r { rz(a) r; ry(b) r; }
+ *   circuit parameters — input angle[32] theta1; rx(theta1) q[0];
+ *   barrier (ignored), line and block comments
+ * Qubits are numbered across the quantum registers in declaration order,
+ * like bits below, and qubit n is lattice qubit Qn. Multi-qubit gates are
+ * not supported. Standard gates map onto X Y Z H S T Rx Ry Rz (global phases
+ * dropped: U(θ, φ, λ) = Rz(φ) Ry(θ) Rz(λ)); gates registered with
+ * SpinPhysics.registerGate can be called by name. Inputs must be named
+ * theta1, theta2, … (the composer's θ1, θ2, …) and may only be passed
+ * straight to rx, ry, rz or p; their ops carry the symbol and its bound
+ * value.
+ *
+ * Classical bits are numbered across the bit registers in declaration
+ * order (creg a[2]; creg b[1]; → a[0] a[1] b[0] are c0 c1 c2); conditions
+ * test one bit against 0 or 1.
+ *
+ * Errors carry the source position: "Line 3, col 5: …" with err.line and
+ * err.column set. A gate body is checked when it is defined; expressions
+ * over its parameters are evaluated per call, so one that fails for some
+ * arguments (division by zero) is reported at that call.
+ *
+ * Export writes built-in gates as their standard names and custom gates as
+ * gate definitions over U(θ, φ, λ) (SpinPhysics.decomposeZYZ), on q[n] for
+ * lattice qubit Qn; circuits with exchange gates are refused. Parameters
+ * become inputs in 3.0; 2.0 has no inputs, so their bound values are written.
+ * 2.0 can only condition on a whole register, so conditional circuits get
+ * one 1-bit register per classical bit there (c0, c1, …).
+ */
+
+const Qasm = (() => {
+    const PI = Math.PI;
+
+    // name → { params, ops(args) } with angles in radians
+    const gate = (name, param) => ({ type: 'gate', name, param });
+    const u3 = (theta, phi, lambda) => [gate('Rz', lambda), gate('Ry', theta), gate('Rz', phi)];
+    const STANDARD = {
+        id: { params: 0, ops: () => [] },
+        x: { params: 0, ops: () => [gate('X')] },
+        y: { params: 0, ops: () => [gate('Y')] },
+        z: { params: 0, ops: () => [gate('Z')] },
+        h: { params: 0, ops: () => [gate('H')] },
+        s: { params: 0, ops: () => [gate('S')] },
+        t: { params: 0, ops: () => [gate('T')] },
+        sdg: { params: 0, ops: () => [gate('Rz', -PI / 2)] },
+        tdg: { params: 0, ops: () => [gate('Rz', -PI / 4)] },
+        sx: { params: 0, ops: () => [gate('Rx', PI / 2)] },
+        sxdg: { params: 0, ops: () => [gate('Rx', -PI / 2)] },
+        rx: { params: 1, ops: ([a]) => [gate('Rx', a)] },
+        ry: { params: 1, ops: ([a]) => [gate('Ry', a)] },
+        rz: { params: 1, ops: ([a]) => [gate('Rz', a)] },
+        p: { params: 1, ops: ([a]) => [gate('Rz', a)] },
+        phase: { params: 1, ops: ([a]) => [gate('Rz', a)] },
+        u1: { params: 1, ops: ([a]) => [gate('Rz', a)] },
+        u2: { params: 2, ops: ([phi, lambda]) => u3(PI / 2, phi, lambda) },
+        u3: { params: 3, ops: ([theta, phi, lambda]) => u3(theta, phi, lambda) },
+        u: { params: 3, ops: ([theta, phi, lambda]) => u3(theta, phi, lambda) },
+        U: { params: 3, ops: ([theta, phi, lambda]) => u3(theta, phi, lambda) }
+    };
+    const SYMBOLIC = { rx: 'Rx', ry: 'Ry', rz: 'Rz', p: 'Rz', phase: 'Rz', u1: 'Rz' };
+    const EXPORT_NAMES = { X: 'x', Y: 'y', Z: 'z', H: 'h', S: 's', T: 't', Rx: 'rx', Ry: 'ry', Rz: 'rz' };
+    const INCLUDES = ['qelib1.inc', 'stdgates.inc'];
+    const FUNCTIONS = {
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, exp: Math.exp, ln: Math.log, sqrt: Math.sqrt,
+        arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan
+    };
+    const CONSTANTS = { pi: PI, 'π': PI, tau: 2 * PI, 'τ': 2 * PI, euler: Math.E, 'ℇ': Math.E };
+
+    function syntaxError(message, at) {
+        const err = new Error(`Line ${at.line}, col ${at.col}: ${message}`);
+        err.line = at.line;
+        err.column = at.col;
+        err.reason = message;
+        return err;
+    }
+
+    // ─── Tokenizer ────
+    const SYMBOLS = ['->', '**', '==', ';', ',', '(', ')', '[', ']', '{', '}', '+', '-', '*', '/', '^', '=', '@'];
+
+    function tokenize(text) {
+        const tokens = [];
+        let line = 1, col = 1, i = 0;
+        const advance = n => {
+            for (let k = 0; k < n; k++) {
+                if (text[i] === '\n') { line++; col = 1; } else col++;
+                i++;
+            }
+        };
+
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const at = { line, col };
+            let m;
+            if ((m = rest.match(/^\s+/))) { advance(m[0].length); continue; }
+            if (rest.startsWith('//')) { advance((rest.match(/^[^\n]*/))[0].length); continue; }
+            if (rest.startsWith('/*')) {
+                const end = rest.indexOf('*/');
+                if (end < 0) throw syntaxError('Unterminated comment', at);
+                advance(end + 2);
+                continue;
+            }
+            if ((m = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/))) {
+                tokens.push({ type: 'num', value: parseFloat(m[0]), text: m[0], ...at });
+            } else if ((m = rest.match(/^[A-Za-z_πτℇ]\w*/u))) {
+                tokens.push({ type: 'id', value: m[0], text: m[0], ...at });
+            } else if ((m = rest.match(/^"[^"\n]*"/))) {
+                tokens.push({ type: 'str', value: m[0].slice(1, -1), text: m[0], ...at });
+            } else {
+                const sym = SYMBOLS.find(s => rest.startsWith(s));
+                if (!sym) throw syntaxError(`Unexpected character "${rest[0]}"`, at);
+                tokens.push({ type: 'sym', value: sym, text: sym, ...at });
+                m = [sym];
+            }
+            advance(m[0].length);
+        }
+        tokens.push({ type: 'eof', value: null, text: 'end of input', line, col });
+        return tokens;
+    }
+
+    // ─── Parser ────
+    function parse(text) {
+        const tokens = tokenize(text);
+        let pos = 0;
+        const qregs = new Map();   // name → size
+        const cregs = new Map();
+        const bitBase = new Map(); // bit register → number of its first bit
+        let bitCount = 0;
+        const qubitBase = new Map(); // qubit register → number of its first qubit
+        let qubitCount = 0;
+        const defs = new Map();    // user gate name → { params, qargs, body }
+        const inputs = new Map();  // input name → composer symbol (theta1 → θ1)
+        const ops = [];
+        let checking = false;      // checking a gate body with unknown (NaN) parameters
+        const custom = new Set(SpinPhysics.getRegisteredGates().map(g => g.name));
+
+        const peek = (k = 0) => tokens[pos + k];
+        const next = () => tokens[pos++];
+        const is = (value, k = 0) => peek(k).type !== 'str' && peek(k).value === value;
+        function expect(value) {
+            const tok = next();
+            if (tok.type === 'str' || tok.value !== value) throw syntaxError(`Expected "${value}" but found "${tok.text}"`, tok);
+            return tok;
+        }
+        function identifier(what) {
+            const tok = next();
+            if (tok.type !== 'id') throw syntaxError(`Expected ${what} but found "${tok.text}"`, tok);
+            return tok;
+        }
+        function integer() {
+            const tok = next();
+            if (tok.type !== 'num' || !Number.isInteger(tok.value)) throw syntaxError(`Expected an integer but found "${tok.text}"`, tok);
+            return tok.value;
+        }
+
+        // Expressions: + − * / ^ (**), unary −, constants, parameters, functions
+        function expression(env) {
+            let v = term(env);
+            while (is('+') || is('-')) v = next().value === '+' ? v + term(env) : v - term(env);
+            return v;
+        }
+        function term(env) {
+            let v = unary(env);
+            while (is('*') || is('/')) {
+                const op = next();
+                const r = unary(env);
+                if (op.value === '/' && r === 0) throw syntaxError('Division by zero', op);
+                v = op.value === '*' ? v * r : v / r;
+            }
+            return v;
+        }
+        function unary(env) {
+            if (is('-')) { next(); return -unary(env); }
+            if (is('+')) { next(); return unary(env); }
+            return power(env);
+        }
+        function power(env) {
+            const base = primary(env);
+            if (is('^') || is('**')) { next(); return Math.pow(base, unary(env)); }
+            return base;
+        }
+        function primary(env) {
+            const tok = next();
+            if (tok.type === 'num') return tok.value;
+            if (tok.type === 'sym' && tok.value === '(') {
+                const v = expression(env);
+                expect(')');
+                return v;
+            }
+            if (tok.type === 'id') {
+                if (env && env.has(tok.value)) return env.get(tok.value);
+                if (inputs.has(tok.value)) throw syntaxError(`Input "${tok.value}" can only be passed directly as a gate angle`, tok);
+                if (tok.value in CONSTANTS) return CONSTANTS[tok.value];
+                if (FUNCTIONS[tok.value]) {
+                    expect('(');
+                    const v = FUNCTIONS[tok.value](expression(env));
+                    expect(')');
+                    return v;
+                }
+                throw syntaxError(`Unknown identifier "${tok.value}"`, tok);
+            }
+            throw syntaxError(`Expected an expression but found "${tok.text}"`, tok);
+        }
+
+        // q or q[i] of a declared register
+        function operand(registers, kind) {
+            const tok = identifier(`a ${kind} register`);
+            if (!registers.has(tok.value)) throw syntaxError(`Undeclared ${kind} register "${tok.value}"`, tok);
+            const size = registers.get(tok.value);
+            let index = null;
+            if (is('[')) {
+                next();
+                const at = peek();
+                index = integer();
+                if (index >= size) throw syntaxError(`Index ${index} out of range for ${tok.value}[${size}]`, at);
+                expect(']');
+            } else if (kind === 'quantum' && size !== 1) {
+                throw syntaxError(`"${tok.value}" has ${size} qubits; address one, e.g. ${tok.value}[0]`, tok);
+            }
+            return { name: tok.value, index };
+        }
+
+        function declare(registers, nameTok, size) {
+            if (qregs.has(nameTok.value) || cregs.has(nameTok.value) || inputs.has(nameTok.value)) throw syntaxError(`"${nameTok.value}" is already declared`, nameTok);
+            if (size < 1) throw syntaxError('Register size must be at least 1', nameTok);
+            registers.set(nameTok.value, size);
+            if (registers === cregs) {
+                bitBase.set(nameTok.value, bitCount);
+                bitCount += size;
+            } else {
+                qubitBase.set(nameTok.value, qubitCount);
+                qubitCount += size;
+            }
+        }
+
+        // q or q[i] → qubit number across the quantum registers
+        function qubit() {
+            const { name, index } = operand(qregs, 'quantum');
+            return qubitBase.get(name) + (index || 0);
+        }
+
+        // c or c[i] → classical bit number; a bare register must be 1 bit wide
+        function classicalBit() {
+            const at = peek();
+            const { name, index } = operand(cregs, 'classical');
+            if (index == null && cregs.get(name) !== 1) {
+                throw syntaxError(`"${name}" has ${cregs.get(name)} bits; address one, e.g. ${name}[0]`, at);
+            }
+            return bitBase.get(name) + (index || 0);
+        }
+
+        // if (c[0] == 1) gate;  /  if (c[0]) { gate; … }
+        function conditional(out) {
+            const ifTok = next();
+            expect('(');
+            const bit = classicalBit();
+            let value = 1;
+            if (is('==')) {
+                next();
+                const at = peek();
+                value = integer();
+                if (value > 1) throw syntaxError(`A bit can only be compared with 0 or 1, not ${value}`, at);
+            }
+            expect(')');
+            const body = [];
+            const condition = { bit, value };
+            const one = () => {
+                if (is('measure') || (cregs.has(peek().value) && (is('=', 1) || is('[', 1)))) {
+                    throw syntaxError('Conditional measurements are not supported', peek());
+                }
+                gateCall(null, null, body);
+            };
+            if (is('{')) {
+                next();
+                while (!is('}')) {
+                    if (peek().type === 'eof') throw syntaxError('Unclosed if body', ifTok);
+                    one();
+                }
+                next();
+            } else {
+                one();
+            }
+            if (is('else')) throw syntaxError('else branches are not supported', peek());
+            out.push(...body.map(op => ({ ...op, condition })));
+        }
+
+        // Gate call: name(params) qarg; — expanded into ops on that qubit (or
+        // into a definition body, whose ops get the qubit of the outer call)
+        function gateCall(env, qargs, out) {
+            const nameTok = identifier('a gate name');
+            const args = [];
+            const pushArgument = () => {
+                const at = peek();
+                const arg = argument(env);
+                if (!checking && typeof arg === 'number' && !Number.isFinite(arg)) {
+                    throw syntaxError(`Parameter of "${nameTok.value}" is not a finite number`, at);
+                }
+                args.push(arg);
+            };
+            if (is('(')) {
+                next();
+                if (!is(')')) {
+                    pushArgument();
+                    while (is(',')) { next(); pushArgument(); }
+                }
+                expect(')');
+            }
+            if (is('@')) throw syntaxError('Gate modifiers are not supported', peek());
+            let target = null;
+            if (qargs) {
+                const q = identifier('a qubit argument');
+                if (!qargs.includes(q.value)) throw syntaxError(`Unknown qubit argument "${q.value}"`, q);
+            } else {
+                target = qubit();
+            }
+            if (is(',')) throw syntaxError('Multi-qubit gates are not supported', peek());
+            expect(';');
+            const expanded = expandGate(nameTok, args);
+            out.push(...(target == null ? expanded : expanded.map(op => ({ ...op, qubit: target }))));
+        }
+
+        // An expression, or an input on its own (top-level calls only)
+        function argument(env) {
+            const tok = peek();
+            if (!env && tok.type === 'id' && inputs.has(tok.value) && (is(',', 1) || is(')', 1))) {
+                next();
+                return { input: tok };
+            }
+            return expression(env);
+        }
+
+        function expandGate(nameTok, args) {
+            const name = nameTok.value;
+            const arity = n => {
+                if (args.length !== n) throw syntaxError(`"${name}" takes ${n} parameter${n === 1 ? '' : 's'}, got ${args.length}`, nameTok);
+            };
+            const input = args.find(a => typeof a === 'object');
+            if (input) {
+                if (!SYMBOLIC[name] || defs.has(name)) throw syntaxError(`Input "${input.input.value}" can only be passed to rx, ry, rz or p`, input.input);
+                arity(1);
+                const symbol = inputs.get(input.input.value);
+                return [{ type: 'gate', name: SYMBOLIC[name], param: Composer.getParameter(symbol), symbol }];
+            }
+            if (defs.has(name)) {
+                const def = defs.get(name);
+                arity(def.params.length);
+                try {
+                    return def.body(new Map(def.params.map((p, k) => [p, args[k]])));
+                } catch (e) {
+                    // e.g. division by zero for these arguments: report the call
+                    if (e.reason == null) throw e;
+                    throw syntaxError(`${e.reason} in the body of "${name}" (line ${e.line}, col ${e.column})`, nameTok);
+                }
+            }
+            if (STANDARD[name]) {
+                arity(STANDARD[name].params);
+                return STANDARD[name].ops(args);
+            }
+            if (custom.has(name)) {
+                arity(0);
+                return [gate(name)];
+            }
+            throw syntaxError(`Unknown gate "${name}"`, nameTok);
+        }
+
+        // gate name(a, b) r { … } — the body is re-parsed per call with its parameters bound
+        function gateDefinition() {
+            const nameTok = identifier('a gate name');
+            if (defs.has(nameTok.value) || STANDARD[nameTok.value]) throw syntaxError(`Gate "${nameTok.value}" is already defined`, nameTok);
+            const params = [];
+            if (is('(')) {
+                next();
+                if (!is(')')) {
+                    params.push(identifier('a parameter name').value);
+                    while (is(',')) { next(); params.push(identifier('a parameter name').value); }
+                }
+                expect(')');
+            }
+            const qargs = [identifier('a qubit argument').value];
+            if (is(',')) throw syntaxError('Multi-qubit gate definitions are not supported', peek());
+            expect('{');
+            const start = pos;
+            let depth = 1;
+            while (depth > 0) {
+                const tok = next();
+                if (tok.type === 'eof') throw syntaxError(`Unclosed body of gate "${nameTok.value}"`, nameTok);
+                if (tok.type === 'sym' && tok.value === '{') depth++;
+                if (tok.type === 'sym' && tok.value === '}') depth--;
+            }
+            const end = pos - 1;
+            const def = {
+                params,
+                body: env => {
+                    const saved = pos;
+                    const out = [];
+                    pos = start;
+                    try {
+                        while (pos < end) {
+                            if (is('barrier')) { skipStatement(); continue; }
+                            gateCall(env, qargs, out);
+                        }
+                    } finally {
+                        pos = saved;
+                    }
+                    return out;
+                }
+            };
+            // Check the body's structure once, before the gate is visible (so
+            // it cannot call itself). Parameters are NaN: expressions that
+            // depend on them are only evaluated, and can only fail, per call.
+            checking = true;
+            try {
+                def.body(new Map(params.map(p => [p, NaN])));
+            } finally {
+                checking = false;
+            }
+            defs.set(nameTok.value, def);
+        }
+
+        function skipStatement() {
+            while (!is(';')) {
+                if (peek().type === 'eof') throw syntaxError('Missing ";"', peek());
+                next();
+            }
+            next();
+        }
+
+        function statement() {
+            const tok = peek();
+            if (tok.type !== 'id') throw syntaxError(`Unexpected "${tok.text}"`, tok);
+            switch (tok.value) {
+                case 'OPENQASM': {
+                    if (pos !== 0) throw syntaxError('OPENQASM must be the first statement', tok);
+                    next();
+                    const ver = next();
+                    if (ver.type !== 'num' || ![2, 3].includes(Math.floor(ver.value))) {
+                        throw syntaxError(`Unsupported OpenQASM version "${ver.text}"`, ver);
+                    }
+                    expect(';');
+                    return;
+                }
+                case 'include': {
+                    next();
+                    const file = next();
+                    if (file.type !== 'str') throw syntaxError('Expected a quoted file name', file);
+                    if (!INCLUDES.includes(file.value)) throw syntaxError(`Cannot include "${file.value}"`, file);
+                    expect(';');
+                    return;
+                }
+                case 'qreg':
+                case 'creg': {
+                    next();
+                    const nameTok = identifier('a register name');
+                    expect('[');
+                    const size = integer();
+                    expect(']');
+                    expect(';');
+                    declare(tok.value === 'qreg' ? qregs : cregs, nameTok, size);
+                    return;
+                }
+                case 'qubit':
+                case 'bit': {
+                    next();
+                    let size = 1;
+                    if (is('[')) { next(); size = integer(); expect(']'); }
+                    const nameTok = identifier('a register name');
+                    expect(';');
+                    declare(tok.value === 'qubit' ? qregs : cregs, nameTok, size);
+                    return;
+                }
+                case 'gate':
+                    next();
+                    gateDefinition();
+                    return;
+                case 'input': {
+                    next();
+                    const typeTok = identifier('a parameter type');
+                    if (!['angle', 'float'].includes(typeTok.value)) throw syntaxError(`Inputs must be angle or float, not "${typeTok.value}"`, typeTok);
+                    if (is('[')) { next(); integer(); expect(']'); }
+                    const nameTok = identifier('a parameter name');
+                    const symbol = Composer.parameterSymbol(nameTok.value);
+                    if (!symbol) throw syntaxError(`Name inputs theta1, theta2, …, not "${nameTok.value}"`, nameTok);
+                    if (inputs.has(nameTok.value) || qregs.has(nameTok.value) || cregs.has(nameTok.value)) {
+                        throw syntaxError(`"${nameTok.value}" is already declared`, nameTok);
+                    }
+                    expect(';');
+                    inputs.set(nameTok.value, symbol);
+                    return;
+                }
+                case 'barrier':
+                    skipStatement();
+                    return;
+                case 'measure': {
+                    next();
+                    const target = qubit();
+                    let bit = ops.filter(op => op.type === 'measure').length;
+                    if (is('->')) { next(); bit = classicalBit(); }
+                    expect(';');
+                    ops.push({ type: 'measure', bit, qubit: target });
+                    return;
+                }
+                case 'if':
+                    conditional(ops);
+                    return;
+                default:
+                    // c[0] = measure q[0];
+                    if (cregs.has(tok.value) && (is('=', 1) || is('[', 1))) {
+                        const bit = classicalBit();
+                        expect('=');
+                        expect('measure');
+                        const target = qubit();
+                        expect(';');
+                        ops.push({ type: 'measure', bit, qubit: target });
+                        return;
+                    }
+                    if (!qregs.size) throw syntaxError('Declare a qubit register before using it', tok);
+                    gateCall(null, null, ops);
+            }
+        }
+
+        while (peek().type !== 'eof') statement();
+        return ops;
+    }
+
+    // Heuristic used by the circuit box to pick the parser
+    function isQasm(text) {
+        return /^\s*(OPENQASM|include|qreg|qubit|creg|bit|gate|input)\b/m.test(text) || text.includes(';');
+    }
+
+    // ─── Export ────
+    // Angles as simple multiples of π where possible
+    function formatAngle(a) {
+        for (let den = 1; den <= 16; den++) {
+            const num = Math.round(a / PI * den);
+            if (num !== 0 && Math.abs(a - num * PI / den) < 1e-10) {
+                const sign = num < 0 ? '-' : '';
+                const n = Math.abs(num);
+                return sign + (n === 1 ? '' : n + '*') + 'pi' + (den === 1 ? '' : '/' + den);
+            }
+        }
+        return Math.abs(a) < 1e-15 ? '0' : String(+a.toPrecision(12));
+    }
+
+    // ops → program text. version: 2 or 3.
+    function serialize(ops, { version = 3 } = {}) {
+        if (![2, 3].includes(version)) throw new Error('OpenQASM version must be 2 or 3');
+        if (ops.some(op => op.type === 'exchange')) {
+            throw new Error('OpenQASM export supports single-qubit gates only; remove the two-qubit gates first');
+        }
+        const customs = new Map(SpinPhysics.getRegisteredGates().map(g => [g.name, g]));
+        // Bit written by each measurement (default: c_k for the k-th)
+        let measured = 0;
+        const bitOf = new Map(ops.filter(op => op.type === 'measure')
+            .map(op => { const k = measured++; return [op, op.bit == null ? k : op.bit]; }));
+        const bits = Math.max(0, ...bitOf.values(), ...ops.filter(op => op.condition).map(op => op.condition.bit)) + 1;
+        const used = ops.some(op => op.type === 'measure' || op.condition);
+        // 2.0 conditions test whole registers: one register per bit
+        const split = version === 2 && ops.some(op => op.condition);
+        const bitRef = k => split ? `c${k}[0]` : `c[${k}]`;
+        const lines = version === 2
+            ? ['OPENQASM 2.0;', 'include "qelib1.inc";']
+            : ['OPENQASM 3.0;', 'include "stdgates.inc";'];
+
+        // Custom gates become definitions over U(θ, φ, λ)
+        const customNames = [...new Set(ops.filter(op => op.type === 'gate' && !EXPORT_NAMES[op.name]).map(op => op.name))];
+        for (const name of customNames) {
+            const g = customs.get(name);
+            if (!g) throw new Error(`Cannot export unknown gate "${name}"`);
+            if (!/^[A-Za-z_]\w*$/.test(name) || STANDARD[name]) throw new Error(`Gate name "${name}" is not a valid QASM identifier`);
+            const { theta, phi, lambda } = SpinPhysics.decomposeZYZ(g.matrix);
+            lines.push(`gate ${name} a { U(${[theta, phi, lambda].map(formatAngle).join(', ')}) a; }`);
+        }
+
+        // θ1 → input angle[32] theta1;
+        const inputName = symbol => 'theta' + symbol.slice(1);
+        if (version === 3) {
+            for (const symbol of new Set(ops.filter(op => op.symbol).map(op => op.symbol))) {
+                lines.push(`input angle[32] ${inputName(symbol)};`);
+            }
+        }
+
+        // Qubit n is q[n]; ops without one act on the active qubit
+        const qubitOf = op => (op.qubit != null ? op.qubit : Composer.qubitsOf([op])[0]);
+        const width = Math.max(0, ...ops.map(qubitOf)) + 1;
+        lines.push(version === 2 ? `qreg q[${width}];` : `qubit[${width}] q;`);
+        if (split) {
+            for (let k = 0; k < bits; k++) lines.push(`creg c${k}[1];`);
+        } else if (used) {
+            lines.push(version === 2 ? `creg c[${bits}];` : `bit[${bits}] c;`);
+        }
+
+        for (const op of ops) {
+            if (op.type === 'measure') {
+                const ref = bitRef(bitOf.get(op));
+                const q = `q[${qubitOf(op)}]`;
+                lines.push(version === 2 ? `measure ${q} -> ${ref};` : `${ref} = measure ${q};`);
+                continue;
+            }
+            let call;
+            if (EXPORT_NAMES[op.name]) {
+                const rotation = op.name[0] === 'R';
+                const angle = op.param == null ? PI / 2 : op.param;
+                const arg = op.symbol && version === 3 ? inputName(op.symbol) : formatAngle(angle);
+                call = `${EXPORT_NAMES[op.name]}${rotation ? `(${arg})` : ''} q[${qubitOf(op)}];`;
+            } else {
+                call = `${op.name} q[${qubitOf(op)}];`;
+            }
+            if (op.condition) {
+                const { bit, value } = op.condition;
+                call = (split ? `if(c${bit}==${value}) ` : `if (c[${bit}] == ${value}) `) + call;
+            }
+            lines.push(call);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { parse, serialize, isQasm, formatAngle, STANDARD };
+})();
@@ -2,43 +2,64 @@
  * quantumComputing.js — Quantum Computing I/O Panel
  *
  * Provides input/output for quantum gate operations:
- *   - Gate sequence input (click buttons or type circuit)
+ *   - Gate sequence input (click buttons, type a circuit or paste OpenQASM)
+ *   - Export of the run circuit as OpenQASM 2.0 / 3.0 (Qasm)
+ *   - Custom gates: a 2×2 unitary or a Hamiltonian + duration, registered
+ *     with SpinPhysics and usable from buttons and the circuit text box
+ *   - Exchange two-qubit gates between the active and partner lattice
+ *     qubits: CNOT(Q0,Q1) in the circuit, one composer wire per qubit
+ *   - Gates and measurements on any lattice qubit: H@Q2 in the circuit.
+ *     applyOp makes the target qubit active for the op and hands the active
+ *     slot back afterwards; buttons act on the active qubit
  *   - State vector output (amplitudes, probabilities, Bloch angles)
- *   - Measurement with wavefunction collapse
+ *   - Measurement with wavefunction collapse into a classical bit, and
+ *     gates conditioned on a bit. With ideal or PSB readout the spin is
+ *     left in the measured state, so M IF(c0==1) X is an active reset;
+ *     Elzerman readout already reloads |0⟩, so the same X flips it to |1⟩
  *   - Gate operation history log
- *   - Circuit diagram display
+ *   - Circuit composer (Composer): drag, reorder, delete and edit gates;
+ *     every edit re-runs the circuit from |0⟩ on the qubits it uses (other
+ *     lattice qubits keep their state)
+ *   - Symbolic rotation angles (Rx(θ1), Ry(theta2)) bound by the composer
+ *     and tuned by the variational optimizer (Variational)
  */
 
 const QuantumComputing = (() => {
     let panel;
-    let circuitDisplay;
     let stateOutput;
     let historyLog;
+    let pairInfo;
+    let customRow;
     let isVisible = false;
 
     function init() {
         panel = document.getElementById('qc-panel');
-        circuitDisplay = document.getElementById('qc-circuit');
         stateOutput = document.getElementById('qc-state-output');
         historyLog = document.getElementById('qc-history');
+        pairInfo = document.getElementById('qc-pair-info');
+        customRow = document.getElementById('qc-custom-gate-row');
 
         if (!panel) return;
 
         // Wire gate buttons
-        document.querySelectorAll('.qc-gate-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const gate = btn.getAttribute('data-gate');
-                const param = btn.getAttribute('data-param');
-                applyGate(gate, param ? parseFloat(param) : undefined);
-            });
+        document.querySelectorAll('.qc-gate-btn[data-gate]').forEach(wireGateButton);
+
+        // Two-qubit exchange gates: active qubit (control) ↔ partner (target)
+        document.querySelectorAll('.qc-gate-btn[data-gate2]').forEach(btn => {
+            const gate = btn.getAttribute('data-gate2');
+            Composer.makeDraggable(btn, () => pairOp(gate));
+            btn.addEventListener('click', () => applyTwoQubitGate(gate));
         });
 
         // Measure button
         const measureBtn = document.getElementById('qc-measure-btn');
         if (measureBtn) {
+            Composer.makeDraggable(measureBtn, { type: 'measure' });
             measureBtn.addEventListener('click', () => {
-                const result = SpinPhysics.measure();
-                addToHistory(`MEASURE → |${result}⟩`, result === 0 ? '#1a73e8' : '#ea4335');
+                const op = { type: 'measure', bit: Composer.classicalSize(), qubit: activeId() };
+                runOp(op);
+                Composer.append(op);
+                Composer.setOutcomes(measurementBits());
                 updateDisplay();
             });
         }
@@ -47,10 +68,9 @@ const QuantumComputing = (() => {
         const resetBtn = document.getElementById('qc-reset-btn');
         if (resetBtn) {
             resetBtn.addEventListener('click', () => {
-                SpinPhysics.reset();
-                SpinPhysics.clearGateLog();
-                if (circuitDisplay) circuitDisplay.innerHTML = '<span class="qc-wire-label">|0⟩ ──</span>';
-                if (historyLog) historyLog.innerHTML = '';
+                const ops = Composer.getCircuit();
+                Composer.clear();
+                restart(ops);
                 updateDisplay();
             });
         }
@@ -60,28 +80,213 @@ const QuantumComputing = (() => {
         if (runBtn) {
             runBtn.addEventListener('click', runCircuit);
         }
+
+        // Ctrl/Cmd+Enter runs the circuit box (Enter adds a line for QASM)
+        const circuitInput = document.getElementById('qc-circuit-input');
+        if (circuitInput) {
+            circuitInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    runCircuit();
+                }
+            });
+        }
+
+        const exportBtn = document.getElementById('qc-qasm-export-btn');
+        if (exportBtn) exportBtn.addEventListener('click', exportQasm);
+
+        // Composer edits re-run the circuit from |0⟩ and rewrite the text box
+        Composer.init();
+        Composer.onEdit((ops) => {
+            simulate(ops);
+            if (circuitInput) circuitInput.value = Composer.toText(ops);
+        });
+
+        wireCustomGateForm();
+        renderCustomGates();
     }
 
+    function wireGateButton(btn) {
+        const gate = btn.getAttribute('data-gate');
+        const param = btn.getAttribute('data-param');
+        const op = { type: 'gate', name: gate, param: param ? parseAngle(param) : undefined };
+        Composer.makeDraggable(btn, op);
+        btn.addEventListener('click', () => applyGate(op.name, op.param));
+    }
+
+    // Append a gate on the active qubit to the circuit, applied to the live spin
     function applyGate(gateName, param) {
-        SpinPhysics.applyGate(gateName, param);
+        const op = { type: 'gate', name: gateName, param, qubit: activeId() };
+        if (!runOp(op)) return;
+        Composer.append(op);
+        updateDisplay();
+    }
+
+    function activeId() {
+        const active = typeof Lattice !== 'undefined' ? Lattice.getActiveQubit() : null;
+        return active ? active.id : 0;
+    }
+
+    // Apply one circuit op to the live spin and log it; an op that fails is
+    // logged and its error thrown. A measurement's log entry records the bit
+    // it wrote; a gate whose condition fails is skipped (and not logged).
+    function applyOp(op) {
+        if (op.type === 'exchange') {
+            const [a, b] = op.qubits;
+            const label = `${Exchange.getLabel(op.name)} Q${a},Q${b}`;
+            try {
+                Exchange.apply(op.name, a, b);
+            } catch (e) {
+                throw logged(`${label}: ${e.message}`);
+            }
+            addToHistory(label, '#fbbc04');
+            return;
+        }
+        onQubit(op.qubit, () => applyLocalOp(op));
+    }
+
+    // Same, but false on error (the error is in the history)
+    function runOp(op) {
+        try {
+            applyOp(op);
+            return true;
+        } catch (e) {
+            if (!e.logged) throw e;
+            return false;
+        }
+    }
+
+    function logged(message) {
+        addToHistory(message, '#ea4335');
+        const err = new Error(message);
+        err.logged = true;
+        return err;
+    }
+
+    // Run fn with lattice qubit id active, then make the previous qubit
+    // active again (its state is kept meanwhile)
+    function onQubit(id, fn) {
+        const home = typeof Lattice !== 'undefined' ? Lattice.getActiveQubit() : null;
+        if (!home || id == null || id === home.id) return fn();
+        if (!Lattice.setActiveQubit(id)) throw logged(`Q${id} is not in the lattice`);
+        try {
+            return fn();
+        } finally {
+            Lattice.setActiveQubit(home.id);
+        }
+    }
 
-        // Update circuit diagram
-        if (circuitDisplay) {
-            const gateEl = document.createElement('span');
-            gateEl.className = 'qc-gate-block';
-            gateEl.textContent = param ? `${gateName}(${(param / Math.PI).toFixed(1)}π)` : gateName;
-            circuitDisplay.appendChild(gateEl);
+    // A gate or measurement on the active qubit
+    function applyLocalOp(op) {
+        const on = op.qubit != null ? ` @Q${op.qubit}` : '';
+        if (op.type === 'measure') {
+            const result = SpinPhysics.measure();
+            const entry = SpinPhysics.getGateLog().slice(-1)[0];
+            if (entry && entry.gate === 'MEASURE' && op.bit != null) entry.bit = op.bit;
+            logMeasurement(result, op.bit, on);
+            return;
+        }
+        if (!conditionMet(op, classicalBits())) {
+            const { bit, value } = op.condition;
+            addToHistory(`${op.name}${on} skipped (c${bit} ≠ ${value})`, '#9aa0a6');
+            return;
+        }
+        try {
+            SpinPhysics.applyGate(op.name, op.param);
+        } catch (e) {
+            throw logged(e.message);
+        }
+        const angle = op.param ? (op.param / Math.PI).toFixed(2) + 'π' : '';
+        addToHistory(`${op.name}${op.symbol ? `(${op.symbol} = ${angle || 0})` : angle ? `(${angle})` : ''}${on}`, '#1a73e8');
+    }
 
-            const wire = document.createElement('span');
-            wire.className = 'qc-wire';
-            wire.textContent = '──';
-            circuitDisplay.appendChild(wire);
+    // Fresh |0⟩ on the active qubit (through the readout model's preparation)
+    // and on every other qubit ops act on, empty log. The rest of the lattice
+    // keeps its state.
+    function restart(ops = []) {
+        const active = typeof Lattice !== 'undefined' ? Lattice.getActiveQubit() : null;
+        if (active) {
+            const ids = Composer.qubitsOf(ops);
+            for (const q of Lattice.getQubits()) {
+                if (q !== active && ids.includes(q.id)) QubitRegister.resetQubit(q.regIndex);
+            }
         }
+        SpinPhysics.reset();
+        SpinPhysics.clearGateLog();
+        if (historyLog) historyLog.innerHTML = '';
+        initializeSpin();
+    }
 
-        addToHistory(`${gateName}${param ? '(' + (param / Math.PI).toFixed(2) + 'π)' : ''}`, '#1a73e8');
+    // Re-run a whole circuit from |0⟩ on its qubits
+    function simulate(ops) {
+        restart(ops);
+        for (const op of ops) runOp(op);
+        Composer.setOutcomes(measurementBits());
         updateDisplay();
     }
 
+    // Measurement outcomes of the current run, in circuit order
+    function measurementBits() {
+        return SpinPhysics.getGateLog().filter(e => e.gate === 'MEASURE').map(e => e.result);
+    }
+
+    // Classical register of the current run: the last result written to
+    // each bit (unwritten bits read 0)
+    function classicalBits() {
+        const bits = new Array(Composer.classicalSize()).fill(0);
+        for (const e of SpinPhysics.getGateLog()) {
+            if (e.gate === 'MEASURE' && e.bit != null) bits[e.bit] = e.result;
+        }
+        return bits;
+    }
+
+    // Does a (possibly conditioned) gate run, given the bits so far?
+    function conditionMet(op, bits) {
+        return !op.condition || (bits[op.condition.bit] || 0) === op.condition.value;
+    }
+
+    // Exchange gate on the active qubit (control) and its partner; null without a pair
+    function pairOp(gate) {
+        const a = Lattice.getActiveQubit();
+        const b = Lattice.getPartnerQubit();
+        return a && b ? { type: 'exchange', name: gate, qubits: [a.id, b.id] } : null;
+    }
+
+    // Runs in simulated time; the op joins the circuit when the gate is done
+    function applyTwoQubitGate(gate) {
+        const op = pairOp(gate);
+        const label = Exchange.getLabel(gate);
+        if (!op) {
+            addToHistory(`${label}: shift-click a partner qubit first`, '#ea4335');
+            return;
+        }
+        const [a, b] = op.qubits;
+        try {
+            const { duration } = Exchange.start(gate, a, b, () => {
+                addToHistory(`${label} Q${a},Q${b}`, '#fbbc04');
+                Composer.append(op);
+                updateDisplay();
+            });
+            addToHistory(`${label} started (${Decoherence.formatTime(duration)})`, '#5f6368');
+        } catch (e) {
+            addToHistory(`${label}: ${e.message}`, '#ea4335');
+        }
+    }
+
+    function updatePairInfo() {
+        if (!pairInfo) return;
+        const a = Lattice.getActiveQubit();
+        const b = Lattice.getPartnerQubit();
+        if (!a || !b) {
+            pairInfo.textContent = 'Shift-click a neighboring qubit to pair it with the active qubit';
+            return;
+        }
+        const J = Lattice.getExchange(a.id, b.id);
+        pairInfo.textContent = J > 0
+            ? `Q${a.id} ↔ Q${b.id} · J = ${(J / 1e6).toFixed(2)} MHz · t_SWAP = ${Decoherence.formatTime(Exchange.getGateTime('SWAP', J))}`
+            : `Q${a.id} ↔ Q${b.id} · not exchange-coupled`;
+    }
+
     function addToHistory(text, color) {
         if (!historyLog) return;
         const entry = document.createElement('div');
@@ -95,77 +300,300 @@ const QuantumComputing = (() => {
         }
     }
 
+    // Readout outcome, flagged when it disagrees with the projected spin
+    function logMeasurement(result, bit, on = '') {
+        const entry = SpinPhysics.getGateLog().slice(-1)[0];
+        const flag = entry && entry.readout && entry.readout.error ? ' ⚠ readout error' : '';
+        const target = bit != null ? ` → c${bit}` : '';
+        addToHistory(`MEASURE${on} → |${result}⟩${target}${flag}`, result === 0 ? '#1a73e8' : '#ea4335');
+    }
+
+    // Lattice-wide Measure All: one entry with every qubit's outcome
+    function logMeasureAll(results) {
+        if (!results.length) return;
+        addToHistory(`MEASURE ALL → ${results.map(r => `Q${r.id}=${r.result}`).join(' ')}`, '#ea4335');
+    }
+
+    // Load the spin through the readout model (may pick up a preparation error)
+    function initializeSpin() {
+        if (typeof Readout === 'undefined' || Readout.getParams().mode === 'ideal') return;
+        if (Readout.initialize() === 1) addToHistory('INIT → |1⟩ ⚠ preparation error', '#ea4335');
+    }
+
     function updateDisplay() {
+        updatePairInfo();
         if (!stateOutput) return;
         const sv = SpinPhysics.getStateVector();
         const p0 = SpinPhysics.getP0();
         const p1 = SpinPhysics.getP1();
         const angles = SpinPhysics.getBlochAngles();
+        const bloch = SpinPhysics.getBlochVector();
+        const bits = classicalBits();
+
+        const complex = z => `${z.re.toFixed(4)} ${z.im >= 0 ? '+' : '−'} ${Math.abs(z.im).toFixed(4)}i`;
+        const angle = a => `${(a / Math.PI).toFixed(4)}π = ${(a * 180 / Math.PI).toFixed(1)}°`;
+        UI.showRows(stateOutput, [
+            ['α (|0⟩):', complex(sv.alpha)],
+            ['β (|1⟩):', complex(sv.beta)],
+            ['P(|0⟩):', `${(p0 * 100).toFixed(2)}%`],
+            ['P(|1⟩):', `${(p1 * 100).toFixed(2)}%`],
+            ['θ (Bloch):', angle(angles.theta)],
+            ['φ (Bloch):', angle(angles.phi)],
+            ['|r| (Bloch):', bloch.length.toFixed(4)],
+            ['Tr(ρ²):', SpinPhysics.getPurity().toFixed(4)]
+        ].concat(bits.length ? [['Classical bits:', bits.map((b, k) => `c${k}=${b}`).join(' ')]] : []));
+    }
+
+    // ─── Expressions ────
+    // Complex arithmetic expressions for matrix entries and angles:
+    // numbers, i, pi, sqrt(…) / √…, exp(…), + − * / and parentheses.
+    // Juxtaposition multiplies, so "0.5pi" and "2i" work.
+    function parseComplex(text) {
+        const src = String(text).replace(/\s+/g, '').toLowerCase();
+        let pos = 0;
+        const c = (re, im = 0) => ({ re, im });
+        const mul = (a, b) => c(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+        const div = (a, b) => {
+            const d = b.re * b.re + b.im * b.im;
+            if (d === 0) throw new Error(`Division by zero in "${text}"`);
+            return c((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+        };
+        const sqrt = a => {
+            const r = Math.hypot(a.re, a.im), t = Math.atan2(a.im, a.re) / 2;
+            return c(Math.sqrt(r) * Math.cos(t), Math.sqrt(r) * Math.sin(t));
+        };
+        const exp = a => c(Math.exp(a.re) * Math.cos(a.im), Math.exp(a.re) * Math.sin(a.im));
+        const fail = () => { throw new Error(`Cannot parse "${text}" at position ${pos + 1}`); };
+        const startsFactor = () => pos < src.length && /[0-9.ipse√(]/.test(src[pos]);
+
+        function expr() {
+            let v = term();
+            while (src[pos] === '+' || src[pos] === '-') {
+                const op = src[pos++];
+                const t = term();
+                v = op === '+' ? c(v.re + t.re, v.im + t.im) : c(v.re - t.re, v.im - t.im);
+            }
+            return v;
+        }
+        function term() {
+            let v = unary();
+            for (;;) {
+                if (src[pos] === '*') { pos++; v = mul(v, unary()); }
+                else if (src[pos] === '/') { pos++; v = div(v, unary()); }
+                else if (startsFactor()) v = mul(v, factor());
+                else return v;
+            }
+        }
+        function unary() {
+            if (src[pos] === '-') { pos++; const v = unary(); return c(-v.re, -v.im); }
+            if (src[pos] === '+') { pos++; return unary(); }
+            return factor();
+        }
+        function factor() {
+            const num = src.slice(pos).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/);
+            if (num) { pos += num[0].length; return c(parseFloat(num[0])); }
+            if (src.startsWith('pi', pos)) { pos += 2; return c(Math.PI); }
+            if (src.startsWith('sqrt(', pos)) { pos += 4; return sqrt(factor()); }
+            if (src.startsWith('exp(', pos)) { pos += 3; return exp(factor()); }
+            if (src[pos] === '√') { pos++; return sqrt(factor()); }
+            if (src[pos] === 'i') { pos++; return c(0, 1); }
+            if (src[pos] === '(') {
+                pos++;
+                const v = expr();
+                if (src[pos] !== ')') fail();
+                pos++;
+                return v;
+            }
+            return fail();
+        }
+
+        if (!src) throw new Error('Empty expression');
+        const v = expr();
+        if (pos !== src.length) fail();
+        return v;
+    }
+
+    function parseAngle(text) {
+        const v = parseComplex(text);
+        if (Math.abs(v.im) > 1e-12) throw new Error(`Angle "${text}" must be real`);
+        return v.re;
+    }
+
+    // Rotation angle or parameter symbol → { param, symbol? } (bound value)
+    function parseParameter(text) {
+        const symbol = Composer.parameterSymbol(text);
+        if (symbol) return { param: Composer.getParameter(symbol), symbol };
+        return { param: parseAngle(text) };
+    }
+
+    // ─── Circuit Parsing ────
+    // "H X Rx(pi/2) MyGate MEASURE" → [{ type: 'gate', name, param } | { type: 'measure', bit }]
+    // Built-in names are case-insensitive; custom gates match exactly first.
+    // M(c1) measures into bit c1 (plain M: c_k for the k-th measurement);
+    // IF(c0==1) conditions the gate that follows it. CNOT(Q0,Q1) (also CZ,
+    // SWAP, SQRT_SWAP) is an exchange gate on lattice qubits Q0 → Q1.
+    // OpenQASM programs are handed to Qasm.parse. Errors name line and column.
+    function parseCircuit(text) {
+        if (typeof Qasm !== 'undefined' && Qasm.isQasm(text)) return Qasm.parse(text);
+
+        const ops = [];
+        const custom = SpinPhysics.getRegisteredGates().map(g => g.name);
+        let condition = null;
+        let measured = 0;
+        for (const m of text.matchAll(/\S+/g)) {
+            try {
+                const cond = m[0].match(/^if\(c(\d+)==([01])\)$/i);
+                if (cond) {
+                    if (condition) throw new Error('IF must be followed by a gate');
+                    condition = { bit: parseInt(cond[1], 10), value: parseInt(cond[2], 10) };
+                    continue;
+                }
+                const op = parseTarget(m[0], custom);
+                if (op.type === 'exchange' && condition) {
+                    throw new Error('Two-qubit gates cannot be conditioned');
+                } else if (op.type === 'measure') {
+                    if (condition) throw new Error('Measurements cannot be conditioned');
+                    if (op.bit == null) op.bit = measured;
+                    measured++;
+                } else if (condition) {
+                    op.condition = condition;
+                    condition = null;
+                }
+                ops.push(op);
+            } catch (e) {
+                const before = text.slice(0, m.index).split('\n');
+                const line = before.length, column = before[before.length - 1].length + 1;
+                const err = new Error(`Line ${line}, col ${column}: ${e.message}`);
+                err.line = line;
+                err.column = column;
+                throw err;
+            }
+        }
+        if (condition) throw new Error('IF must be followed by a gate');
+        return ops;
+    }
+
+    // A token with an optional @Qn naming the qubit of a gate or measurement
+    function parseTarget(token, custom) {
+        const at = token.match(/^(.+)@q(\d+)$/i);
+        if (!at) return parseToken(token, custom);
+        const op = parseToken(at[1], custom);
+        if (op.type === 'exchange') throw new Error(`Two-qubit gates name their qubits in parentheses, not "${token}"`);
+        op.qubit = parseInt(at[2], 10);
+        return op;
+    }
+
+    function parseToken(token, custom) {
+        const rot = token.match(/^(rx|ry|rz)\((.+)\)$/i);
+        if (rot) return { type: 'gate', name: 'R' + rot[1][1].toLowerCase(), ...parseParameter(rot[2]) };
+        const upper = token.toUpperCase();
+        if (upper === 'M' || upper === 'MEASURE') return { type: 'measure' };
+        const into = token.match(/^(?:m|measure)\(c(\d+)\)$/i);
+        if (into) return { type: 'measure', bit: parseInt(into[1], 10) };
+        const pair = token.match(/^(\w+)\(q(\d+),q(\d+)\)$/i);
+        if (pair && Exchange.isGate(pair[1].toUpperCase())) {
+            return { type: 'exchange', name: pair[1].toUpperCase(), qubits: [parseInt(pair[2], 10), parseInt(pair[3], 10)] };
+        }
+        if (/^if\b/i.test(token)) throw new Error(`Write conditions as IF(c0==1), not "${token}"`);
+        if (custom.includes(token)) return { type: 'gate', name: token };
+        if (['X', 'Y', 'Z', 'H', 'S', 'T'].includes(upper)) return { type: 'gate', name: upper };
+        const match = custom.find(n => n.toUpperCase() === upper);
+        if (!match) throw new Error(`Unknown gate "${token}"`);
+        return { type: 'gate', name: match };
+    }
 
-        stateOutput.innerHTML = `
-            <div class="qc-sv-row">
-                <span class="qc-sv-label">α (|0⟩):</span>
-                <span class="qc-sv-val">${sv.alpha.re.toFixed(4)} ${sv.alpha.im >= 0 ? '+' : '−'} ${Math.abs(sv.alpha.im).toFixed(4)}i</span>
-            </div>
-            <div class="qc-sv-row">
-                <span class="qc-sv-label">β (|1⟩):</span>
-                <span class="qc-sv-val">${sv.beta.re.toFixed(4)} ${sv.beta.im >= 0 ? '+' : '−'} ${Math.abs(sv.beta.im).toFixed(4)}i</span>
-            </div>
-            <div class="qc-sv-row">
-                <span class="qc-sv-label">P(|0⟩):</span>
-                <span class="qc-sv-val">${(p0 * 100).toFixed(2)}%</span>
-            </div>
-            <div class="qc-sv-row">
-                <span class="qc-sv-label">P(|1⟩):</span>
-                <span class="qc-sv-val">${(p1 * 100).toFixed(2)}%</span>
-            </div>
-            <div class="qc-sv-row">
-                <span class="qc-sv-label">θ (Bloch):</span>
-                <span class="qc-sv-val">${(angles.theta / Math.PI).toFixed(4)}π = ${(angles.theta * 180 / Math.PI).toFixed(1)}°</span>
-            </div>
-            <div class="qc-sv-row">
-                <span class="qc-sv-label">φ (Bloch):</span>
-                <span class="qc-sv-val">${(angles.phi / Math.PI).toFixed(4)}π = ${(angles.phi * 180 / Math.PI).toFixed(1)}°</span>
-            </div>
-        `;
+    // The composer's circuit (what the panel shows and runs)
+    function currentCircuit() { return Composer.getCircuit(); }
+
+    function exportQasm() {
+        const input = document.getElementById('qc-circuit-input');
+        const version = document.getElementById('qc-qasm-version');
+        try {
+            const text = Qasm.serialize(currentCircuit(), { version: version ? parseInt(version.value, 10) : 3 });
+            if (input) {
+                input.value = text;
+                input.select();
+            }
+            if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => { });
+            addToHistory('Exported circuit as OpenQASM', '#34a853');
+        } catch (e) {
+            addToHistory(e.message, '#ea4335');
+        }
     }
 
     // Run a pre-built circuit sequence
     function runCircuit() {
         const input = document.getElementById('qc-circuit-input');
         if (!input) return;
-        const circuit = input.value.trim().toUpperCase();
+        const circuit = input.value.trim();
         if (!circuit) return;
 
-        SpinPhysics.reset();
-        SpinPhysics.clearGateLog();
-        if (circuitDisplay) circuitDisplay.innerHTML = '<span class="qc-wire-label">|0⟩ ──</span>';
-        if (historyLog) historyLog.innerHTML = '';
+        let ops;
+        try {
+            ops = parseCircuit(circuit);
+        } catch (e) {
+            addToHistory(e.message, '#ea4335');
+            return;
+        }
 
-        // Parse: H X Z MEASURE, or Rx(0.5pi)
-        const gates = circuit.split(/\s+/);
-        let delay = 0;
-        for (const g of gates) {
-            const match = g.match(/^(RX|RY|RZ)\(([^)]+)\)$/i);
-            if (match) {
-                const name = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
-                let angle = parseFloat(match[2]);
-                if (match[2].toLowerCase().includes('pi')) {
-                    angle = parseFloat(match[2]) * Math.PI;
+        Composer.setCircuit(ops);
+        simulate(Composer.getCircuit());
+    }
+
+    // ─── Custom Gates ────
+    function wireCustomGateForm() {
+        const addBtn = document.getElementById('qc-custom-add');
+        const modeSelect = document.getElementById('qc-custom-mode');
+        const duration = document.getElementById('qc-custom-duration');
+        const error = document.getElementById('qc-custom-error');
+        if (!addBtn) return;
+
+        const syncMode = () => { if (duration) duration.disabled = modeSelect.value !== 'hamiltonian'; };
+        if (modeSelect) {
+            modeSelect.addEventListener('change', syncMode);
+            syncMode();
+        }
+
+        addBtn.addEventListener('click', () => {
+            const name = document.getElementById('qc-custom-name').value.trim();
+            try {
+                const entries = ['00', '01', '10', '11'].map(k => parseComplex(document.getElementById('qc-custom-m' + k).value));
+                const m = [[entries[0], entries[1]], [entries[2], entries[3]]];
+                if (modeSelect && modeSelect.value === 'hamiltonian') {
+                    // Entries are H/h in MHz, duration in ns
+                    const H = m.map(r => r.map(v => ({ re: v.re * 1e6, im: v.im * 1e6 })));
+                    SpinPhysics.registerGate(name, { hamiltonian: H, duration: parseAngle(duration.value) * 1e-9 });
+                } else {
+                    SpinPhysics.registerGate(name, { matrix: m });
                 }
-                setTimeout(() => applyGate(name, angle), delay);
-            } else if (g === 'MEASURE' || g === 'M') {
-                setTimeout(() => {
-                    const result = SpinPhysics.measure();
-                    addToHistory(`MEASURE → |${result}⟩`, result === 0 ? '#1a73e8' : '#ea4335');
-                    updateDisplay();
-                }, delay);
-            } else if (['X', 'Y', 'Z', 'H', 'S', 'T'].includes(g)) {
-                setTimeout(() => applyGate(g), delay);
+                if (error) error.textContent = '';
+                addToHistory(`Registered gate ${name}`, '#34a853');
+                renderCustomGates();
+            } catch (e) {
+                if (error) error.textContent = e.message;
             }
-            delay += 200;
+        });
+    }
+
+    function renderCustomGates() {
+        if (!customRow) return;
+        customRow.innerHTML = '';
+        const gates = SpinPhysics.getRegisteredGates();
+        for (const g of gates) {
+            const btn = document.createElement('button');
+            btn.className = 'qc-gate-btn qc-custom';
+            btn.setAttribute('data-gate', g.name);
+            btn.title = g.source === 'hamiltonian'
+                ? `exp(−iHt), t = ${Decoherence.formatTime(g.duration)}`
+                : 'Custom unitary';
+            btn.textContent = g.name;
+            wireGateButton(btn);
+            customRow.appendChild(btn);
         }
     }
 
-    return { init, updateDisplay };
+    return {
+        init, updateDisplay, parseCircuit, parseComplex, parseAngle, parseParameter, currentCircuit,
+        renderCustomGates, restart, applyOp, runOp, measurementBits, classicalBits, conditionMet, logMeasureAll
+    };
 })();
@@ -0,0 +1,265 @@
+/**
+ * qubitRegister.js — N-Qubit State-Vector Simulator
+ *
+ * One register slot per lattice qubit:
+ *   |Ψ⟩ = Σ_k c_k |k⟩, up to 2^MAX_QUBITS complex amplitudes
+ *   - Qubit q is bit q of the basis index k
+ *   - Free slots stay in |0⟩; released slots are measured and reset
+ *   - Only the first 2^(highest allocated slot + 1) amplitudes can be
+ *     non-zero, so every operation scans just those (dim)
+ *
+ * The active qubit is the one driven by SpinPhysics: every single-qubit
+ * unitary the 1-qubit solver applies (pulses, precession, gates) is
+ * forwarded here, and selecting a qubit loads its reduced density matrix.
+ *
+ * Decoherence is not unitary, so it cannot be forwarded into |Ψ⟩. When a
+ * qubit stops being active, its mixed state from the solver is kept beside
+ * the register (keepDensityMatrix) and follows later local unitaries on that
+ * qubit; getDensityMatrix returns it, so re-selecting the qubit, its marker
+ * and its measurements keep the decay. It is dropped when the qubit is
+ * measured, reset or takes part in a two-qubit gate, or when something else
+ * changes its reduced state (a measurement of an entangled partner): the
+ * pure register state is all that is known then.
+ *
+ * Per-qubit readouts: reduced Bloch vector (x, y, z, |r|), P(|1⟩), measurement.
+ * Entangled qubits have |r| < 1 even though the register itself is pure.
+ */
+
+const QubitRegister = (() => {
+    const MAX_QUBITS = 16;
+    const DIM = 1 << MAX_QUBITS;
+
+    // Amplitudes, split into real/imaginary arrays
+    const re = new Float64Array(DIM);
+    const im = new Float64Array(DIM);
+    re[0] = 1;
+
+    const used = new Array(MAX_QUBITS).fill(false);
+    let active = 0;
+
+    // Amplitudes in use: free slots above the highest allocated one are |0⟩,
+    // so every index from dim on has a zero amplitude
+    let dim = 2;
+    function resize() {
+        const highest = used.lastIndexOf(true);
+        dim = 1 << Math.max(1, highest + 1);
+    }
+
+    // Reduced Bloch vectors, recomputed lazily per qubit after the state changes.
+    // A local unitary on q leaves every other reduced state untouched.
+    const blochCache = new Array(MAX_QUBITS).fill(null);
+    function invalidateAll() { blochCache.fill(null); }
+
+    // Kept mixed states: { rho, ref } per qubit, ref being the reduced state
+    // rho was kept against (both follow local unitaries)
+    const kept = new Array(MAX_QUBITS).fill(null);
+
+    // ─── Slot Management ────
+    function allocate() {
+        const q = used.indexOf(false);
+        if (q === -1) return null;
+        used[q] = true;
+        resize();
+        resetQubit(q);
+        return q;
+    }
+
+    function release(q) {
+        if (!used[q]) return;
+        resetQubit(q);
+        used[q] = false;
+        resize();
+    }
+
+    // The solver holds the active qubit's mixed state, so nothing is kept for it
+    function setActive(q) {
+        active = q;
+        kept[q] = null;
+        blochCache[q] = null;
+    }
+    function getActive() { return active; }
+    function getUsedCount() { return used.filter(Boolean).length; }
+
+    // ─── Gates ────
+    // U is a 2×2 complex matrix [[{re, im}, ...], ...] acting on qubit q
+    function applyUnitary(q, U) {
+        const bit = 1 << q;
+        const u00r = U[0][0].re, u00i = U[0][0].im, u01r = U[0][1].re, u01i = U[0][1].im;
+        const u10r = U[1][0].re, u10i = U[1][0].im, u11r = U[1][1].re, u11i = U[1][1].im;
+
+        for (let k = 0; k < dim; k++) {
+            if (k & bit) continue;
+            const k1 = k | bit;
+            const ar = re[k], ai = im[k], br = re[k1], bi = im[k1];
+            re[k] = u00r * ar - u00i * ai + u01r * br - u01i * bi;
+            im[k] = u00r * ai + u00i * ar + u01r * bi + u01i * br;
+            re[k1] = u10r * ar - u10i * ai + u11r * br - u11i * bi;
+            im[k1] = u10r * ai + u10i * ar + u11r * bi + u11i * br;
+        }
+        if (kept[q]) kept[q] = { rho: conjugate(U, kept[q].rho), ref: conjugate(U, kept[q].ref) };
+        blochCache[q] = null;
+    }
+
+    // U m U† for 2×2 complex matrices
+    function conjugate(U, m) {
+        const mul = (a, b) => [0, 1].map(i => [0, 1].map(j => {
+            let r = 0, im = 0;
+            for (let k = 0; k < 2; k++) {
+                r += a[i][k].re * b[k][j].re - a[i][k].im * b[k][j].im;
+                im += a[i][k].re * b[k][j].im + a[i][k].im * b[k][j].re;
+            }
+            return { re: r, im };
+        }));
+        const dagger = [0, 1].map(i => [0, 1].map(j => ({ re: U[j][i].re, im: -U[j][i].im })));
+        return mul(mul(U, m), dagger);
+    }
+
+    // U is a 4×4 complex matrix in the basis |q_a q_b⟩ = |00⟩, |01⟩, |10⟩, |11⟩
+    function applyTwoQubitUnitary(a, b, U) {
+        const bitA = 1 << a, bitB = 1 << b;
+        const idx = [0, 0, 0, 0];
+        const vr = [0, 0, 0, 0], vi = [0, 0, 0, 0];
+
+        for (let k = 0; k < dim; k++) {
+            if ((k & bitA) || (k & bitB)) continue;
+            idx[0] = k; idx[1] = k | bitB; idx[2] = k | bitA; idx[3] = k | bitA | bitB;
+            for (let r = 0; r < 4; r++) { vr[r] = re[idx[r]]; vi[r] = im[idx[r]]; }
+            for (let r = 0; r < 4; r++) {
+                let sr = 0, si = 0;
+                for (let c = 0; c < 4; c++) {
+                    const u = U[r][c];
+                    sr += u.re * vr[c] - u.im * vi[c];
+                    si += u.re * vi[c] + u.im * vr[c];
+                }
+                re[idx[r]] = sr; im[idx[r]] = si;
+            }
+        }
+        kept[a] = kept[b] = null;
+        invalidateAll();
+    }
+
+    // ─── Measurement ────
+    function getP1(q) {
+        const bit = 1 << q;
+        let p1 = 0;
+        for (let k = 0; k < dim; k++) {
+            if (k & bit) p1 += re[k] * re[k] + im[k] * im[k];
+        }
+        return p1;
+    }
+
+    // Draws from the kept mixed state, if any
+    function measure(q) {
+        const result = Random.random() < getDensityMatrix(q)[1][1].re ? 1 : 0;
+        collapse(q, result);
+        return result;
+    }
+
+    // Project qubit q onto |bit⟩. If that outcome has vanishing probability
+    // (e.g. the active qubit decayed in SpinPhysics), project onto the other
+    // outcome and flip it so the register agrees with the observed result.
+    function collapse(q, bit) {
+        const mask = 1 << q;
+        const p1 = getP1(q);
+        let keep = bit;
+        if ((bit === 1 ? p1 : 1 - p1) < 1e-12) keep = 1 - bit;
+
+        let norm = 0;
+        for (let k = 0; k < dim; k++) {
+            if (((k & mask) ? 1 : 0) !== keep) {
+                re[k] = 0; im[k] = 0;
+            } else {
+                norm += re[k] * re[k] + im[k] * im[k];
+            }
+        }
+        const s = 1 / Math.sqrt(norm);
+        for (let k = 0; k < dim; k++) { re[k] *= s; im[k] *= s; }
+
+        if (keep !== bit) {
+            applyUnitary(q, [[{ re: 0, im: 0 }, { re: 1, im: 0 }], [{ re: 1, im: 0 }, { re: 0, im: 0 }]]);
+        }
+        kept[q] = null;
+        invalidateAll();
+    }
+
+    function resetQubit(q) { collapse(q, 0); }
+
+    function reset() {
+        re.fill(0, 0, dim); im.fill(0, 0, dim);
+        re[0] = 1;
+        kept.fill(null);
+        invalidateAll();
+    }
+
+    // Copy of the amplitudes in use, and back (CircuitDebugger steps back with it).
+    // Slots allocated since the snapshot come back in |0⟩.
+    function snapshot() { return { re: re.slice(0, dim), im: im.slice(0, dim), kept: kept.slice() }; }
+
+    function restore(s) {
+        const n = Math.min(s.re.length, dim);
+        re.fill(0, 0, dim); im.fill(0, 0, dim);
+        re.set(s.re.subarray(0, n));
+        im.set(s.im.subarray(0, n));
+        s.kept.forEach((k, q) => { kept[q] = k; });
+        invalidateAll();
+    }
+
+    // ─── Reduced States ────
+    // ρ_q = Tr_{others} |Ψ⟩⟨Ψ|
+    function getReducedDensityMatrix(q) {
+        const bit = 1 << q;
+        let p0 = 0, p1 = 0, cr = 0, ci = 0;
+        for (let k = 0; k < dim; k++) {
+            if (k & bit) continue;
+            const k1 = k | bit;
+            const ar = re[k], ai = im[k], br = re[k1], bi = im[k1];
+            p0 += ar * ar + ai * ai;
+            p1 += br * br + bi * bi;
+            // ρ01 += a · conj(b)
+            cr += ar * br + ai * bi;
+            ci += ai * br - ar * bi;
+        }
+        return [
+            [{ re: p0, im: 0 }, { re: cr, im: ci }],
+            [{ re: cr, im: -ci }, { re: p1, im: 0 }]
+        ];
+    }
+
+    // Keep the solver's (possibly decohered) state of a qubit that stops being active
+    function keepDensityMatrix(q, rho) {
+        if (!used[q]) return;
+        kept[q] = { rho: rho.map(row => row.map(v => ({ ...v }))), ref: getReducedDensityMatrix(q) };
+        blochCache[q] = null;
+    }
+
+    // The kept mixed state while the register still agrees with it, else ρ_q
+    function getDensityMatrix(q) {
+        const reduced = getReducedDensityMatrix(q);
+        const k = kept[q];
+        if (!k) return reduced;
+        const same = [0, 1].every(i => [0, 1].every(j =>
+            Math.abs(k.ref[i][j].re - reduced[i][j].re) < 1e-9 && Math.abs(k.ref[i][j].im - reduced[i][j].im) < 1e-9));
+        if (same) return k.rho.map(row => row.map(v => ({ ...v })));
+        kept[q] = null;
+        return reduced;
+    }
+
+    function getBlochVector(q) {
+        if (!used[q]) return { x: 0, y: 0, z: 1, length: 1 };
+        if (!blochCache[q]) {
+            const r = getDensityMatrix(q);
+            const x = 2 * r[0][1].re;
+            const y = -2 * r[0][1].im;
+            const z = r[0][0].re - r[1][1].re;
+            blochCache[q] = { x, y, z, length: Math.sqrt(x * x + y * y + z * z) };
+        }
+        return { ...blochCache[q] };
+    }
+
+    return {
+        MAX_QUBITS,
+        allocate, release, setActive, getActive, getUsedCount,
+        applyUnitary, applyTwoQubitUnitary, measure, collapse, resetQubit, reset, snapshot, restore,
+        getP1, getReducedDensityMatrix, keepDensityMatrix, getDensityMatrix, getBlochVector
+    };
+})();
@@ -0,0 +1,92 @@
+/**
+ * random.js — Seedable Pseudo-Random Numbers
+ *
+ * One reproducible stream for everything that affects the physics:
+ * measurement outcomes, register collapse, experiment noise and shots,
+ * qubit placement. Purely visual jitter keeps using Math.random so the
+ * stream does not depend on the frame rate.
+ *
+ * Generator: mulberry32 (32-bit state, period 2³²), seeded from a string
+ * hashed with FNV-1a. The seed comes from the URL (?seed=…) when present,
+ * otherwise a fresh one is drawn; loading the same URL replays a session.
+ */
+
+const Random = (() => {
+    let seed = '';
+    let state = 0;
+    let spare = null;   // second Box–Muller deviate
+    const listeners = [];
+
+    // FNV-1a hash of the seed string → 32-bit state
+    function hashSeed(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    function setSeed(value) {
+        seed = String(value);
+        state = hashSeed(seed);
+        spare = null;
+        listeners.forEach(fn => fn(seed));
+    }
+
+    function getSeed() { return seed; }
+
+    // Short base-36 seed, easy to read out in class
+    function freshSeed() {
+        return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+    }
+
+    // ─── Generators ────
+    // Uniform in [0, 1)
+    function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, n)
+    function int(n) { return Math.floor(random() * n); }
+
+    // Standard normal (Box–Muller)
+    function gaussian() {
+        if (spare !== null) {
+            const g = spare;
+            spare = null;
+            return g;
+        }
+        const u = 1 - random();
+        const v = random();
+        const r = Math.sqrt(-2 * Math.log(u));
+        spare = r * Math.sin(2 * Math.PI * v);
+        return r * Math.cos(2 * Math.PI * v);
+    }
+
+    // Number of successes in n Bernoulli(p) trials
+    function binomial(n, p) {
+        let k = 0;
+        for (let i = 0; i < n; i++) if (random() < p) k++;
+        return k;
+    }
+
+    function onSeedChange(fn) { listeners.push(fn); }
+
+    // Seed from ?seed=… or draw a fresh one
+    function seedFromURL() {
+        let fromURL = null;
+        try {
+            fromURL = new URLSearchParams(window.location.search).get('seed');
+        } catch (e) { }
+        setSeed(fromURL || freshSeed());
+    }
+
+    seedFromURL();
+
+    return { random, int, gaussian, binomial, setSeed, getSeed, freshSeed, onSeedChange };
+})();
@@ -0,0 +1,314 @@
+/**
+ * readout.js — Spin-to-Charge Readout Model
+ *
+ * Spin qubits are read out by converting spin into charge and watching a
+ * nearby charge sensor. The default is an ideal projective measurement;
+ * the two physical schemes are opt-in from the readout panel:
+ *
+ * Elzerman (energy-selective tunneling, single dot + reservoir):
+ *   |1⟩ sits above the Fermi level and tunnels out at Γ_out; a |0⟩ electron
+ *   tunnels back in at Γ_in → a "blip" in the sensor current.
+ *   |0⟩ stays (no blip), except for thermally assisted tunneling at
+ *   Γ_out · P_thermal. Errors: T1 decay before tunneling, thermal blips,
+ *   blips too short for the detector bandwidth, sensor noise.
+ *   Destructive: after a blip the dot is reloaded with |0⟩.
+ *
+ * Pauli spin blockade (PSB, double dot with a |0⟩ reference spin):
+ *   |1⟩ (antiparallel) may tunnel (1,1) → (0,2) at Γ_out → a step that
+ *   persists for the rest of the window. |0⟩ (parallel) is blocked until
+ *   spin relaxation (T1) lifts the blockade. Treated as projective.
+ *
+ * The sensor signal (1 = charge moved) is low-pass filtered to the
+ * detector bandwidth with Gaussian noise. Elzerman assigns |1⟩ when the
+ * trace peak crosses the threshold; PSB compares the window average.
+ *
+ * Preparation: loading from the reservoir picks up |1⟩ with probability
+ * P_thermal + the loading error.
+ *
+ * All randomness comes from the seeded Random stream.
+ */
+
+const Readout = (() => {
+    const MODES = {
+        ideal: { label: 'Ideal projective' },
+        elzerman: {
+            label: 'Elzerman (energy-selective)',
+            defaults: { readoutTime: 300e-6, tunnelOut: 2e4, tunnelIn: 2e4, threshold: 0.5, noise: 0.1, bandwidth: 1e5 }
+        },
+        psb: {
+            label: 'Pauli spin blockade',
+            defaults: { readoutTime: 20e-6, tunnelOut: 1e6, tunnelIn: 1e6, threshold: 0.5, noise: 0.5, bandwidth: 1e6 }
+        }
+    };
+    const SAMPLES = 300;       // points per simulated trace
+    const MAX_EVENTS = 64;     // tunneling events tracked per window
+
+    // Elzerman values fill the sliders until a physical mode is picked
+    const params = {
+        mode: 'ideal',
+        loadError: 0.002,
+        ...MODES.elzerman.defaults
+    };
+
+    // Slider id → parameter, display scale and unit
+    const SLIDERS = [
+        { id: 'readout-time', key: 'readoutTime', scale: 1e6, unit: ' μs', digits: 0 },
+        { id: 'readout-gout', key: 'tunnelOut', scale: 1e-3, unit: ' kHz', digits: 0 },
+        { id: 'readout-gin', key: 'tunnelIn', scale: 1e-3, unit: ' kHz', digits: 0 },
+        { id: 'readout-threshold', key: 'threshold', scale: 1, unit: '', digits: 2 },
+        { id: 'readout-noise', key: 'noise', scale: 1, unit: '', digits: 2 }
+    ];
+
+    let canvas, resultEl, modeSelect;
+    let lastTrace = null;
+    let lastCharacterization = null;
+
+    function init() {
+        canvas = document.getElementById('readout-canvas');
+        resultEl = document.getElementById('readout-result');
+        modeSelect = document.getElementById('readout-mode');
+
+        if (modeSelect) {
+            modeSelect.value = params.mode;
+            modeSelect.addEventListener('change', () => {
+                setMode(modeSelect.value);
+                lastTrace = null;
+                syncSliders();
+                render();
+            });
+        }
+
+        for (const s of SLIDERS) {
+            const slider = document.getElementById('slider-' + s.id);
+            if (!slider) continue;
+            slider.addEventListener('input', () => {
+                setParams({ [s.key]: parseFloat(slider.value) / s.scale });
+                syncSliders();
+                render();
+            });
+        }
+
+        const charBtn = document.getElementById('readout-characterize-btn');
+        if (charBtn) {
+            charBtn.addEventListener('click', () => {
+                characterize();
+                render();
+            });
+        }
+
+        syncSliders();
+    }
+
+    function setMode(mode) {
+        if (!MODES[mode]) throw new Error('Unknown readout mode: ' + mode);
+        params.mode = mode;
+        if (MODES[mode].defaults) Object.assign(params, MODES[mode].defaults);
+        lastCharacterization = null;
+    }
+
+    function setParams(p = {}) {
+        for (const key of Object.keys(p)) {
+            if (key === 'mode') { setMode(p.mode); continue; }
+            if (!(key in params)) throw new Error('Unknown readout parameter: ' + key);
+            if (!(Number.isFinite(p[key]) && p[key] >= 0)) throw new Error(`Readout ${key} must be a non-negative number`);
+            params[key] = p[key];
+        }
+        lastCharacterization = null;
+    }
+
+    function getParams() { return { ...params }; }
+
+    function expo(rate) {
+        return rate > 0 ? -Math.log(1 - Random.random()) / rate : Infinity;
+    }
+
+    // ─── Tunneling Events ────
+    // Returns charge-moved intervals [[t0, t1], ...] within the window and
+    // the spin left in the dot at the end
+    function elzermanEvents(spin, deco) {
+        const T = params.readoutTime;
+        const relaxRate = deco.T1 > 0 && deco.T1 < 1e6 ? 1 / deco.T1 : 0;
+        const falseRate = params.tunnelOut * (deco.thermalExcitation || 0);
+        const intervals = [];
+        let t = 0;
+        let s = spin;
+
+        while (t < T && intervals.length < MAX_EVENTS) {
+            // |1⟩ competes tunneling against relaxation; |0⟩ only tunnels thermally
+            const tOut = t + expo(s === 1 ? params.tunnelOut : falseRate);
+            const tRelax = s === 1 ? t + expo(relaxRate) : Infinity;
+            if (tRelax < tOut) {
+                if (tRelax >= T) break;
+                s = 0;
+                t = tRelax;
+                continue;
+            }
+            if (tOut >= T) break;
+            const tIn = tOut + expo(params.tunnelIn);
+            intervals.push([tOut, Math.min(tIn, T)]);
+            if (tIn >= T) {
+                // Dot still empty at the end: reload |0⟩ afterwards
+                s = 0;
+                break;
+            }
+            s = 0;
+            t = tIn;
+        }
+        return { intervals, finalSpin: s };
+    }
+
+    function psbEvents(spin, deco) {
+        const T = params.readoutTime;
+        const relaxRate = deco.T1 > 0 && deco.T1 < 1e6 ? 1 / deco.T1 : 0;
+        // Blocked |0⟩ must first relax out of blockade
+        const start = spin === 1 ? 0 : expo(relaxRate);
+        const tTunnel = start + expo(params.tunnelOut);
+        return { intervals: tTunnel < T ? [[tTunnel, T]] : [], finalSpin: spin };
+    }
+
+    // ─── Charge Sensor ────
+    function sensorTrace(intervals) {
+        const T = params.readoutTime;
+        const dt = T / SAMPLES;
+        const alpha = 1 - Math.exp(-2 * Math.PI * params.bandwidth * dt);
+        // White noise scaled so the filtered trace has σ = params.noise
+        const sigmaIn = params.noise * Math.sqrt((2 - alpha) / alpha);
+
+        const t = new Array(SAMPLES);
+        const charge = new Array(SAMPLES);
+        const signal = new Array(SAMPLES);
+        let y = 0;
+        let k = 0;
+        for (let i = 0; i < SAMPLES; i++) {
+            t[i] = (i + 0.5) * dt;
+            while (k < intervals.length && intervals[k][1] <= t[i]) k++;
+            const moved = k < intervals.length && intervals[k][0] <= t[i] ? 1 : 0;
+            charge[i] = moved;
+            y += alpha * (moved + sigmaIn * Random.gaussian() - y);
+            signal[i] = y;
+        }
+        return { t, charge, signal };
+    }
+
+    function assign(trace) {
+        if (params.mode === 'psb') {
+            const mean = trace.signal.reduce((a, b) => a + b, 0) / trace.signal.length;
+            return mean > params.threshold ? 1 : 0;
+        }
+        return Math.max(...trace.signal) > params.threshold ? 1 : 0;
+    }
+
+    // ─── Readout ────
+    // Read a projected spin. Returns the assigned outcome, the spin left in
+    // the dot and (unless keepTrace is false) the sensor trace.
+    function readSpin(spin, { keepTrace = true } = {}) {
+        if (params.mode === 'ideal') return { outcome: spin, spin, finalSpin: spin, mode: 'ideal', error: false };
+
+        const deco = Decoherence.getState();
+        const events = params.mode === 'psb' ? psbEvents(spin, deco) : elzermanEvents(spin, deco);
+        const trace = sensorTrace(events.intervals);
+        const outcome = assign(trace);
+        if (keepTrace) {
+            lastTrace = { ...trace, spin, outcome, threshold: params.threshold, mode: params.mode };
+            render();
+        }
+        return { outcome, spin, finalSpin: events.finalSpin, mode: params.mode, error: outcome !== spin };
+    }
+
+    // Spin left in the dot by an error-free readout of `spin`: Elzerman
+    // reloads |0⟩ after the blip, PSB and ideal readout leave it projected.
+    // Ideal-branch models (PulseCompiler, Sampling) use this, so they
+    // agree with what feed-forward sees on the live spin.
+    function postReadoutSpin(spin) {
+        return params.mode === 'elzerman' ? 0 : spin;
+    }
+
+    // Spin |1⟩ picked up when loading an electron from the reservoir
+    function getPreparationError() {
+        if (params.mode === 'ideal') return 0;
+        const pTh = Decoherence.getState().thermalExcitation || 0;
+        return Math.min(1, pTh + params.loadError);
+    }
+
+    // Prepare |0⟩ with the preparation error of the current model
+    function initialize() {
+        const prepError = getPreparationError();
+        const bit = Random.random() < prepError ? 1 : 0;
+        SpinPhysics.prepare(bit, { prepError, error: bit === 1 });
+        return bit;
+    }
+
+    // Monte-Carlo assignment errors: P(1|0), P(0|1), F = 1 − (e0 + e1) / 2
+    function characterize(shots = 500) {
+        let e0 = 0, e1 = 0;
+        for (let i = 0; i < shots; i++) {
+            if (readSpin(0, { keepTrace: false }).outcome === 1) e0++;
+            if (readSpin(1, { keepTrace: false }).outcome === 0) e1++;
+        }
+        e0 /= shots;
+        e1 /= shots;
+        lastCharacterization = {
+            mode: params.mode, shots, e0, e1,
+            fidelity: 1 - (e0 + e1) / 2,
+            prepError: getPreparationError()
+        };
+        return { ...lastCharacterization };
+    }
+
+    // ─── Rendering ────
+    function syncSliders() {
+        for (const s of SLIDERS) {
+            const slider = document.getElementById('slider-' + s.id);
+            const valEl = document.getElementById(s.id + '-val');
+            const value = params[s.key] * s.scale;
+            if (slider) {
+                slider.value = value;
+                slider.disabled = params.mode === 'ideal';
+            }
+            if (valEl) valEl.innerHTML = value.toFixed(s.digits) + (s.unit ? `<small>${s.unit}</small>` : '');
+        }
+    }
+
+    function render() {
+        if (lastTrace && canvas) {
+            const us = lastTrace.t.map(t => t * 1e6);
+            const T = params.readoutTime * 1e6;
+            Plot.xy(canvas, {
+                series: [
+                    { x: us, y: lastTrace.signal, mode: 'line', color: '#1a73e8', label: 'sensor' },
+                    { x: us, y: lastTrace.charge, mode: 'line', color: '#34a853', label: 'charge' },
+                    { x: [0, T], y: [lastTrace.threshold, lastTrace.threshold], mode: 'line', color: '#ea4335', label: 'threshold' }
+                ],
+                xRange: [0, T],
+                xLabel: 't (μs) →',
+                yLabel: 'ΔI (norm.)'
+            });
+        }
+
+        if (!resultEl) return;
+        const rows = [];
+        if (lastTrace) {
+            rows.push(['Last shot:', `spin |${lastTrace.spin}⟩ → read |${lastTrace.outcome}⟩` +
+                (lastTrace.spin !== lastTrace.outcome ? ' ⚠' : '')]);
+        }
+        const c = lastCharacterization;
+        if (c) {
+            rows.push(
+                ['Assignment F:', `${(c.fidelity * 100).toFixed(2)}%`],
+                ['P(1|0):', `${(c.e0 * 100).toFixed(2)}%`],
+                ['P(0|1):', `${(c.e1 * 100).toFixed(2)}%`]
+            );
+        }
+        rows.push(['Prep. error:', `${(getPreparationError() * 100).toFixed(2)}%`]);
+        UI.showRows(resultEl, rows);
+    }
+
+    function getLastTrace() { return lastTrace; }
+    function getCharacterization() { return lastCharacterization ? { ...lastCharacterization } : null; }
+
+    return {
+        init, render, MODES, setMode, setParams, getParams,
+        readSpin, postReadoutSpin, initialize, characterize, getPreparationError,
+        getLastTrace, getCharacterization
+    };
+})();
@@ -0,0 +1,161 @@
+/**
+ * sampling.js — Multi-Shot Circuit Sampling
+ *
+ * Re-runs the circuit from the QC input N times on a sandboxed copy of the
+ * spin and histograms the measurement record (one bit per MEASURE, in
+ * circuit order; a circuit without MEASURE is measured once at the end).
+ * Each shot goes through the same path as the live panel: preparation and
+ * readout via Readout, so SPAM errors show up in the counts.
+ *
+ * The ideal distribution is computed exactly by branching the density
+ * matrix at every measurement (perfect preparation, error-free assignment,
+ * and the spin the readout mode leaves behind — Readout.postReadoutSpin);
+ * each branch carries its classical register, so conditioned
+ * gates act only where their bit matches. Observed frequencies carry binomial ±1σ error bars
+ * √(f(1 − f)/N); the table reports the deviation from ideal in σ.
+ */
+
+const Sampling = (() => {
+    const MAX_SHOTS = 10000;
+    const MAX_MEASUREMENTS = 10;   // 2^10 outcome strings at most
+
+    let canvas, resultEl, shotsInput;
+    let lastResult = null;
+
+    function init() {
+        canvas = document.getElementById('qc-histogram');
+        resultEl = document.getElementById('qc-shots-result');
+        shotsInput = document.getElementById('qc-shots');
+
+        const shotsBtn = document.getElementById('qc-shots-btn');
+        if (!shotsBtn) return;
+        shotsBtn.addEventListener('click', () => {
+            const input = document.getElementById('qc-circuit-input');
+            const text = input ? input.value.trim() : '';
+            try {
+                const ops = QuantumComputing.parseCircuit(text);
+                lastResult = run(ops, shotsInput ? parseInt(shotsInput.value, 10) : 1000);
+                render(lastResult);
+            } catch (e) {
+                UI.showError(resultEl, e.message);
+            }
+        });
+    }
+
+    // Append the implicit final measurement and check the record length
+    function withMeasurement(ops) {
+        Composer.checkSingleQubit(ops, 'Sampling');
+        const list = ops.some(op => op.type === 'measure') ? ops : [...ops, { type: 'measure' }];
+        const count = list.filter(op => op.type === 'measure').length;
+        if (count > MAX_MEASUREMENTS) throw new Error(`At most ${MAX_MEASUREMENTS} measurements per circuit`);
+        return list;
+    }
+
+    // ─── Ideal Distribution ────
+    // Exact outcome probabilities: every MEASURE splits each branch in two
+    function idealDistribution(ops) {
+        ops = withMeasurement(ops);
+        return SpinPhysics.sandbox(() => {
+            SpinPhysics.reset();
+            let branches = [{ key: '', bits: [], p: 1, rho: SpinPhysics.getDensityMatrix() }];
+            for (const op of ops) {
+                if (op.type === 'measure') {
+                    const target = classicalBit(op, branches[0].key.length);
+                    branches = branches.flatMap(b => [0, 1].map(bit => {
+                        const pBit = b.rho[bit][bit].re;
+                        if (pBit < 1e-12) return null;
+                        SpinPhysics.prepare(Readout.postReadoutSpin(bit));
+                        const bits = b.bits.slice();
+                        bits[target] = bit;
+                        return { key: b.key + bit, bits, p: b.p * pBit, rho: SpinPhysics.getDensityMatrix() };
+                    }).filter(Boolean));
+                } else {
+                    for (const b of branches) {
+                        if (!QuantumComputing.conditionMet(op, b.bits)) continue;
+                        SpinPhysics.setDensityMatrix(b.rho);
+                        SpinPhysics.applyGate(op.name, op.param);
+                        b.rho = SpinPhysics.getDensityMatrix();
+                    }
+                }
+            }
+            const dist = {};
+            for (const b of branches) dist[b.key] = (dist[b.key] || 0) + b.p;
+            return dist;
+        });
+    }
+
+    // ─── Sampling ────
+    function sampleShot(ops) {
+        SpinPhysics.reset();
+        if (Readout.getParams().mode !== 'ideal') Readout.initialize();
+        let key = '';
+        const bits = [];
+        for (const op of ops) {
+            if (op.type === 'measure') {
+                const outcome = SpinPhysics.measure();
+                bits[classicalBit(op, key.length)] = outcome;
+                key += outcome;
+            } else if (QuantumComputing.conditionMet(op, bits)) {
+                SpinPhysics.applyGate(op.name, op.param);
+            }
+        }
+        return key;
+    }
+
+    // Bit a measurement writes; the k-th defaults to c_k
+    function classicalBit(op, k) {
+        return op.bit == null ? k : op.bit;
+    }
+
+    function run(ops, shots = 1000) {
+        if (!ops.length) throw new Error('Enter a circuit first');
+        if (!Number.isFinite(shots) || shots < 1) throw new Error('Shots must be at least 1');
+        shots = Math.min(MAX_SHOTS, Math.round(shots));
+        ops = withMeasurement(ops);
+
+        const ideal = idealDistribution(ops);
+        const counts = {};
+        SpinPhysics.sandbox(() => {
+            for (let i = 0; i < shots; i++) {
+                const key = sampleShot(ops);
+                counts[key] = (counts[key] || 0) + 1;
+            }
+        });
+
+        const keys = [...new Set([...Object.keys(ideal), ...Object.keys(counts)])].sort();
+        const outcomes = keys.map(key => {
+            const count = counts[key] || 0;
+            const freq = count / shots;
+            const sigma = Math.sqrt(freq * (1 - freq) / shots);
+            const p = ideal[key] || 0;
+            // Use the ideal spread when nothing (or everything) was observed
+            const spread = sigma || Math.sqrt(p * (1 - p) / shots);
+            return { key, count, freq, sigma, ideal: p, deviation: spread > 0 ? (freq - p) / spread : 0 };
+        });
+
+        return { shots, readoutMode: Readout.getParams().mode, outcomes };
+    }
+
+    // ─── Rendering ────
+    function render(result) {
+        if (!result) return;
+        Plot.bars(canvas, {
+            bars: result.outcomes.map(o => ({ label: o.key, value: o.freq, error: o.sigma, reference: o.ideal })),
+            yRange: [0, 1],
+            yLabel: 'frequency',
+            legend: [
+                { label: `observed (${result.shots} shots) ±1σ`, color: Plot.COLORS[0] },
+                { label: '- - ideal', color: '#202124' }
+            ]
+        });
+
+        UI.showRows(resultEl, [['outcome', 'counts · observed · ideal · Δ']].concat(result.outcomes.map(o => [
+            o.key,
+            `${o.count} · ${(o.freq * 100).toFixed(1)}% ± ${(o.sigma * 100).toFixed(1)} · ${(o.ideal * 100).toFixed(1)}% · ${o.deviation >= 0 ? '+' : ''}${o.deviation.toFixed(1)}σ`
+        ])));
+    }
+
+    function getLastResult() { return lastResult; }
+
+    return { init, run, idealDistribution, render, getLastResult, MAX_SHOTS };
+})();
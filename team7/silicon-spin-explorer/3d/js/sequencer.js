@@ -0,0 +1,594 @@
+/**
+ * sequencer.js — Multi-Channel Pulse Sequencer
+ *
+ * A timeline of blocks on three channels, the way a lab sequencer lays out
+ * an experiment:
+ *   MW       shaped microwave pulses (Waveforms) and explicit waits
+ *   Plunger  centre-gate levels in mV, set through QuantumDot.setGateVoltages
+ *            while the block lasts (the slider value in between)
+ *   Readout  instantaneous measurement markers writing classical bits
+ *
+ * Blocks are added from the palette (click appends, drag drops at a time)
+ * and dragged along their channel; presets build Ramsey, echo and Rabi
+ * sequences such as π/2 – wait – π – wait – π/2.
+ *
+ * Execution cuts the timeline at every block edge. Each segment plays as
+ * one SpinPhysics.startPulse on the solver's clock (the MW block's envelope,
+ * or zero drive in gaps), so timing never depends on the frame rate:
+ *   execute() runs it on a sandboxed spin from |0⟩ with the Decoherence
+ *             model, readouts non-selective, and reports P(|1⟩) at each one
+ *   play()    runs it on the live spin, measuring at the readout markers,
+ *             and loops it until stopped, with a playhead on the timeline
+ * Segments start on the solver's 5 ps grid; blocks snap to 10 ps. In
+ * execute() segments without drive are one exact SpinPhysics.propagate
+ * (free precession plus Lindblad), so long waits cost nothing; live
+ * playback runs at TIME_SCALE, so timelines end by MAX_DURATION.
+ */
+
+const Sequencer = (() => {
+    const EPS = 1e-15;            // s, edge tolerance
+    const SNAP = 1e-11;           // s, drag snapping
+    const DEFAULT_WAIT = 5e-9;    // s
+    const DEFAULT_LEVEL = 5e-9;   // s
+    const PLUNGER_STEP = 10;      // mV above the slider for a new plunger block
+    const LOOP_REST = 400;        // ms between looped passes
+    const MAX_DURATION = 1e-6;    // s; ≈ 20 s of live playback
+    const MIME_BLOCK = 'application/x-seq-block';
+
+    const CHANNELS = {
+        mw: { label: 'MW' },
+        plunger: { label: 'P' },
+        readout: { label: 'RO' }
+    };
+    const CHANNEL_OF = { pulse: 'mw', delay: 'mw', level: 'plunger', measure: 'readout' };
+    const PALETTE = { pi2: 'pulse', pi: 'pulse', pulse: 'pulse', delay: 'delay', level: 'level', measure: 'measure' };
+
+    let canvas, resultEl, playBtn, loopInput, selectedRow;
+    let items = [];
+    let nextId = 1;
+    let selectedId = null;
+    let layout = null;     // time ↔ x mapping of the last drawing
+    let drag = null;       // { id, offset, span } while a block is dragged
+    let playing = null;    // { segments, index, segStart, pulseStart, voltages, pass, timer }
+    let lastExecution = null;
+
+    function init() {
+        canvas = document.getElementById('seq-canvas');
+        resultEl = document.getElementById('seq-result');
+        playBtn = document.getElementById('seq-play-btn');
+        loopInput = document.getElementById('seq-loop');
+        selectedRow = document.getElementById('seq-selected');
+        if (!canvas) return;
+
+        document.querySelectorAll('[data-seq-add]').forEach(btn => {
+            const kind = btn.getAttribute('data-seq-add');
+            btn.addEventListener('click', () => guarded(() => add(kind)));
+            btn.draggable = true;
+            btn.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(MIME_BLOCK, kind);
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+        });
+        canvas.addEventListener('dragover', (e) => {
+            if (![...(e.dataTransfer ? e.dataTransfer.types : [])].includes(MIME_BLOCK)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const kind = e.dataTransfer.getData(MIME_BLOCK);
+            if (kind && layout) guarded(() => add(kind, snap(timeAt(e))));
+        });
+        wirePointer();
+
+        const presetSelect = document.getElementById('seq-preset');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => {
+                if (presetSelect.value) guarded(() => preset(presetSelect.value));
+                presetSelect.value = '';
+            });
+        }
+        const clearBtn = document.getElementById('seq-clear');
+        if (clearBtn) clearBtn.addEventListener('click', () => guarded(() => setSequence([])));
+        if (playBtn) {
+            playBtn.addEventListener('click', () => guarded(() => {
+                if (playing) stop();
+                else play({ loop: !loopInput || loopInput.checked });
+            }));
+        }
+        wireSelectedRow();
+
+        preset('echo');
+    }
+
+    // ─── Sequence ────
+    function getSequence() { return items.map(({ id, ...it }) => ({ ...it, waveform: it.waveform && { ...it.waveform } })); }
+
+    function setSequence(list) {
+        const next = list.map(it => ({
+            ...it, id: nextId++, channel: CHANNEL_OF[it.kind],
+            duration: it.kind === 'measure' ? 0 : it.duration,
+            waveform: it.waveform && { ...it.waveform }
+        }));
+        next.forEach(checkItem);
+        check(next);
+        items = next;
+        selectedId = null;
+        edited();
+    }
+
+    function checkItem(it) {
+        if (!CHANNEL_OF[it.kind]) throw new Error('Unknown block: ' + it.kind);
+        if (!(it.start >= 0)) throw new Error('Blocks cannot start before t = 0');
+        if (it.kind !== 'measure' && !(it.duration > 0)) throw new Error('Blocks need a positive length');
+        if (it.kind === 'pulse') Waveforms.envelope({ ...it.waveform, duration: it.duration });
+    }
+
+    // Blocks on one channel may touch but not overlap
+    function check(list = items) {
+        const end = list.reduce((t, it) => Math.max(t, it.start + it.duration), 0);
+        if (end > MAX_DURATION + EPS) {
+            throw new Error(`Sequences end by ${formatTime(MAX_DURATION)} (this one runs to ${formatTime(end)})`);
+        }
+        for (const channel of ['mw', 'plunger']) {
+            const blocks = list.filter(it => it.channel === channel).sort((a, b) => a.start - b.start);
+            for (let k = 1; k < blocks.length; k++) {
+                const prev = blocks[k - 1];
+                if (blocks[k].start < prev.start + prev.duration - EPS) {
+                    throw new Error(`${CHANNELS[channel].label} blocks overlap at ${formatTime(blocks[k].start)}`);
+                }
+            }
+        }
+    }
+
+    function channelEnd(channel) {
+        return items.filter(it => channel === null || it.channel === channel)
+            .reduce((t, it) => Math.max(t, it.start + it.duration), 0);
+    }
+
+    // New block of a palette kind; without a start it goes after the MW
+    // channel (MW blocks) or after everything else (plunger, readout)
+    function makeItem(kind, start) {
+        if (!PALETTE[kind]) throw new Error('Unknown block: ' + kind);
+        const channel = CHANNEL_OF[PALETTE[kind]];
+        if (start === undefined) start = channelEnd(channel === 'mw' ? 'mw' : null);
+        const wf = Waveforms.getWaveform();
+        if (kind === 'pi2' || kind === 'pi') {
+            const theta = kind === 'pi' ? Math.PI : Math.PI / 2;
+            const area = Waveforms.rotationAngle(wf);
+            if (!(area > 0)) throw new Error('The editor pulse has no area to scale');
+            const duration = wf.duration * theta / area;
+            return { kind: 'pulse', channel, start, duration, waveform: { ...wf, duration }, label: kind === 'pi' ? 'π' : 'π/2' };
+        }
+        if (kind === 'pulse') {
+            return { kind, channel, start, duration: wf.duration, waveform: wf, label: Waveforms.SHAPES[wf.shape].label };
+        }
+        if (kind === 'delay') return { kind, channel, start, duration: DEFAULT_WAIT, label: 'wait' };
+        if (kind === 'level') {
+            const voltage = Math.min(100, QuantumDot.getGateVoltages().vCenter + PLUNGER_STEP);
+            return { kind, channel, start, duration: DEFAULT_LEVEL, voltage, label: voltage.toFixed(0) + ' mV' };
+        }
+        const bit = items.filter(it => it.kind === 'measure').length;
+        return { kind, channel, start, duration: 0, bit, label: 'c' + bit };
+    }
+
+    function add(kind, start) {
+        const it = { ...makeItem(kind, start), id: nextId++ };
+        check([...items, it]);
+        items.push(it);
+        selectedId = it.id;
+        edited();
+        return it;
+    }
+
+    function remove(id) {
+        items = items.filter(it => it.id !== id);
+        if (selectedId === id) selectedId = null;
+        edited();
+    }
+
+    function preset(name) {
+        const steps = {
+            ramsey: ['pi2', 'delay', 'pi2', 'measure'],
+            echo: ['pi2', 'delay', 'pi', 'delay', 'pi2', 'measure'],
+            rabi: ['pi', 'measure']
+        }[name];
+        if (!steps) throw new Error('Unknown preset: ' + name);
+        items = [];
+        for (const kind of steps) items.push({ ...makeItem(kind), id: nextId++ });
+        selectedId = null;
+        edited();
+    }
+
+    function edited() {
+        try {
+            lastExecution = items.length ? execute() : null;
+            render();
+        } catch (e) {
+            lastExecution = null;
+            render();
+            showError(e.message);
+        }
+        showSelected();
+    }
+
+    // ─── Segments ────
+    // Cut at every block edge: each segment has the MW pulse and plunger
+    // level in force over it, and the readouts due at its start. The last
+    // one has zero length and only carries readouts at the very end.
+    function segments(list = items) {
+        check(list);
+        const times = [...new Set([0, ...list.flatMap(it => [it.start, it.start + it.duration])])].sort((a, b) => a - b);
+        const covers = (it, t0, t1) => it.duration > 0 && it.start <= t0 + EPS && it.start + it.duration >= t1 - EPS;
+        return times.map((start, k) => {
+            const end = k + 1 < times.length ? times[k + 1] : start;
+            return {
+                start, end,
+                pulse: end > start ? list.find(it => it.kind === 'pulse' && covers(it, start, end)) || null : null,
+                level: end > start ? list.find(it => it.kind === 'level' && covers(it, start, end)) || null : null,
+                readouts: list.filter(it => it.kind === 'measure' && Math.abs(it.start - start) <= EPS)
+            };
+        });
+    }
+
+    function envelopeOf(seg) {
+        if (!seg.pulse) return () => ({ amplitude: 0 });
+        const env = Waveforms.envelope({ ...seg.pulse.waveform, duration: seg.pulse.duration });
+        const offset = seg.start - seg.pulse.start;
+        return t => env(t + offset);
+    }
+
+    // Step the solver until the scheduled segment has played out; with no
+    // drive the evolution is exact in one step
+    function runSegment(seg, decoState) {
+        if (!seg.pulse) {
+            SpinPhysics.propagate(seg.end - seg.start, { decoState });
+            return;
+        }
+        SpinPhysics.startPulse({ duration: seg.end - seg.start, envelope: envelopeOf(seg) });
+        const h = SpinPhysics.getIntegrator().stepSize;
+        const steps = Math.max(1, Math.ceil((seg.end - seg.start) / h - 1e-9));
+        SpinPhysics.evolve(steps * h / SpinPhysics.TIME_SCALE, false, decoState);
+        for (let i = 0; i < 4 && SpinPhysics.isPulseActive(); i++) SpinPhysics.evolve(h / SpinPhysics.TIME_SCALE, false, decoState);
+        SpinPhysics.cancelPulse();
+    }
+
+    // Sandboxed run from |0⟩; readouts are non-selective (PulseCompiler.measureNonSelective)
+    function execute(list = items, { decoState = Decoherence.getState() } = {}) {
+        const segs = segments(list);
+        return SpinPhysics.sandbox(() => {
+            SpinPhysics.reset();
+            const readouts = [];
+            for (const seg of segs) {
+                for (const r of seg.readouts) {
+                    readouts.push({ bit: r.bit, t: r.start, p1: SpinPhysics.getP1() });
+                    PulseCompiler.measureNonSelective();
+                }
+                if (seg.end > seg.start) runSegment(seg, decoState);
+            }
+            return {
+                readouts,
+                duration: segs.length ? segs[segs.length - 1].start : 0,
+                segmentCount: segs.filter(s => s.end > s.start).length,
+                p1: SpinPhysics.getP1(),
+                rho: SpinPhysics.getDensityMatrix()
+            };
+        });
+    }
+
+    // ─── Live Playback ────
+    function play({ loop = true } = {}) {
+        if (playing) return;
+        if (!(channelEnd(null) > 0)) throw new Error('Add a pulse or a wait first');
+        if (SpinPhysics.isPulseActive()) throw new Error('A pulse is already playing');
+        const v = QuantumDot.getGateVoltages();
+        playing = { loop, pass: 0, voltages: [v.vLeft, v.vCenter, v.vRight], timer: null };
+        startPass();
+        refreshButton();
+    }
+
+    function startPass() {
+        if (!playing) return;
+        playing.timer = null;
+        try {
+            playing.segments = segments();
+        } catch (e) {
+            stop();
+            showError(e.message);
+            return;
+        }
+        playing.index = 0;
+        playing.pass++;
+        QuantumComputing.restart();
+        next();
+    }
+
+    function next() {
+        if (!playing || playing.timer) return;
+        while (playing.index < playing.segments.length) {
+            const seg = playing.segments[playing.index++];
+            const [vl, vc, vr] = playing.voltages;
+            QuantumDot.setGateVoltages(vl, seg.level ? seg.level.voltage : vc, vr);
+            for (const r of seg.readouts) QuantumComputing.runOp({ type: 'measure', bit: r.bit });
+            if (seg.end > seg.start) {
+                playing.segStart = seg.start;
+                playing.pulseStart = SpinPhysics.startPulse({
+                    duration: seg.end - seg.start,
+                    envelope: envelopeOf(seg),
+                    onDone: next
+                }).start;
+                return;
+            }
+        }
+        QuantumDot.setGateVoltages(...playing.voltages);
+        QuantumComputing.updateDisplay();
+        if (playing.loop) playing.timer = setTimeout(startPass, LOOP_REST);
+        else stop();
+    }
+
+    function stop() {
+        if (!playing) return;
+        const { voltages, timer } = playing;
+        playing = null;
+        if (timer) clearTimeout(timer);
+        SpinPhysics.cancelPulse();
+        QuantumDot.setGateVoltages(...voltages);
+        QuantumComputing.updateDisplay();
+        refreshButton();
+        render();
+    }
+
+    function isPlaying() { return playing !== null; }
+
+    // Playhead, once per frame while playing (main loop)
+    function update() {
+        if (!playing || playing.timer || !canvas || !canvas.offsetParent) return;
+        render();
+    }
+
+    function playhead() {
+        if (!playing || playing.timer || playing.segStart === undefined) return null;
+        const seg = playing.segments[playing.index - 1];
+        const t = playing.segStart + SpinPhysics.getSimTime() - playing.pulseStart;
+        return seg ? Math.min(t, seg.end) : t;
+    }
+
+    function refreshButton() {
+        if (playBtn) playBtn.textContent = playing ? '■ Stop' : '▶ Play';
+    }
+
+    // ─── Timeline Interaction ────
+    function snap(t) { return Math.max(0, Math.round(t / SNAP) * SNAP); }
+
+    function timeAt(e) {
+        const rect = canvas.getBoundingClientRect();
+        return (e.clientX - rect.left - layout.left) / layout.plotW * layout.span;
+    }
+
+    function itemAt(e) {
+        if (!layout) return null;
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left, y = e.clientY - rect.top;
+        for (const it of [...items].reverse()) {
+            const lane = layout.lanes[it.channel];
+            if (y < lane.top || y > lane.top + lane.height) continue;
+            const x0 = layout.px(it.start), x1 = Math.max(layout.px(it.start + it.duration), x0 + 6);
+            if (x >= x0 - 3 && x <= x1 + 3) return it;
+        }
+        return null;
+    }
+
+    function wirePointer() {
+        canvas.addEventListener('pointerdown', (e) => {
+            const it = itemAt(e);
+            selectedId = it ? it.id : null;
+            if (it) {
+                drag = { id: it.id, offset: timeAt(e) - it.start, span: layout.span, from: it.start };
+                if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+            }
+            render();
+            showSelected();
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!drag) {
+                canvas.style.cursor = itemAt(e) ? 'grab' : 'default';
+                return;
+            }
+            const it = items.find(x => x.id === drag.id);
+            if (!it) return;
+            it.start = snap(timeAt(e) - drag.offset);
+            render();
+        });
+        const end = () => {
+            if (!drag) return;
+            const it = items.find(x => x.id === drag.id);
+            // A drop onto another block on the same channel snaps back
+            try {
+                check();
+            } catch (e) {
+                if (it) it.start = drag.from;
+            }
+            drag = null;
+            edited();
+        };
+        canvas.addEventListener('pointerup', end);
+        canvas.addEventListener('pointercancel', end);
+    }
+
+    function wireSelectedRow() {
+        const removeBtn = document.getElementById('seq-remove');
+        if (removeBtn) removeBtn.addEventListener('click', () => { if (selectedId !== null) remove(selectedId); });
+        for (const id of ['seq-start', 'seq-length', 'seq-value']) {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => guarded(applySelected));
+        }
+    }
+
+    function selected() { return items.find(it => it.id === selectedId) || null; }
+
+    function showSelected() {
+        if (!selectedRow) return;
+        const it = selected();
+        selectedRow.classList.toggle('hidden', !it);
+        if (!it) return;
+        const value = document.getElementById('seq-value');
+        const valueLabel = document.getElementById('seq-value-label');
+        document.getElementById('seq-start').value = +(it.start * 1e9).toFixed(3);
+        const length = document.getElementById('seq-length');
+        length.value = +(it.duration * 1e9).toFixed(3);
+        length.disabled = it.kind === 'measure';
+        const field = it.kind === 'pulse' ? ['φ (°)', +(it.waveform.phase * 180 / Math.PI).toFixed(1)]
+            : it.kind === 'level' ? ['V (mV)', it.voltage]
+                : it.kind === 'measure' ? ['bit', it.bit]
+                    : ['', ''];
+        valueLabel.textContent = field[0];
+        value.value = field[1];
+        value.disabled = it.kind === 'delay';
+    }
+
+    function applySelected() {
+        const it = selected();
+        if (!it) return;
+        const next = { ...it, waveform: it.waveform && { ...it.waveform } };
+        next.start = Math.max(0, parseFloat(document.getElementById('seq-start').value) * 1e-9);
+        if (it.kind !== 'measure') next.duration = parseFloat(document.getElementById('seq-length').value) * 1e-9;
+        const value = parseFloat(document.getElementById('seq-value').value);
+        if (it.kind === 'pulse') {
+            next.waveform.phase = value * Math.PI / 180;
+            next.waveform.duration = next.duration;
+        } else if (it.kind === 'level') {
+            if (!(value >= 0 && value <= 100)) throw new Error('Plunger levels run from 0 to 100 mV');
+            next.voltage = value;
+            next.label = value.toFixed(0) + ' mV';
+        } else if (it.kind === 'measure') {
+            if (!(Number.isInteger(value) && value >= 0)) throw new Error('Readouts write a classical bit c0, c1, …');
+            next.bit = value;
+            next.label = 'c' + value;
+        }
+        checkItem(next);
+        const list = items.map(x => x.id === it.id ? next : x);
+        check(list);
+        items = list;
+        edited();
+    }
+
+    // ─── Rendering ────
+    function formatTime(t) {
+        const unit = PulseCompiler.timeUnit(Math.max(t, 1e-12));
+        return `${+(t * unit.scale).toFixed(2)} ${unit.label}`;
+    }
+
+    function render() {
+        drawTimeline();
+        renderResult();
+    }
+
+    function drawTimeline() {
+        const c = Plot.setup(canvas);
+        if (!c) return;
+        const { ctx, w, h } = c;
+        const m = { left: 34, right: 10, top: 8, bottom: 22 };
+        const plotW = w - m.left - m.right;
+        const span = drag ? drag.span : Math.max(1e-9, channelEnd(null) * 1.15);
+        const unit = PulseCompiler.timeUnit(span);
+        const px = t => m.left + (t / span) * plotW;
+        const laneH = (h - m.top - m.bottom - 8) / 3;
+        const lanes = {};
+        Object.keys(CHANNELS).forEach((ch, k) => { lanes[ch] = { top: m.top + k * (laneH + 4), height: laneH }; });
+        layout = { left: m.left, plotW, span, px, lanes };
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, w, h);
+        ctx.font = '10px Inter, sans-serif';
+
+        // Lane labels and baselines
+        ctx.textAlign = 'right';
+        ctx.strokeStyle = '#dadce0';
+        ctx.lineWidth = 1;
+        for (const [ch, lane] of Object.entries(lanes)) {
+            ctx.fillStyle = '#5f6368';
+            ctx.fillText(CHANNELS[ch].label, m.left - 6, lane.top + lane.height / 2 + 3);
+            ctx.beginPath(); ctx.moveTo(m.left, lane.top + lane.height); ctx.lineTo(w - m.right, lane.top + lane.height); ctx.stroke();
+        }
+
+        // Time axis
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#5f6368';
+        for (const tick of Plot.niceTicks(0, span * unit.scale)) {
+            ctx.fillText(+tick.toPrecision(3) + '', px(tick / unit.scale), h - m.bottom + 12);
+        }
+        ctx.fillText(`t (${unit.label}) →`, m.left + plotW / 2, h - 2);
+
+        for (const it of items) {
+            const lane = lanes[it.channel];
+            const x = px(it.start);
+            const bw = Math.max(2, px(it.start + it.duration) - x);
+            const active = it.id === selectedId;
+            if (it.kind === 'measure') {
+                ctx.strokeStyle = '#ea4335';
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath(); ctx.moveTo(x, m.top); ctx.lineTo(x, lane.top + lane.height); ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = '#ea4335';
+                ctx.fillRect(x - 3, lane.top + lane.height / 2 - 6, 6, 12);
+                ctx.textAlign = 'left';
+                ctx.fillText(it.label, x + 6, lane.top + lane.height / 2 + 3);
+            } else {
+                ctx.fillStyle = it.kind === 'pulse' ? PulseCompiler.phaseColor(it.waveform.phase)
+                    : it.kind === 'level' ? '#34a853' : '#e8eaed';
+                const bh = it.kind === 'level' ? lane.height * Math.min(1, it.voltage / 100) : lane.height - 2;
+                const y = lane.top + lane.height - bh;
+                ctx.fillRect(x, y, bw, bh);
+                ctx.strokeStyle = active ? '#202124' : '#ffffff';
+                ctx.lineWidth = active ? 2 : 1;
+                ctx.strokeRect(x, y, bw, bh);
+                ctx.lineWidth = 1;
+                if (bw > 22) {
+                    ctx.textAlign = 'center';
+                    ctx.fillStyle = it.kind === 'delay' ? '#5f6368' : '#ffffff';
+                    ctx.fillText(it.label, x + bw / 2, lane.top + lane.height / 2 + 3);
+                }
+            }
+        }
+
+        const t = playhead();
+        if (t !== null) {
+            ctx.strokeStyle = '#202124';
+            ctx.beginPath(); ctx.moveTo(px(t), m.top); ctx.lineTo(px(t), h - m.bottom); ctx.stroke();
+        }
+    }
+
+    function renderResult() {
+        if (!resultEl) return;
+        const ex = lastExecution;
+        if (!ex) {
+            UI.showRows(resultEl, [['Add blocks from the palette or pick a preset']]);
+            return;
+        }
+        const rows = [['Sequence', `${ex.segmentCount} segments · ${formatTime(ex.duration)}`]];
+        for (const r of ex.readouts) rows.push([`c${r.bit} @ ${formatTime(r.t)}`, `P(|1⟩) = ${r.p1.toFixed(4)}`]);
+        rows.push(['End', `P(|1⟩) = ${ex.p1.toFixed(4)}`]);
+        if (playing) rows.push(['Playing', `pass ${playing.pass}${playing.loop ? ' · looping' : ''}`]);
+        UI.showRows(resultEl, rows.map(([label, val]) => [`${label}:`, val]));
+    }
+
+    function guarded(fn) {
+        try {
+            fn();
+        } catch (e) {
+            showError(e.message);
+        }
+    }
+
+    function showError(message) {
+        UI.showError(resultEl, message);
+    }
+
+    function getLastExecution() { return lastExecution; }
+
+    return {
+        init, update, getSequence, setSequence, add, remove, preset, segments, execute,
+        play, stop, isPlaying, getLastExecution
+    };
+})();
@@ -1,16 +1,32 @@
 /**
- * spinPhysics.js — 1-Qubit Hamiltonian Solver (v3)
+ * spinPhysics.js — 1-Qubit Density-Matrix Solver (v4)
  *
- * Full quantum state evolution with:
- *   H = -½ γ B · σ (free precession)
- *   H_pulse = -½ Ω_R σ_x (Rabi drive in rotating frame)
+ * Full quantum state evolution of the density matrix ρ in the frame
+ * rotating with the microwave drive at ω_d:
+ *   H = ½ Δ σ_z + ½ Ω_R (cos φ σ_x + sin φ σ_y)
+ *   Δ = ω_d − ω_L(B_z) (detuning), Ω_R = γ B₁ (drive amplitude), φ = drive phase
+ *   Ω = √(Ω_R² + Δ²) is the generalized Rabi frequency
  *
- * Decoherence: T1 (energy relaxation) + T2 (dephasing)
- *   - T1 relaxation: drives |1⟩→|0⟩ at rate 1/T1
- *   - T2 dephasing: destroys off-diagonal coherence at rate 1/T2
- *   - Thermal excitation: Boltzmann factor exp(-ΔE/kBT)
+ * Decoherence: Lindblad master equation
+ *   dρ/dt = -i[H, ρ] + Σ_k ( L_k ρ L_k† − ½{L_k† L_k, ρ} )
+ *   - Amplitude damping: L = √γ↓ σ₋ relaxes |1⟩→|0⟩
+ *   - Thermal excitation: L = √γ↑ σ₊ with γ↑/(γ↑+γ↓) = P_thermal, γ↑+γ↓ = 1/T1
+ *   - Pure dephasing: L = √(γφ/2) σ_z with γφ = 1/T2 − 1/(2T1)
  *
- * Gate operations: X, Y, Z, H, S, T, Rx(θ), Ry(θ), Rz(θ)
+ * Integration: fixed simulated-time grid (default 5 ps), independent of the
+ * frame rate — each frame runs however many grid steps its dt covers.
+ * Sub-steps use the exact matrix exponential (midpoint H, Strang-split with
+ * the dissipator) or RK4 on the full master equation; time-dependent drives
+ * come from startPulse({ duration, envelope }).
+ *
+ * Mixed states are supported: the Bloch vector shrinks inside the sphere
+ * as coherence is lost, and purity Tr(ρ²) drops below 1.
+ *
+ * This solver drives the active qubit of QubitRegister: unitaries are
+ * forwarded to the register, measurements collapse the matching slot.
+ *
+ * Gate operations: X, Y, Z, H, S, T, Rx(θ), Ry(θ), Rz(θ), plus user gates
+ * registered as a unitary matrix or a Hamiltonian applied for a duration.
  */
 
 const SpinPhysics = (() => {
@@ -20,9 +36,8 @@ const SpinPhysics = (() => {
     const MU_B = 9.2740100783e-24;
     const G_FACTOR = 2.0;
 
-    // State: complex amplitudes |ψ⟩ = α|0⟩ + β|1⟩
-    let alpha = { re: 1, im: 0 };
-    let beta = { re: 0, im: 0 };
+    // State: 2×2 density matrix ρ = [[ρ00, ρ01], [ρ10, ρ11]]
+    let rho = pureState({ re: 1, im: 0 }, { re: 0, im: 0 });
 
     // Field parameters
     let Bz = 1.0;           // T
@@ -30,12 +45,19 @@ const SpinPhysics = (() => {
     let larmorFreq = GYROMAGNETIC_RATIO * Bz;
     let rabiFreq = 0;
 
+    // Microwave drive (resonant with the initial field)
+    let driveFreq = GYROMAGNETIC_RATIO * Bz; // Hz
+    let drivePhase = 0;                      // rad (0 → X axis, π/2 → Y axis)
+
     // Simulation timescale
     const TIME_SCALE = 50e-9;
 
     // Gate log for quantum computing I/O
     const gateLog = [];
 
+    // Inside sandbox(): no register forwarding, no gate log
+    let isolated = false;
+
     // Complex arithmetic
     function cmul(a, b) { return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }; }
     function cadd(a, b) { return { re: a.re + b.re, im: a.im + b.im }; }
@@ -45,195 +67,621 @@ const SpinPhysics = (() => {
     function cexp(theta) { return { re: Math.cos(theta), im: Math.sin(theta) }; }
     function conj(a) { return { re: a.re, im: -a.im }; }
 
-    // ─── Time Evolution ────
-    function evolve(dt, isPulsing) {
-        const simDt = dt * TIME_SCALE;
-        const omegaL = 2 * Math.PI * GYROMAGNETIC_RATIO * Bz;
+    // 2×2 complex matrix arithmetic
+    function matMul(A, B) {
+        return [
+            [cadd(cmul(A[0][0], B[0][0]), cmul(A[0][1], B[1][0])), cadd(cmul(A[0][0], B[0][1]), cmul(A[0][1], B[1][1]))],
+            [cadd(cmul(A[1][0], B[0][0]), cmul(A[1][1], B[1][0])), cadd(cmul(A[1][0], B[0][1]), cmul(A[1][1], B[1][1]))]
+        ];
+    }
+    function dagger(A) {
+        return [[conj(A[0][0]), conj(A[1][0])], [conj(A[0][1]), conj(A[1][1])]];
+    }
+    function copyMatrix(A) {
+        return [[{ ...A[0][0] }, { ...A[0][1] }], [{ ...A[1][0] }, { ...A[1][1] }]];
+    }
+
+    // ρ = |ψ⟩⟨ψ| for |ψ⟩ = α|0⟩ + β|1⟩
+    function pureState(a, b) {
+        return [
+            [{ re: cnorm2(a), im: 0 }, cmul(a, conj(b))],
+            [cmul(b, conj(a)), { re: cnorm2(b), im: 0 }]
+        ];
+    }
+
+    // U = exp(−i·angle/2 · n̂·σ), rotation of the Bloch vector about n̂
+    function rotationMatrix(nx, ny, nz, angle) {
+        const c = Math.cos(angle / 2), s = Math.sin(angle / 2);
+        return [
+            [{ re: c, im: -s * nz }, { re: -s * ny, im: -s * nx }],
+            [{ re: s * ny, im: -s * nx }, { re: c, im: s * nz }]
+        ];
+    }
+
+    // ρ → U ρ U†
+    function applyUnitary(U) {
+        rho = matMul(matMul(U, rho), dagger(U));
+        normalize();
+        forwardUnitary(U);
+    }
+
+    // Mirror a unitary onto the active register slot. During evolve() the
+    // per-step unitaries are composed and forwarded once per frame.
+    let deferred = null;
+    function forwardUnitary(U) {
+        if (isolated || typeof QubitRegister === 'undefined') return;
+        if (deferred) deferred.U = matMul(U, deferred.U);
+        else QubitRegister.applyUnitary(QubitRegister.getActive(), U);
+    }
+
+    // Rotation generated by the rotating-frame Hamiltonian: axis n̂ and rate Ω (rad/s).
+    // drive is null (free precession) or { amplitude (T), phase (rad) }.
+    function hamiltonianAxis(drive, extraDetuning = 0) {
+        const delta = 2 * Math.PI * (driveFreq - GYROMAGNETIC_RATIO * Bz) + extraDetuning;
+        if (!drive) return { nx: 0, ny: 0, nz: 1, omega: delta };
+
+        // Rotation about n̂ = (Ω_R cos φ, Ω_R sin φ, Δ) / Ω
+        const omegaR = 2 * Math.PI * GYROMAGNETIC_RATIO * drive.amplitude;
+        const omega = Math.sqrt(omegaR * omegaR + delta * delta);
+        if (omega === 0) return { nx: 0, ny: 0, nz: 1, omega: 0 };
+        return {
+            nx: omegaR * Math.cos(drive.phase) / omega,
+            ny: omegaR * Math.sin(drive.phase) / omega,
+            nz: delta / omega,
+            omega
+        };
+    }
+
+    // ─── Fixed-Step Integrator ────
+    // Frames only decide how many grid steps to run; the grid itself is fixed
+    // in simulated time, so results do not depend on the frame rate.
+    //   expm: exact exp(−iHh) per sub-step with H sampled at the midpoint,
+    //         Strang-split with the exact dissipator
+    //   rk4:  classical RK4 on the full Lindblad equation
+    const integrator = { stepSize: 5e-12, subSteps: 1, method: 'expm' };
+    let pending = 0;    // simulated time (s) accumulated but not yet integrated
+    let simTime = 0;    // simulated clock (s), always on the step grid
+    let pulse = null;   // scheduled pulse { start, end, envelope, onDone }
+
+    function setIntegrator({ stepSize, subSteps, method } = {}) {
+        if (stepSize !== undefined) {
+            if (!(stepSize > 0)) throw new Error('Integrator step size must be positive');
+            integrator.stepSize = stepSize;
+        }
+        if (subSteps !== undefined) integrator.subSteps = Math.max(1, Math.round(subSteps));
+        if (method !== undefined) {
+            if (method !== 'expm' && method !== 'rk4') throw new Error('Unknown integrator: ' + method);
+            integrator.method = method;
+        }
+    }
+
+    function getIntegrator() { return { ...integrator }; }
+    function getSimTime() { return simTime; }
+
+    function inPulse(t) { return pulse !== null && t >= pulse.start && t < pulse.end; }
+
+    // Drive seen at simulated time t: a scheduled pulse takes precedence
+    // over the hold-to-pulse button. Steps pass `covered` for their whole
+    // segment so RK4 stages on a pulse edge stay on the same side.
+    function driveAt(t, isPulsing, covered = inPulse(t)) {
+        if (covered) {
+            const e = pulse.envelope ? pulse.envelope(t - pulse.start) : null;
+            if (!e) return { amplitude: B1_max, phase: drivePhase };
+            return {
+                amplitude: e.amplitude !== undefined ? e.amplitude : B1_max,
+                phase: e.phase !== undefined ? e.phase : drivePhase
+            };
+        }
+        return isPulsing ? { amplitude: B1_max, phase: drivePhase } : null;
+    }
+
+    // Play a pulse of `duration` simulated seconds starting at the next grid
+    // point. envelope(t) → { amplitude, phase } shapes it (default: square).
+    function startPulse({ duration, envelope = null, onDone = null } = {}) {
+        if (pulse) throw new Error('A pulse is already playing');
+        if (!(duration > 0)) throw new Error('Pulse duration must be positive');
+        pulse = { start: simTime, end: simTime + duration, envelope, onDone };
+        return { start: pulse.start, end: pulse.end };
+    }
+
+    function cancelPulse() { pulse = null; }
+    function isPulseActive() { return pulse !== null; }
+
+    // ─── Time Evolution (rotating frame of the drive) ────
+    // dt is wall-clock seconds; decoState (optional) adds Lindblad decoherence
+    function evolve(dt, isPulsing, decoState) {
         larmorFreq = GYROMAGNETIC_RATIO * Bz;
+        const rates = decoState ? getLindbladRates(decoState) : null;
+        const h = integrator.stepSize;
+
+        pending += dt * TIME_SCALE;
+        deferred = { U: rotationMatrix(0, 0, 1, 0) };
+        try {
+            // Tolerate round-off so n steps of T/n cover exactly T
+            while (pending >= h * (1 - 1e-9)) {
+                step(simTime, h, isPulsing, rates);
+                pending = Math.max(0, pending - h);
+                simTime += h;
+                if (pulse && simTime >= pulse.end * (1 - 1e-12)) {
+                    const done = pulse;
+                    pulse = null;
+                    flushDeferred();
+                    if (done.onDone) done.onDone();
+                    deferred = { U: rotationMatrix(0, 0, 1, 0) };
+                }
+            }
+        } finally {
+            flushDeferred();
+        }
 
-        if (isPulsing) {
-            rabiFreq = GYROMAGNETIC_RATIO * B1_max;
-            const omegaR = 2 * Math.PI * rabiFreq;
-            const angle = omegaR * simDt;
-            const cosH = Math.cos(angle / 2);
-            const sinH = Math.sin(angle / 2);
-
-            const newAlpha = cadd(cscale(alpha, cosH), cmul({ re: 0, im: -sinH }, beta));
-            const newBeta = cadd(cmul({ re: 0, im: -sinH }, alpha), cscale(beta, cosH));
-            alpha = newAlpha;
-            beta = newBeta;
-        } else {
-            rabiFreq = 0;
+        const drive = driveAt(simTime, isPulsing);
+        rabiFreq = drive ? Math.abs(hamiltonianAxis(drive).omega) / (2 * Math.PI) : 0;
+    }
+
+    function flushDeferred() {
+        const d = deferred;
+        deferred = null;
+        if (d) forwardUnitary(d.U);
+    }
+
+    // One grid step, split at pulse edges so timed pulses are exact.
+    // RK4 adds sub-steps until each rotates by at most RK4_MAX_ANGLE.
+    const RK4_MAX_ANGLE = 0.1;
+    function step(t0, h, isPulsing, rates) {
+        const cuts = [t0];
+        if (pulse) {
+            if (pulse.start > t0 && pulse.start < t0 + h) cuts.push(pulse.start);
+            if (pulse.end > t0 && pulse.end < t0 + h) cuts.push(pulse.end);
+        }
+        cuts.push(t0 + h);
+
+        for (let c = 0; c < cuts.length - 1; c++) {
+            const len = cuts[c + 1] - cuts[c];
+            const covered = inPulse(cuts[c] + len / 2);
+            const drive = t => driveAt(t, isPulsing, covered);
+            let n = integrator.subSteps;
+            if (integrator.method === 'rk4') {
+                const omega = Math.abs(hamiltonianAxis(drive(cuts[c] + len / 2)).omega);
+                n = Math.max(n, Math.ceil(omega * len / RK4_MAX_ANGLE));
+            }
+            const sub = len / n;
+            for (let i = 0; i < n; i++) {
+                const t = cuts[c] + i * sub;
+                if (integrator.method === 'rk4') rk4Step(t, sub, drive, rates);
+                else expmStep(t, sub, drive, rates);
+            }
         }
+    }
+
+    function expmStep(t, h, drive, rates) {
+        const a = hamiltonianAxis(drive(t + h / 2));
+        if (rates) dissipate(h / 2, rates);
+        applyUnitary(rotationMatrix(a.nx, a.ny, a.nz, a.omega * h));
+        if (rates) dissipate(h / 2, rates);
+    }
+
+    // dρ/dt = −i[H, ρ] + D(ρ), with H = ½ Ω n̂·σ
+    function lindbladRHS(r, a, rates) {
+        const hx = a.omega * a.nx / 2, hy = a.omega * a.ny / 2, hz = a.omega * a.nz / 2;
+        const H = [[{ re: hz, im: 0 }, { re: hx, im: -hy }], [{ re: hx, im: hy }, { re: -hz, im: 0 }]];
+        const Hr = matMul(H, r), rH = matMul(r, H);
+        // −i (Hρ − ρH)
+        const out = [0, 1].map(i => [0, 1].map(j => {
+            const c = csub(Hr[i][j], rH[i][j]);
+            return { re: c.im, im: -c.re };
+        }));
+        if (rates) {
+            const flow = rates.down * r[1][1].re - rates.up * r[0][0].re;
+            out[0][0] = cadd(out[0][0], { re: flow, im: 0 });
+            out[1][1] = cadd(out[1][1], { re: -flow, im: 0 });
+            const gammaCoh = (rates.down + rates.up) / 2 + rates.phi;
+            out[0][1] = cadd(out[0][1], cscale(r[0][1], -gammaCoh));
+            out[1][0] = cadd(out[1][0], cscale(r[1][0], -gammaCoh));
+        }
+        return out;
+    }
 
-        // Free precession (Larmor)
-        const phase = omegaL * simDt / 2;
-        alpha = cmul(alpha, cexp(phase));
-        beta = cmul(beta, cexp(-phase));
+    function rk4Step(t, h, drive, rates) {
+        const axes = [t, t + h / 2, t + h].map(ti => hamiltonianAxis(drive(ti)));
+        const axpy = (A, B, s) => [0, 1].map(i => [0, 1].map(j => cadd(A[i][j], cscale(B[i][j], s))));
+
+        const k1 = lindbladRHS(rho, axes[0], rates);
+        const k2 = lindbladRHS(axpy(rho, k1, h / 2), axes[1], rates);
+        const k3 = lindbladRHS(axpy(rho, k2, h / 2), axes[1], rates);
+        const k4 = lindbladRHS(axpy(rho, k3, h), axes[2], rates);
+        let next = axpy(rho, k1, h / 6);
+        next = axpy(next, k2, h / 3);
+        next = axpy(next, k3, h / 3);
+        rho = axpy(next, k4, h / 6);
         normalize();
+
+        // The register is closed-system: it only sees the coherent part
+        const m = axes[1];
+        forwardUnitary(rotationMatrix(m.nx, m.ny, m.nz, m.omega * h));
+    }
+
+    // Evolve for tSim seconds of physical time (not scaled by TIME_SCALE).
+    // detuningOffset (rad/s) adds to Δ, e.g. quasi-static noise or a Ramsey offset.
+    // Free precession commutes with the dissipator; a drive is Strang-split.
+    function propagate(tSim, { pulsing = false, decoState = null, detuningOffset = 0 } = {}) {
+        const h = hamiltonianAxis(pulsing ? { amplitude: B1_max, phase: drivePhase } : null, detuningOffset);
+        const rates = decoState ? getLindbladRates(decoState) : null;
+        const steps = rates && pulsing
+            ? Math.min(10000, Math.max(1, Math.ceil(Math.abs(h.omega) * tSim / 0.05)))
+            : 1;
+        const dtStep = tSim / steps;
+
+        for (let i = 0; i < steps; i++) {
+            if (rates) dissipate(dtStep / 2, rates);
+            applyUnitary(rotationMatrix(h.nx, h.ny, h.nz, h.omega * dtStep));
+            if (rates) dissipate(dtStep / 2, rates);
+        }
     }
 
-    // ─── Physics-Accurate Decoherence ────
+    // ─── Lindblad Decoherence ────
     function applyDecoherence(dt, decoState) {
         if (!decoState) return;
-        const simDt = dt * TIME_SCALE;
+        dissipate(dt * TIME_SCALE, getLindbladRates(decoState));
+    }
+
+    // Exact solution of the dissipator over tSim (rates constant):
+    //   ρ11(t) = P_th + (ρ11(0) − P_th) · exp(−t/T1)
+    //   ρ01(t) = ρ01(0) · exp(−(γ↓/2 + γ↑/2 + γφ) t)
+    function dissipate(tSim, rates) {
+        // T1 channels: amplitude damping (γ↓) + thermal excitation (γ↑)
+        const gammaT1 = rates.down + rates.up;
+        if (gammaT1 > 0) {
+            const pEq = rates.up / gammaT1; // thermal equilibrium population of |1⟩
+            const p1 = rho[1][1].re;
+            const newP1 = Math.max(0, Math.min(1, pEq + (p1 - pEq) * Math.exp(-gammaT1 * tSim)));
+            rho[1][1] = { re: newP1, im: 0 };
+            rho[0][0] = { re: 1 - newP1, im: 0 };
+        }
+
+        // Off-diagonal coherence: half the T1 rate plus pure dephasing
+        const gammaCoh = gammaT1 / 2 + rates.phi;
+        if (gammaCoh > 0) {
+            const decay = Math.exp(-gammaCoh * tSim);
+            rho[0][1] = cscale(rho[0][1], decay);
+            rho[1][0] = conj(rho[0][1]);
+        }
+
+        normalize();
+    }
+
+    // Lindblad rates (1/s) from the Decoherence model
+    function getLindbladRates(decoState) {
         const T1 = decoState.T1;
         const T2 = decoState.T2;
-        const thermalExc = decoState.thermalExcitation;
+        const pTh = decoState.thermalExcitation || 0;
 
-        // T1 relaxation: decay toward thermal equilibrium
-        // ρ₁₁(t) → P_th + (ρ₁₁(0) - P_th) · exp(-t/T1)
+        let down = 0, up = 0, phi = 0;
         if (T1 > 0 && T1 < 1e6) {
-            const p1 = cnorm2(beta);
-            const p_eq = thermalExc; // thermal equilibrium population of |1⟩
-            const decay1 = Math.exp(-simDt / T1);
-            const newP1 = p_eq + (p1 - p_eq) * decay1;
-            const clampedP1 = Math.max(0, Math.min(1, newP1));
-            const newP0 = 1 - clampedP1;
-
-            const currentP0 = cnorm2(alpha);
-            const currentP1 = cnorm2(beta);
-
-            if (currentP0 > 1e-12) alpha = cscale(alpha, Math.sqrt(newP0 / currentP0));
-            if (currentP1 > 1e-12) beta = cscale(beta, Math.sqrt(clampedP1 / currentP1));
+            down = (1 - pTh) / T1;
+            up = pTh / T1;
         }
-
-        // T2 dephasing: decay of off-diagonal coherence
-        // |α*β| → |α*β| · exp(-t/T2)
         if (T2 > 0 && T2 < 1e6) {
-            const decay2 = Math.exp(-simDt / T2);
-            // Multiply β by a phase-preserving shrink factor
-            // This reduces |α||β| while preserving individual probabilites (approximately)
-            const currentCoherence = Math.sqrt(cnorm2(alpha) * cnorm2(beta));
-            if (currentCoherence > 1e-12) {
-                // Apply random phase kicks proportional to dephasing
-                const phaseKick = (1 - decay2) * (Math.random() - 0.5) * 0.1;
-                beta = cmul(beta, cexp(phaseKick));
-            }
+            // T2 ≤ 2T1, so the remainder after T1-induced decay is pure dephasing
+            phi = Math.max(0, 1 / T2 - (down + up) / 2);
         }
-
-        normalize();
+        return { down, up, phi };
     }
 
+    // Keep ρ Hermitian with unit trace
     function normalize() {
-        const norm = Math.sqrt(cnorm2(alpha) + cnorm2(beta));
-        if (norm > 1e-10) {
-            alpha = cscale(alpha, 1 / norm);
-            beta = cscale(beta, 1 / norm);
+        const tr = rho[0][0].re + rho[1][1].re;
+        if (tr > 1e-10) {
+            rho[0][0] = { re: rho[0][0].re / tr, im: 0 };
+            rho[1][1] = { re: rho[1][1].re / tr, im: 0 };
+            rho[0][1] = cscale(rho[0][1], 1 / tr);
         }
+        rho[1][0] = conj(rho[0][1]);
     }
 
     // ─── Quantum Gate Operations ────
-    function applyGate(gateName, param) {
-        let newAlpha, newBeta;
+    function gateMatrix(gateName, param) {
         const S2 = 1 / Math.sqrt(2);
+        const zero = { re: 0, im: 0 };
 
         switch (gateName) {
             case 'X': // Pauli-X (NOT)
-                newAlpha = beta;
-                newBeta = alpha;
-                break;
+                return [[zero, { re: 1, im: 0 }], [{ re: 1, im: 0 }, zero]];
 
             case 'Y': // Pauli-Y
-                newAlpha = cmul({ re: 0, im: -1 }, beta);
-                newBeta = cmul({ re: 0, im: 1 }, alpha);
-                break;
+                return [[zero, { re: 0, im: -1 }], [{ re: 0, im: 1 }, zero]];
 
             case 'Z': // Pauli-Z
-                newAlpha = alpha;
-                newBeta = cscale(beta, -1);
-                break;
+                return [[{ re: 1, im: 0 }, zero], [zero, { re: -1, im: 0 }]];
 
             case 'H': // Hadamard
-                newAlpha = cscale(cadd(alpha, beta), S2);
-                newBeta = cscale(csub(alpha, beta), S2);
-                break;
+                return [[{ re: S2, im: 0 }, { re: S2, im: 0 }], [{ re: S2, im: 0 }, { re: -S2, im: 0 }]];
 
             case 'S': // S gate (phase π/2)
-                newAlpha = alpha;
-                newBeta = cmul({ re: 0, im: 1 }, beta);
-                break;
+                return [[{ re: 1, im: 0 }, zero], [zero, { re: 0, im: 1 }]];
 
             case 'T': // T gate (phase π/4)
-                newAlpha = alpha;
-                newBeta = cmul(cexp(Math.PI / 4), beta);
-                break;
-
-            case 'Rx': { // Rx(θ)
-                const t = (param || Math.PI / 2) / 2;
-                const c = Math.cos(t), s = Math.sin(t);
-                newAlpha = cadd(cscale(alpha, c), cmul({ re: 0, im: -s }, beta));
-                newBeta = cadd(cmul({ re: 0, im: -s }, alpha), cscale(beta, c));
-                break;
-            }
+                return [[{ re: 1, im: 0 }, zero], [zero, cexp(Math.PI / 4)]];
+
+            case 'Rx': // Rx(θ)
+                return rotationMatrix(1, 0, 0, param == null ? Math.PI / 2 : param);
+
+            case 'Ry': // Ry(θ)
+                return rotationMatrix(0, 1, 0, param == null ? Math.PI / 2 : param);
+
+            case 'Rz': // Rz(θ)
+                return rotationMatrix(0, 0, 1, param == null ? Math.PI / 2 : param);
 
-            case 'Ry': { // Ry(θ)
-                const t = (param || Math.PI / 2) / 2;
-                const c = Math.cos(t), s = Math.sin(t);
-                newAlpha = cadd(cscale(alpha, c), cscale(beta, -s));
-                newBeta = cadd(cscale(alpha, s), cscale(beta, c));
-                break;
+            default: {
+                const custom = customGates.get(gateName);
+                return custom ? copyMatrix(custom.matrix) : null;
             }
+        }
+    }
+
+    // ─── Custom Gates ────
+    const BUILTIN_GATES = ['X', 'Y', 'Z', 'H', 'S', 'T', 'Rx', 'Ry', 'Rz'];
+    const RESERVED_NAMES = ['M', 'MEASURE'];
+    const UNITARY_TOLERANCE = 1e-6;
+    const customGates = new Map();   // name → { matrix, source }
+
+    // Accept numbers or { re, im } entries
+    function toComplex(v) {
+        if (typeof v === 'number') return { re: v, im: 0 };
+        if (v && typeof v.re === 'number') return { re: v.re, im: typeof v.im === 'number' ? v.im : 0 };
+        throw new Error('Matrix entries must be numbers or { re, im }');
+    }
 
-            case 'Rz': { // Rz(θ)
-                const t = (param || Math.PI / 2) / 2;
-                newAlpha = cmul(cexp(-t), alpha);
-                newBeta = cmul(cexp(t), beta);
-                break;
+    function toMatrix(m) {
+        if (!Array.isArray(m) || m.length !== 2 || !m.every(r => Array.isArray(r) && r.length === 2)) {
+            throw new Error('Expected a 2×2 matrix');
+        }
+        const out = m.map(r => r.map(toComplex));
+        if (!out.every(r => r.every(c => Number.isFinite(c.re) && Number.isFinite(c.im)))) {
+            throw new Error('Matrix entries must be finite');
+        }
+        return out;
+    }
+
+    // Largest entry of |U†U − I|
+    function unitarityError(U) {
+        const P = matMul(dagger(U), U);
+        let err = 0;
+        for (let i = 0; i < 2; i++) {
+            for (let j = 0; j < 2; j++) {
+                err = Math.max(err, Math.hypot(P[i][j].re - (i === j ? 1 : 0), P[i][j].im));
             }
+        }
+        return err;
+    }
+
+    // U = exp(−2πi H t) for a Hermitian H/h (Hz): H = a₀ I + a·σ
+    function hamiltonianUnitary(H, duration) {
+        const herm = Math.max(
+            Math.abs(H[0][0].im), Math.abs(H[1][1].im),
+            Math.hypot(H[0][1].re - H[1][0].re, H[0][1].im + H[1][0].im)
+        );
+        const scale = Math.max(1, ...H.flat().map(c => Math.hypot(c.re, c.im)));
+        if (herm > UNITARY_TOLERANCE * scale) throw new Error('Hamiltonian is not Hermitian');
+
+        const a0 = (H[0][0].re + H[1][1].re) / 2;
+        const ax = H[0][1].re, ay = -H[0][1].im, az = (H[0][0].re - H[1][1].re) / 2;
+        const a = Math.sqrt(ax * ax + ay * ay + az * az);
+        const R = a > 0
+            ? rotationMatrix(ax / a, ay / a, az / a, 4 * Math.PI * a * duration)
+            : rotationMatrix(0, 0, 1, 0);
+        const phase = cexp(-2 * Math.PI * a0 * duration);
+        return R.map(r => r.map(c => cmul(c, phase)));
+    }
 
-            default: return;
+    // Register a named gate from { matrix } (2×2, unitary) or
+    // { hamiltonian, duration } (H/h in Hz, duration in s).
+    function registerGate(name, def = {}) {
+        if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error('Gate names must start with a letter and use letters, digits or _');
+        }
+        if (BUILTIN_GATES.includes(name) || RESERVED_NAMES.includes(name.toUpperCase())) {
+            throw new Error(`"${name}" is a built-in gate`);
         }
 
-        alpha = newAlpha;
-        beta = newBeta;
-        normalize();
+        let matrix, source;
+        if (def.matrix) {
+            matrix = toMatrix(def.matrix);
+            source = 'matrix';
+        } else if (def.hamiltonian) {
+            if (!(def.duration > 0)) throw new Error('Hamiltonian gates need a positive duration');
+            matrix = hamiltonianUnitary(toMatrix(def.hamiltonian), def.duration);
+            source = 'hamiltonian';
+        } else {
+            throw new Error('Define a gate with { matrix } or { hamiltonian, duration }');
+        }
+
+        const err = unitarityError(matrix);
+        if (err > UNITARY_TOLERANCE) throw new Error(`"${name}" is not unitary (|U†U − I| = ${err.toExponential(1)})`);
+
+        customGates.set(name, { matrix, source, duration: source === 'hamiltonian' ? def.duration : null });
+        return copyMatrix(matrix);
+    }
+
+    function unregisterGate(name) { return customGates.delete(name); }
+
+    function getRegisteredGates() {
+        return [...customGates].map(([name, g]) => ({ name, source: g.source, duration: g.duration, matrix: copyMatrix(g.matrix) }));
+    }
+
+    function isGate(name) { return BUILTIN_GATES.includes(name) || customGates.has(name); }
+
+    // U = e^{iα} Rz(φ) Ry(θ) Rz(λ); the global phase α is dropped.
+    // Degenerate cases (θ = 0 or π) put the whole Z rotation into λ or φ.
+    function decomposeZYZ(m) {
+        const U = toMatrix(m);
+        const arg = c => Math.atan2(c.im, c.re);
+        const cosHalf = Math.hypot(U[0][0].re, U[0][0].im);
+        const sinHalf = Math.hypot(U[1][0].re, U[1][0].im);
+        const theta = 2 * Math.atan2(sinHalf, cosHalf);
+        let phi = 0, lambda = 0;
+        if (sinHalf < 1e-9) {
+            lambda = arg(U[1][1]) - arg(U[0][0]);
+        } else if (cosHalf < 1e-9) {
+            phi = arg(U[1][0]) - arg(cscale(U[0][1], -1));
+        } else {
+            phi = arg(U[1][0]) - arg(U[0][0]);
+            lambda = arg(U[1][1]) - arg(U[1][0]);
+        }
+        const wrap = a => Math.atan2(Math.sin(a), Math.cos(a));
+        return { theta, phi: wrap(phi), lambda: wrap(lambda) };
+    }
+
+    function getGateMatrix(gateName, param) {
+        const U = gateMatrix(gateName, param);
+        if (!U) throw new Error('Unknown gate: ' + gateName);
+        return U;
+    }
 
+    // Bloch-sphere rotation of a gate: U = e^{iα}(cos(a/2) I − i sin(a/2) n·σ).
+    // Returns the unit axis n and the angle a ∈ [0, π]; the axis is z when a = 0.
+    function getRotationAxis(gateName, param) {
+        const U = getGateMatrix(gateName, param);
+        const det = csub(cmul(U[0][0], U[1][1]), cmul(U[0][1], U[1][0]));
+        const V = U.map(r => r.map(c => cmul(c, cexp(-Math.atan2(det.im, det.re) / 2))));
+        let c = (V[0][0].re + V[1][1].re) / 2;
+        let x = -(V[0][1].im + V[1][0].im) / 2;
+        let y = (V[1][0].re - V[0][1].re) / 2;
+        let z = (V[1][1].im - V[0][0].im) / 2;
+        // e^{iα} is fixed only up to a sign; pick the one with a ≤ π
+        if (c < 0) { c = -c; x = -x; y = -y; z = -z; }
+        const s = Math.sqrt(x * x + y * y + z * z);
+        if (s < 1e-12) return { x: 0, y: 0, z: 1, angle: 0 };
+        return { x: x / s, y: y / s, z: z / s, angle: 2 * Math.atan2(s, c) };
+    }
+
+    function applyGate(gateName, param) {
+        const U = gateMatrix(gateName, param);
+        if (!U) throw new Error('Unknown gate: ' + gateName);
+        applyUnitary(U);
+        if (isolated) return;
+
+        const angles = getBlochAngles();
         gateLog.push({
             gate: gateName,
-            param: param || null,
+            param: param == null ? null : param,
+            custom: customGates.has(gateName),
             time: Date.now(),
-            stateAfter: { p0: getP0(), p1: getP1(), theta: getBlochAngles().theta, phi: getBlochAngles().phi }
+            stateAfter: { p0: getP0(), p1: getP1(), theta: angles.theta, phi: angles.phi, purity: getPurity(), rho: copyMatrix(rho) }
         });
     }
 
+    // Projective measurement followed by spin-to-charge readout (Readout):
+    // the returned result is the assigned outcome, which can differ from the
+    // projected spin; Elzerman readout also reloads the dot with |0⟩.
     function measure() {
-        const p1 = cnorm2(beta);
-        const result = Math.random() < p1 ? 1 : 0;
-
-        // Collapse
-        if (result === 0) {
-            alpha = { re: 1, im: 0 };
-            beta = { re: 0, im: 0 };
-        } else {
-            alpha = { re: 0, im: 0 };
-            beta = { re: 1, im: 0 };
+        const p1 = getP1();
+        const spin = Random.random() < p1 ? 1 : 0;
+        const ro = typeof Readout !== 'undefined'
+            ? Readout.readSpin(spin, { keepTrace: !isolated })
+            : { outcome: spin, spin, finalSpin: spin, mode: 'ideal', error: false };
+
+        rho = ro.finalSpin === 0
+            ? pureState({ re: 1, im: 0 }, { re: 0, im: 0 })
+            : pureState({ re: 0, im: 0 }, { re: 1, im: 0 });
+        if (isolated) return ro.outcome;
+        if (typeof QubitRegister !== 'undefined') {
+            const q = QubitRegister.getActive();
+            QubitRegister.collapse(q, spin);
+            if (ro.finalSpin !== spin) QubitRegister.collapse(q, ro.finalSpin);
         }
 
         gateLog.push({
             gate: 'MEASURE',
-            result,
+            result: ro.outcome,
+            readout: { mode: ro.mode, spin, error: ro.error },
             time: Date.now(),
-            stateAfter: { p0: getP0(), p1: getP1() }
+            stateAfter: { p0: getP0(), p1: getP1(), rho: copyMatrix(rho) }
         });
 
-        return result;
+        return ro.outcome;
+    }
+
+    // Load |bit⟩ (state preparation); meta records preparation error in the log
+    function prepare(bit, meta = {}) {
+        rho = bit === 1
+            ? pureState({ re: 0, im: 0 }, { re: 1, im: 0 })
+            : pureState({ re: 1, im: 0 }, { re: 0, im: 0 });
+        if (isolated) return;
+        if (typeof QubitRegister !== 'undefined') QubitRegister.collapse(QubitRegister.getActive(), bit);
+        gateLog.push({
+            gate: 'INIT',
+            prepared: bit,
+            ...meta,
+            time: Date.now(),
+            stateAfter: { p0: getP0(), p1: getP1(), rho: copyMatrix(rho) }
+        });
     }
 
     function reset() {
-        alpha = { re: 1, im: 0 };
-        beta = { re: 0, im: 0 };
+        rho = pureState({ re: 1, im: 0 }, { re: 0, im: 0 });
+        if (!isolated && typeof QubitRegister !== 'undefined') QubitRegister.resetQubit(QubitRegister.getActive());
+    }
+
+    // Run fn against a scratch copy of the solver (experiments, sweeps).
+    // State, fields and drive are restored afterwards; nothing is forwarded or logged.
+    function sandbox(fn) {
+        const saved = {
+            rho: copyMatrix(rho), Bz, B1_max, driveFreq, drivePhase, larmorFreq, rabiFreq, isolated,
+            pending, simTime, pulse, integrator: { ...integrator }
+        };
+        isolated = true;
+        pending = 0;
+        pulse = null;
+        try {
+            return fn();
+        } finally {
+            const fieldChanged = Bz !== saved.Bz;
+            ({ Bz, B1_max, driveFreq, drivePhase, larmorFreq, rabiFreq, isolated, pending, simTime, pulse } = saved);
+            Object.assign(integrator, saved.integrator);
+            rho = saved.rho;
+            if (fieldChanged) Decoherence.setBfield(Bz);
+        }
+    }
+
+    // Load a state without forwarding it (e.g. a reduced state from the register)
+    function setDensityMatrix(m) {
+        rho = copyMatrix(m);
+        normalize();
+    }
+
+    // Load a logged snapshot (stateAfter.rho) and keep the register in step:
+    // the active slot is re-prepared along the snapshot's Bloch direction
+    function loadState(m) {
+        setDensityMatrix(m);
+        if (isolated || typeof QubitRegister === 'undefined') return;
+        const q = QubitRegister.getActive();
+        const { theta, phi } = getBlochAngles();
+        QubitRegister.resetQubit(q);
+        QubitRegister.applyUnitary(q, matMul(rotationMatrix(0, 0, 1, phi), rotationMatrix(0, 1, 0, theta)));
     }
 
-    function getP0() { return cnorm2(alpha); }
-    function getP1() { return cnorm2(beta); }
+    function getP0() { return rho[0][0].re; }
+    function getP1() { return rho[1][1].re; }
+
+    // Bloch vector r with ρ = (I + r·σ)/2; |r| = 1 for pure states, < 1 for mixed
+    function getBlochVector() {
+        const x = 2 * rho[0][1].re;
+        const y = -2 * rho[0][1].im;
+        const z = rho[0][0].re - rho[1][1].re;
+        return { x, y, z, length: Math.sqrt(x * x + y * y + z * z) };
+    }
+
+    // Tr(ρ²) = (1 + |r|²)/2: 1 for pure states, ½ for the maximally mixed state
+    function getPurity() {
+        const r = getBlochVector().length;
+        return (1 + r * r) / 2;
+    }
 
+    // Direction of the Bloch vector (well-defined for mixed states too)
     function getBlochAngles() {
-        const p1 = getP1();
-        const theta = 2 * Math.acos(Math.min(1, Math.sqrt(1 - p1)));
-        const phaseAlpha = Math.atan2(alpha.im, alpha.re);
-        const phaseBeta = Math.atan2(beta.im, beta.re);
-        let phi = phaseBeta - phaseAlpha;
+        const r = getBlochVector();
+        const theta = Math.atan2(Math.sqrt(r.x * r.x + r.y * r.y), r.z);
+        let phi = Math.atan2(r.y, r.x);
         while (phi < 0) phi += 2 * Math.PI;
         while (phi >= 2 * Math.PI) phi -= 2 * Math.PI;
         return { theta, phi };
@@ -245,30 +693,62 @@ const SpinPhysics = (() => {
         Decoherence.setBfield(bz);
     }
 
+    function getBField() { return Bz; }
+
+    // Drive parameters: frequency (Hz), phase (rad), amplitude B₁ (T)
+    function setDrive({ frequency, phase, amplitude } = {}) {
+        if (frequency !== undefined) driveFreq = frequency;
+        if (phase !== undefined) drivePhase = phase;
+        if (amplitude !== undefined) B1_max = amplitude;
+    }
+
+    function getDrive() {
+        return { frequency: driveFreq, phase: drivePhase, amplitude: B1_max };
+    }
+
+    function tuneToResonance() { driveFreq = GYROMAGNETIC_RATIO * Bz; }
+
     function getLarmorGHz() { return larmorFreq / 1e9; }
     function getRabiMHz() { return rabiFreq / 1e6; }
+    function getDetuningMHz() { return (driveFreq - GYROMAGNETIC_RATIO * Bz) / 1e6; }
+    function getResonantRabiMHz() { return GYROMAGNETIC_RATIO * B1_max / 1e6; }
 
     function getStateLabel() {
         const p0 = getP0(), p1 = getP1();
+        const purity = getPurity();
+        if (purity < 0.995) return `ρ mixed — |r| = ${getBlochVector().length.toFixed(2)}, Tr(ρ²) = ${purity.toFixed(2)}`;
         if (p0 > 0.99) return '|ψ⟩ = |0⟩';
         if (p1 > 0.99) return '|ψ⟩ = |1⟩';
         return `|ψ⟩ = ${Math.sqrt(p0).toFixed(2)}|0⟩ + ${Math.sqrt(p1).toFixed(2)}|1⟩`;
     }
 
+    // Amplitudes of the dominant eigenstate of ρ (the state itself when pure)
     function getStateVector() {
-        return { alpha: { ...alpha }, beta: { ...beta } };
+        const { theta, phi } = getBlochAngles();
+        return {
+            alpha: { re: Math.cos(theta / 2), im: 0 },
+            beta: cscale(cexp(phi), Math.sin(theta / 2))
+        };
     }
 
+    function getDensityMatrix() { return copyMatrix(rho); }
+
     function getGateLog() { return [...gateLog]; }
     function clearGateLog() { gateLog.length = 0; }
+    // Drop entries after the first n (stepping back through a circuit)
+    function truncateGateLog(n) { gateLog.length = Math.min(gateLog.length, Math.max(0, n)); }
 
     return {
-        evolve, applyDecoherence, reset,
-        getP0, getP1, getBlochAngles,
-        setBField, getLarmorGHz, getRabiMHz,
-        getStateLabel, getStateVector,
-        applyGate, measure,
-        getGateLog, clearGateLog,
-        TIME_SCALE
+        evolve, applyDecoherence, propagate, sandbox, reset,
+        setIntegrator, getIntegrator, getSimTime, startPulse, cancelPulse, isPulseActive,
+        getP0, getP1, getBlochAngles, getBlochVector, getPurity,
+        setBField, getBField, getLarmorGHz, getRabiMHz,
+        setDrive, getDrive, tuneToResonance, getDetuningMHz, getResonantRabiMHz,
+        getStateLabel, getStateVector, getDensityMatrix, setDensityMatrix, loadState,
+        applyGate, measure, prepare,
+        registerGate, unregisterGate, getRegisteredGates, isGate, BUILTIN_GATES,
+        getGateMatrix, decomposeZYZ, getRotationAxis,
+        getGateLog, clearGateLog, truncateGateLog,
+        TIME_SCALE, GYROMAGNETIC_RATIO
     };
 })();
@@ -0,0 +1,188 @@
+/**
+ * sweeps.js — Rabi Chevron and ESR Spectrum Sweeps
+ *
+ * The standard spin-qubit characterization plots, measured on a sandboxed
+ * copy of the spin with the same integrator the live view uses
+ * (SpinPhysics.evolve with Lindblad decoherence):
+ *   Chevron (detuning): P(|1⟩) vs pulse length × drive detuning Δ
+ *   Chevron (field):    P(|1⟩) vs pulse length × B_z, drive held fixed
+ *   ESR spectrum:       P(|1⟩) after a resonant π pulse vs drive frequency
+ *
+ * On resonance the spin flips at Ω_R = γ B₁; off resonance it oscillates
+ * faster but with reduced amplitude Ω_R² / (Ω_R² + Δ²) — the chevron.
+ * The resonance sits at f = γ B_z (getLarmorGHz()).
+ */
+
+const Sweeps = (() => {
+    const COLUMNS = 64;        // pulse-length samples
+    const ROWS = 49;           // detuning / field samples (odd: includes resonance)
+    const ESR_POINTS = 161;
+    const PERIODS = 4;         // resonant Rabi periods across the pulse axis
+    const SPAN = 3;            // detuning half-span in units of Ω_R
+    const MAX_STEP_ANGLE = Math.PI / 8;
+
+    const MODES = {
+        chevron: 'Chevron (Δ × t)',
+        field: 'Chevron (B_z × t)',
+        esr: 'ESR spectrum'
+    };
+
+    let canvas, resultEl, modeSelect;
+    let lastResult = null;
+
+    function init() {
+        canvas = document.getElementById('sweep-canvas');
+        resultEl = document.getElementById('sweep-result');
+        modeSelect = document.getElementById('sweep-mode');
+
+        const runBtn = document.getElementById('sweep-run-btn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => {
+                lastResult = run(modeSelect ? modeSelect.value : 'chevron');
+                render(lastResult);
+            });
+        }
+    }
+
+    // Drive a pulse of physical length t through the live integrator, with
+    // the grid chosen so each step rotates by at most MAX_STEP_ANGLE
+    function pulse(t, deco) {
+        const { amplitude, frequency } = SpinPhysics.getDrive();
+        const delta = 2 * Math.PI * (frequency - SpinPhysics.GYROMAGNETIC_RATIO * SpinPhysics.getBField());
+        const omegaR = 2 * Math.PI * SpinPhysics.GYROMAGNETIC_RATIO * amplitude;
+        const steps = Math.max(1, Math.ceil(Math.hypot(omegaR, delta) * t / MAX_STEP_ANGLE));
+        SpinPhysics.setIntegrator({ stepSize: t / steps });
+        SpinPhysics.evolve(t / SpinPhysics.TIME_SCALE, true, deco);
+    }
+
+    // ─── Sweeps ────
+    // rowSetter(value) configures the drive/field for one row; each row walks
+    // the pulse axis cumulatively from |0⟩
+    function chevronGrid(rowValues, rowSetter, tMax, deco) {
+        const tStep = tMax / (COLUMNS - 1);
+        return rowValues.map(v => {
+            rowSetter(v);
+            SpinPhysics.reset();
+            const row = [SpinPhysics.getP1()];
+            for (let k = 1; k < COLUMNS; k++) {
+                pulse(tStep, deco);
+                row.push(SpinPhysics.getP1());
+            }
+            return row;
+        });
+    }
+
+    function run(mode) {
+        if (!MODES[mode]) throw new Error('Unknown sweep: ' + mode);
+        const deco = Decoherence.getState();
+        const gamma = SpinPhysics.GYROMAGNETIC_RATIO;
+        const rabiHz = SpinPhysics.getResonantRabiMHz() * 1e6;
+        const larmorHz = SpinPhysics.getLarmorGHz() * 1e9;
+        const bz = SpinPhysics.getBField();
+        const tMax = PERIODS / rabiHz;
+        const range = n => Array.from({ length: n }, (_, i) => -1 + 2 * i / (n - 1));
+
+        return SpinPhysics.sandbox(() => {
+            if (mode === 'chevron') {
+                const detunings = range(ROWS).map(u => u * SPAN * rabiHz);
+                const grid = chevronGrid(detunings,
+                    d => SpinPhysics.setDrive({ frequency: gamma * bz + d }), tMax, deco);
+                return { mode, grid, tMax, rows: detunings, resonance: 0, rabiHz, larmorHz };
+            }
+
+            if (mode === 'field') {
+                // Drive stays at the current frequency; B_z sweeps through γB_z = f
+                const drive = SpinPhysics.getDrive().frequency;
+                const bRes = drive / gamma;
+                const fields = range(ROWS).map(u => bRes + u * SPAN * rabiHz / gamma);
+                const grid = chevronGrid(fields, b => SpinPhysics.setBField(b), tMax, deco);
+                return { mode, grid, tMax, rows: fields, resonance: bRes, rabiHz, larmorHz };
+            }
+
+            // ESR: fixed π pulse (on resonance) against drive frequency
+            const tPi = 1 / (2 * rabiHz);
+            const freqs = range(ESR_POINTS).map(u => larmorHz + u * 2 * SPAN * rabiHz);
+            const p1 = freqs.map(f => {
+                SpinPhysics.setDrive({ frequency: f });
+                SpinPhysics.reset();
+                pulse(tPi, deco);
+                return SpinPhysics.getP1();
+            });
+            return { mode, freqs, p1, tPi, resonance: larmorHz, rabiHz, larmorHz, ...peak(freqs, p1) };
+        });
+    }
+
+    // Peak position (parabolic refinement around the maximum) and FWHM
+    function peak(xs, ys) {
+        let i = ys.indexOf(Math.max(...ys));
+        let x0 = xs[i];
+        if (i > 0 && i < ys.length - 1) {
+            const denom = ys[i - 1] - 2 * ys[i] + ys[i + 1];
+            if (denom !== 0) x0 += 0.5 * (ys[i - 1] - ys[i + 1]) / denom * (xs[1] - xs[0]);
+        }
+        const half = (ys[i] + Math.min(...ys)) / 2;
+        let lo = i, hi = i;
+        while (lo > 0 && ys[lo] > half) lo--;
+        while (hi < ys.length - 1 && ys[hi] > half) hi++;
+        return { peakHz: x0, fwhmHz: xs[hi] - xs[lo] };
+    }
+
+    // ─── Rendering ────
+    function render(result) {
+        if (!result) return;
+        const ns = result.tMax * 1e9;
+
+        if (result.mode === 'esr') {
+            const toMHz = f => (f - result.larmorHz) / 1e6;
+            Plot.xy(canvas, {
+                series: [{ x: result.freqs.map(toMHz), y: result.p1, mode: 'line', color: '#ea4335' }],
+                yRange: [0, 1],
+                xLabel: `f − ${(result.larmorHz / 1e9).toFixed(3)} GHz (MHz) →`,
+                yLabel: 'P(|1⟩)',
+                markers: [{ x: 0, label: 'f = γB_z', color: '#1a73e8' }]
+            });
+        } else if (result.mode === 'chevron') {
+            Plot.heatmap(canvas, {
+                grid: result.grid,
+                xRange: [0, ns],
+                yRange: [result.rows[0] / 1e6, result.rows[result.rows.length - 1] / 1e6],
+                xLabel: 'pulse length (ns) →',
+                yLabel: 'Δ (MHz)',
+                colorLabel: 'P(|1⟩)',
+                lines: [{ y: 0, label: 'resonance' }]
+            });
+        } else {
+            Plot.heatmap(canvas, {
+                grid: result.grid,
+                xRange: [0, ns],
+                yRange: [result.rows[0] * 1e3, result.rows[result.rows.length - 1] * 1e3],
+                yFormat: v => v.toFixed(0),
+                xLabel: 'pulse length (ns) →',
+                yLabel: 'B_z (mT)',
+                colorLabel: 'P(|1⟩)',
+                lines: [{ y: result.resonance * 1e3, label: 'γB_z = f' }]
+            });
+        }
+
+        if (!resultEl) return;
+        const rows = result.mode === 'esr'
+            ? [
+                ['Peak:', `${(result.peakHz / 1e9).toFixed(4)} GHz`],
+                ['γB_z (Larmor):', `${(result.larmorHz / 1e9).toFixed(4)} GHz`],
+                ['FWHM:', `${(result.fwhmHz / 1e6).toFixed(1)} MHz`],
+                ['π pulse:', Decoherence.formatTime(result.tPi)]
+            ]
+            : [
+                ['Ω_R (resonant):', `${(result.rabiHz / 1e6).toFixed(1)} MHz`],
+                ['π pulse:', Decoherence.formatTime(1 / (2 * result.rabiHz))],
+                [result.mode === 'field' ? 'B_res:' : 'f_res:', result.mode === 'field'
+                    ? `${(result.resonance * 1e3).toFixed(2)} mT`
+                    : `${(result.larmorHz / 1e9).toFixed(4)} GHz`]
+            ];
+        UI.showRows(resultEl, rows);
+    }
+
+    function getLastResult() { return lastResult; }
+
+    return { init, run, render, getLastResult, MODES };
+})();
@@ -5,8 +5,12 @@
  *   - Gate voltages → QuantumDot potential
  *   - Temperature → Decoherence physics (T1, T2, thermal excitation)
  *   - B-field → SpinPhysics Larmor frequency + Decoherence Zeeman
+ *   - Drive frequency/phase/amplitude → detuning & generalized Rabi frequency
  *   - Pulse → Rabi oscillations
  *   - Decoherence → SpinPhysics state decay
+ *   - Seed and share chips → Random seed, permalinks and save slots (Permalink)
+ *   - Result panels: label/value rows and form errors, built as text nodes
+ *     (showRows, showError) since values and messages can echo user input
  */
 
 const UI = (() => {
@@ -37,6 +41,7 @@ const UI = (() => {
         els.tempVal = document.getElementById('temp-value');
         els.headerTemp = document.getElementById('header-temp');
         els.headerBfield = document.getElementById('header-bfield');
+        els.headerSeed = document.getElementById('header-seed');
         els.hudT2 = document.getElementById('hud-t2');
         els.hudCoherence = document.getElementById('hud-coherence');
         els.larmorVal = document.getElementById('larmor-value');
@@ -62,6 +67,18 @@ const UI = (() => {
         els.probText1 = document.getElementById('prob-1-text');
         els.stateLabel = document.getElementById('footer-state-label');
         els.rabiVal = document.getElementById('rabi-value');
+        els.larmorVal2 = document.getElementById('larmor-value-2');
+        els.detuningVal = document.getElementById('detuning-value');
+        els.rabiResVal = document.getElementById('rabi-res-value');
+
+        // Microwave drive
+        els.sliderDriveFreq = document.getElementById('slider-drive-freq');
+        els.sliderDrivePhase = document.getElementById('slider-drive-phase');
+        els.sliderDriveAmp = document.getElementById('slider-drive-amp');
+        els.driveFreqVal = document.getElementById('drive-freq-val');
+        els.drivePhaseVal = document.getElementById('drive-phase-val');
+        els.driveAmpVal = document.getElementById('drive-amp-val');
+        els.btnDriveResonance = document.getElementById('btn-drive-resonance');
 
         // Pulse
         els.pulseBtn = document.getElementById('pulse-button');
@@ -76,12 +93,28 @@ const UI = (() => {
         els.btnNext3 = document.getElementById('btn-next-3');
 
         wireSliders();
+        wireDrive();
+        wireSeed();
         wireButtons();
         wireToggles();
         wirePulse();
 
         // Init quantum computing
         try { QuantumComputing.init(); } catch (e) { console.warn('QC init:', e); }
+        try { Experiments.init(); } catch (e) { console.warn('Experiments init:', e); }
+        try { Sweeps.init(); } catch (e) { console.warn('Sweeps init:', e); }
+        try { Readout.init(); } catch (e) { console.warn('Readout init:', e); }
+        try { Sampling.init(); } catch (e) { console.warn('Sampling init:', e); }
+        try { CircuitDebugger.init(); } catch (e) { console.warn('Debugger init:', e); }
+        try { PulseCompiler.init(); } catch (e) { console.warn('PulseCompiler init:', e); }
+        try { Benchmarking.init(); } catch (e) { console.warn('Benchmarking init:', e); }
+        try { Variational.init(); } catch (e) { console.warn('Variational init:', e); }
+        try { Waveforms.init(); } catch (e) { console.warn('Waveforms init:', e); }
+        try { Sequencer.init(); } catch (e) { console.warn('Sequencer init:', e); }
+        try { Awg.init(); } catch (e) { console.warn('Awg init:', e); }
+        try { Permalink.init(); } catch (e) { console.warn('Permalink init:', e); }
+        // After Permalink, so the first calibration sees the restored drive
+        try { Calibration.init(); } catch (e) { console.warn('Calibration init:', e); }
     }
 
     // ─── Slider Wiring ────
@@ -126,6 +159,60 @@ const UI = (() => {
         }
     }
 
+    // Seed chip: shows the Random seed and keeps ?seed=… in the URL so the
+    // address bar always reproduces the session
+    function wireSeed() {
+        const show = seed => {
+            if (els.headerSeed) els.headerSeed.textContent = 'seed ' + seed;
+            try {
+                const url = new URL(window.location.href);
+                url.searchParams.set('seed', seed);
+                window.history.replaceState(null, '', url);
+            } catch (e) { }
+        };
+        Random.onSeedChange(show);
+        show(Random.getSeed());
+
+        if (!els.headerSeed) return;
+        els.headerSeed.addEventListener('click', () => {
+            const next = window.prompt('Random seed (reload with ?seed=… to replay from the start):', Random.getSeed());
+            if (next && next.trim()) Random.setSeed(next.trim());
+        });
+    }
+
+    // Drive → detuning Δ = ω_drive − ω_L and generalized Rabi frequency
+    function wireDrive() {
+        if (els.sliderDriveFreq) {
+            els.sliderDriveFreq.addEventListener('input', () => {
+                const f = parseFloat(els.sliderDriveFreq.value);
+                if (els.driveFreqVal) els.driveFreqVal.innerHTML = f.toFixed(3) + '<small> GHz</small>';
+                SpinPhysics.setDrive({ frequency: f * 1e9 });
+            });
+        }
+        if (els.sliderDrivePhase) {
+            els.sliderDrivePhase.addEventListener('input', () => {
+                const deg = parseFloat(els.sliderDrivePhase.value);
+                if (els.drivePhaseVal) els.drivePhaseVal.innerHTML = deg.toFixed(0) + '<small>°</small>';
+                SpinPhysics.setDrive({ phase: deg * Math.PI / 180 });
+            });
+        }
+        if (els.sliderDriveAmp) {
+            els.sliderDriveAmp.addEventListener('input', () => {
+                const mT = parseFloat(els.sliderDriveAmp.value);
+                if (els.driveAmpVal) els.driveAmpVal.innerHTML = mT.toFixed(1) + '<small> mT</small>';
+                SpinPhysics.setDrive({ amplitude: mT * 1e-3 });
+            });
+        }
+        if (els.btnDriveResonance) {
+            els.btnDriveResonance.addEventListener('click', () => {
+                SpinPhysics.tuneToResonance();
+                const f = SpinPhysics.getDrive().frequency / 1e9;
+                if (els.sliderDriveFreq) els.sliderDriveFreq.value = f;
+                if (els.driveFreqVal) els.driveFreqVal.innerHTML = f.toFixed(3) + '<small> GHz</small>';
+            });
+        }
+    }
+
     function syncGateVoltages() {
         const vl = parseFloat(els.sliderVl?.value || 0);
         const vc = parseFloat(els.sliderVc?.value || 0);
@@ -207,6 +294,18 @@ const UI = (() => {
         });
     }
 
+    // Jump straight to a stage (permalinks), making the scene changes the
+    // stage buttons would have made on the way there
+    function restoreStage(stage) {
+        if (stage >= 2) {
+            QuantumDot.showGates(true);
+            Lattice.showQuantumDot(true);
+        }
+        if (stage >= 3 && els.btnNext2) els.btnNext2.classList.remove('disabled');
+        if (stage >= 4 && els.pulseBtn) els.pulseBtn.disabled = false;
+        StageManager.unlock(stage);
+    }
+
     function showStageContent(stage) {
         els.stages.forEach(s => {
             const ds = parseInt(s.getAttribute('data-stage'));
@@ -240,6 +339,9 @@ const UI = (() => {
         // Larmor & Rabi
         if (els.larmorVal) els.larmorVal.textContent = SpinPhysics.getLarmorGHz().toFixed(2) + ' GHz';
         if (els.rabiVal) els.rabiVal.textContent = SpinPhysics.getRabiMHz().toFixed(1) + ' MHz';
+        if (els.larmorVal2) els.larmorVal2.textContent = SpinPhysics.getLarmorGHz().toFixed(2) + ' GHz';
+        if (els.detuningVal) els.detuningVal.textContent = SpinPhysics.getDetuningMHz().toFixed(1) + ' MHz';
+        if (els.rabiResVal) els.rabiResVal.textContent = SpinPhysics.getResonantRabiMHz().toFixed(1) + ' MHz';
 
         // Physics readouts
         if (els.t1Val) els.t1Val.textContent = Decoherence.getT1String();
@@ -257,8 +359,37 @@ const UI = (() => {
         if (els.stateLabel) els.stateLabel.textContent = SpinPhysics.getStateLabel();
     }
 
+    // ─── Result Panels ────
+    // rows: [[label, value], …]; a row without a value is a note
+    function showRows(el, rows) {
+        if (!el) return;
+        el.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'qc-sv-row';
+            const labelEl = document.createElement('span');
+            labelEl.className = 'qc-sv-label';
+            labelEl.textContent = label;
+            row.appendChild(labelEl);
+            if (value != null) {
+                const valEl = document.createElement('span');
+                valEl.className = 'qc-sv-val';
+                valEl.textContent = value;
+                row.appendChild(valEl);
+            }
+            return row;
+        }));
+    }
+
+    function showError(el, message) {
+        if (!el) return;
+        const error = document.createElement('div');
+        error.className = 'qc-form-error';
+        error.textContent = message;
+        el.replaceChildren(error);
+    }
+
     return {
         init, updateStageNav, showStageContent,
-        highlightStageTab, updateReadouts
+        highlightStageTab, restoreStage, updateReadouts, showRows, showError
     };
 })();
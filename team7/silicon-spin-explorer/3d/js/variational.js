@@ -0,0 +1,338 @@
+/**
+ * variational.js — Parameterized Circuits & Variational Optimizer
+ *
+ * Tunes the composer's symbolic angles (Rx(θ1), Ry(θ2), …) to minimize the
+ * expectation value of a Pauli observable in the circuit's output state:
+ *   E(θ) = Tr(ρ(θ) O),   O = c·I + a·X + b·Y + d·Z = c + (a, b, d)·r
+ * written as "Z", "-X" or "0.5*X + 0.5*Z - 0.2". The lowest reachable value
+ * is the ground energy c − |(a, b, d)|, attained by O's ground state, so the
+ * optimizer prepares that state — a one-qubit VQE.
+ *
+ * Optimizers:
+ *   nelder-mead: the derivative-free simplex of Fitting.nelderMeadSteps
+ *   shift:       gradient descent on parameter-shift gradients,
+ *                ∂E/∂θ = Σ_k [E(θ_k + π/2) − E(θ_k − π/2)] / 2
+ *                over every rotation k that uses θ (exact for Rx/Ry/Rz)
+ *
+ * E is evaluated on a sandboxed, noiseless spin (PulseCompiler.idealState).
+ * Runs are live: one iteration per tick, previewing the angles in the
+ * composer (Composer.preview) and redrawing the convergence curve; the live
+ * register is left alone until the run converges or is stopped, when the
+ * angles are bound and the circuit re-simulates once. Dragging a parameter
+ * slider previews the same way, with ⟨O⟩ from the sandbox, and binds on
+ * release. Editing the circuit stops the run.
+ */
+
+const Variational = (() => {
+    const TICK = 80;                 // ms per optimizer iteration
+    const MAX_ITERATIONS = 200;
+    const GRADIENT_TOLERANCE = 1e-6;
+    const SHIFT = Math.PI / 2;
+
+    let paramsEl, observableSelect, observableInput, methodSelect, rateInput, runBtn, canvas, resultEl;
+    let timer = null;
+    let session = null;     // the running (or last) optimization
+    let shownSymbols = '';  // symbols the slider rows were built for
+
+    function init() {
+        paramsEl = document.getElementById('vqe-params');
+        observableSelect = document.getElementById('vqe-observable');
+        observableInput = document.getElementById('vqe-observable-custom');
+        methodSelect = document.getElementById('vqe-method');
+        rateInput = document.getElementById('vqe-rate');
+        runBtn = document.getElementById('vqe-run-btn');
+        canvas = document.getElementById('vqe-canvas');
+        resultEl = document.getElementById('vqe-result');
+        if (!runBtn) return;
+
+        const syncObservable = () => {
+            if (!observableInput) return;
+            const custom = observableSelect.value === 'custom';
+            observableInput.disabled = !custom;
+            if (!custom) observableInput.value = observableSelect.value;
+        };
+        if (observableSelect) {
+            observableSelect.addEventListener('change', syncObservable);
+            syncObservable();
+        }
+        const syncMethod = () => { if (rateInput) rateInput.disabled = methodSelect.value !== 'shift'; };
+        if (methodSelect) {
+            methodSelect.addEventListener('change', syncMethod);
+            syncMethod();
+        }
+
+        runBtn.addEventListener('click', () => {
+            if (timer) {
+                stop();
+                return;
+            }
+            try {
+                start({
+                    observable: observableInput ? observableInput.value : 'Z',
+                    method: methodSelect ? methodSelect.value : 'nelder-mead',
+                    rate: rateInput ? parseFloat(rateInput.value) : 0.2
+                });
+            } catch (e) {
+                UI.showError(resultEl, e.message);
+            }
+        });
+
+        Composer.onChange(renderParameters);
+        renderParameters();
+    }
+
+    // ─── Observable ────
+    // "0.5*X - Z + 0.1" → { c, x, y, z }
+    function parseObservable(text) {
+        const src = text.replace(/\s+/g, '');
+        if (!src) throw new Error('Enter an observable, e.g. Z or 0.5*X + 0.5*Z');
+        const terms = src.match(/[+-]?[^+-]+/g) || [];
+        if (terms.join('') !== src) throw new Error(`Cannot read observable "${text}"`);
+        const obs = { c: 0, x: 0, y: 0, z: 0 };
+        for (const term of terms) {
+            const m = term.match(/^([+-]?)(\d+\.?\d*|\.\d+)?(\*)?([IXYZ])?$/i);
+            if (!m || (!m[2] && !m[4]) || (m[3] && !(m[2] && m[4]))) throw new Error(`Cannot read term "${term}"`);
+            const coefficient = (m[1] === '-' ? -1 : 1) * (m[2] ? parseFloat(m[2]) : 1);
+            const pauli = (m[4] || 'I').toUpperCase();
+            obs[pauli === 'I' ? 'c' : pauli.toLowerCase()] += coefficient;
+        }
+        return obs;
+    }
+
+    // Lowest eigenvalue and its eigenstate's Bloch vector (null if O ∝ I)
+    function groundState(obs) {
+        const norm = Math.hypot(obs.x, obs.y, obs.z);
+        return {
+            energy: obs.c - norm,
+            bloch: norm > 1e-12 ? { x: -obs.x / norm, y: -obs.y / norm, z: -obs.z / norm } : null
+        };
+    }
+
+    function formatObservable(obs) {
+        const terms = [['x', 'X'], ['y', 'Y'], ['z', 'Z'], ['c', '']]
+            .filter(([k]) => obs[k] !== 0)
+            .map(([k, name]) => {
+                const v = Math.abs(obs[k]);
+                const body = name ? (v === 1 ? name : `${+v.toPrecision(6)}·${name}`) : String(+v.toPrecision(6));
+                return { sign: obs[k] < 0 ? '−' : '+', body };
+            });
+        if (!terms.length) return '0';
+        return terms.map((t, i) => (i === 0 ? (t.sign === '−' ? '−' : '') : ` ${t.sign} `) + t.body).join('');
+    }
+
+    // ─── Evaluation ────
+    // Template ops with the symbols bound; shift moves one occurrence only
+    function bindOps(template, values, shift = null) {
+        return template.map((op, k) => {
+            if (!op.symbol) return op;
+            return { ...op, param: values[op.symbol] + (shift && shift.index === k ? shift.delta : 0) };
+        });
+    }
+
+    function evaluate(ops, obs) {
+        return SpinPhysics.sandbox(() => {
+            PulseCompiler.idealState(ops);
+            const r = SpinPhysics.getBlochVector();
+            return { energy: obs.c + obs.x * r.x + obs.y * r.y + obs.z * r.z, bloch: r };
+        });
+    }
+
+    function expectation(template, values, obs, shift) {
+        return evaluate(bindOps(template, values, shift), obs).energy;
+    }
+
+    // Parameter-shift gradient, one entry per symbol
+    function gradient(template, symbols, values, obs) {
+        return symbols.map(symbol => {
+            let g = 0;
+            template.forEach((op, index) => {
+                if (op.symbol !== symbol) return;
+                g += (expectation(template, values, obs, { index, delta: SHIFT }) -
+                    expectation(template, values, obs, { index, delta: -SHIFT })) / 2;
+            });
+            return g;
+        });
+    }
+
+    // ─── Optimizers ────
+    // Same protocol as Fitting.nelderMeadSteps: yields { x, fx, iteration }
+    function* gradientDescent(f, grad, x0, { rate = 0.2, maxIterations = MAX_ITERATIONS } = {}) {
+        let x = x0.slice();
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const g = grad(x);
+            if (Math.hypot(...g) < GRADIENT_TOLERANCE) return;
+            x = x.map((v, i) => v - rate * g[i]);
+            yield { x, fx: f(x), iteration };
+        }
+    }
+
+    function optimizer(method, template, symbols, obs, x0, rate) {
+        const values = x => Object.fromEntries(symbols.map((s, i) => [s, x[i]]));
+        const f = x => expectation(template, values(x), obs);
+        if (method === 'shift') {
+            if (!(rate > 0)) throw new Error('Learning rate must be positive');
+            return gradientDescent(f, x => gradient(template, symbols, values(x), obs), x0, { rate });
+        }
+        if (method !== 'nelder-mead') throw new Error(`Unknown optimizer "${method}"`);
+        return Fitting.nelderMeadSteps(f, x0, { maxIterations: MAX_ITERATIONS, tolerance: 1e-12, step: 0.5 });
+    }
+
+    // ─── Runs ────
+    function start({ observable = 'Z', method = 'nelder-mead', rate = 0.2 } = {}) {
+        stop();
+        const params = Composer.getParameters();
+        if (!params.length) throw new Error('No parameters — click a rotation gate and enter θ1 as its angle');
+        const obs = parseObservable(observable);
+        const template = Composer.getCircuit();
+        const symbols = params.map(p => p.symbol);
+        const x0 = params.map(p => p.value);
+        session = {
+            observable: obs, method, symbols, template,
+            structure: Composer.toText(template),
+            steps: optimizer(method, template, symbols, obs, x0, rate),
+            x: x0,
+            history: [{ iteration: 0, energy: expectation(template, Object.fromEntries(symbols.map((s, i) => [s, x0[i]])), obs) }],
+            ground: groundState(obs),
+            status: 'running'
+        };
+        timer = setInterval(tick, TICK);
+        render();
+        return session;
+    }
+
+    function tick() {
+        // A user edit changed the circuit under the optimizer
+        if (Composer.toText() !== session.structure) {
+            stop('circuit edited');
+            return;
+        }
+        const step = session.steps.next();
+        if (step.done) {
+            finish();
+            return;
+        }
+        session.x = step.value.x;
+        session.history.push({ iteration: step.value.iteration, energy: step.value.fx });
+        Composer.preview(bindings(session.x));
+        render();
+    }
+
+    function bindings(x) {
+        return Object.fromEntries(session.symbols.map((s, i) => [s, x[i]]));
+    }
+
+    // Converged: leave the angles wrapped into (−π, π]
+    function finish() {
+        clearInterval(timer);
+        timer = null;
+        const wrap = a => a - 2 * Math.PI * Math.ceil((a - Math.PI) / (2 * Math.PI));
+        session.x = session.x.map(wrap);
+        Composer.bind(bindings(session.x));
+        session.status = 'converged';
+        render();
+    }
+
+    // A run stopped by hand keeps its angles; an edited circuit is left as is
+    function stop(reason = 'stopped') {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+        session.status = reason;
+        if (reason !== 'circuit edited') Composer.bind(bindings(session.x));
+        render();
+    }
+
+    function isRunning() { return timer !== null; }
+
+    // ─── Display ────
+    function renderParameters() {
+        if (!paramsEl) return;
+        const params = Composer.getParameters();
+        const key = params.map(p => p.symbol).join(',');
+        if (key !== shownSymbols) {
+            shownSymbols = key;
+            UI.showRows(paramsEl, params.length ? [] : [['Enter θ1, θ2, … as a rotation angle to add parameters']]);
+            for (const { symbol } of params) {
+                const row = document.createElement('div');
+                row.className = 'slider-row';
+                row.innerHTML = `<label></label>
+                    <input type="range" min="${-Math.PI}" max="${Math.PI}" step="0.01">
+                    <span class="slider-val"></span>`;
+                row.querySelector('label').textContent = symbol;
+                const input = row.querySelector('input');
+                input.addEventListener('input', () => {
+                    stop();
+                    Composer.preview({ [symbol]: parseFloat(input.value) });
+                    renderPreview();
+                });
+                input.addEventListener('change', () => Composer.bind({ [symbol]: parseFloat(input.value) }));
+                row.dataset.symbol = symbol;
+                paramsEl.appendChild(row);
+            }
+        }
+        for (const { symbol, value } of params) {
+            const row = paramsEl.querySelector(`.slider-row[data-symbol="${symbol}"]`);
+            if (!row) continue;
+            row.querySelector('input').value = value;
+            row.querySelector('.slider-val').textContent = `${(value / Math.PI).toFixed(2)}π`;
+        }
+    }
+
+    function render() {
+        if (runBtn) runBtn.textContent = timer ? '■ Stop' : '▶ Optimize';
+        if (!session) return;
+        const { history, ground } = session;
+        const iterations = history.map(h => h.iteration);
+        const last = history[history.length - 1];
+        const xMax = Math.max(1, last.iteration);
+        if (canvas) {
+            Plot.xy(canvas, {
+                series: [
+                    { x: [0, xMax], y: [ground.energy, ground.energy], mode: 'line', color: '#34a853', width: 1, label: 'ground energy' },
+                    { x: iterations, y: history.map(h => h.energy), mode: 'line', color: '#1a73e8', label: '⟨O⟩' }
+                ],
+                xRange: [0, xMax],
+                xLabel: 'iteration →',
+                yLabel: '⟨O⟩'
+            });
+        }
+        if (!resultEl) return;
+        const { bloch } = evaluate(bindOps(session.template, bindings(session.x)), session.observable);
+        const fidelity = ground.bloch
+            ? (1 + bloch.x * ground.bloch.x + bloch.y * ground.bloch.y + bloch.z * ground.bloch.z) / 2
+            : null;
+        rows([
+            ['Observable', formatObservable(session.observable)],
+            ['⟨O⟩', `${last.energy.toFixed(6)} (ground ${ground.energy.toFixed(6)})`],
+            ['Ground-state fidelity', fidelity == null ? 'n/a (O ∝ I)' : `${(fidelity * 100).toFixed(3)}%`],
+            ['Parameters', session.symbols.map((s, i) => `${s} = ${(session.x[i] / Math.PI).toFixed(3)}π`).join(', ')],
+            ['Iteration', `${last.iteration} · ${session.method === 'shift' ? 'parameter shift' : 'Nelder–Mead'} · ${session.status}`]
+        ]);
+    }
+
+    // ⟨O⟩ of the circuit as bound right now, from the sandbox (slider drags)
+    function renderPreview() {
+        if (!resultEl) return;
+        try {
+            const obs = parseObservable(observableInput ? observableInput.value : 'Z');
+            const { energy, bloch } = evaluate(Composer.getCircuit(), obs);
+            rows([
+                ['Observable', formatObservable(obs)],
+                ['⟨O⟩', `${energy.toFixed(6)} (ground ${groundState(obs).energy.toFixed(6)})`],
+                ['Bloch', `(${bloch.x.toFixed(3)}, ${bloch.y.toFixed(3)}, ${bloch.z.toFixed(3)})`]
+            ]);
+        } catch (e) {
+            UI.showError(resultEl, e.message);
+        }
+    }
+
+    function rows(list) {
+        UI.showRows(resultEl, list.map(([label, val]) => [`${label}:`, val]));
+    }
+
+    function getSession() { return session; }
+
+    return {
+        init, start, stop, isRunning, parseObservable, groundState, gradient, bindOps, evaluate, getSession
+    };
+})();
@@ -0,0 +1,331 @@
+/**
+ * waveforms.js — Shaped Microwave Pulses & Waveform Editor
+ *
+ * Envelopes s(u), u = t/T, for pulses of duration T:
+ *   square    s = 1
+ *   gaussian  s = exp(−(u − ½)² / 2σ²), σ = T/6, lifted so s(0) = s(1) = 0
+ *   drag      the Gaussian on I plus β·ds/dt on Q (Derivative Removal by
+ *             Adiabatic Gate; β in seconds)
+ *   cosine    s = (1 − cos 2πu) / 2
+ *   sech      s = sech((u − ½)/σ), σ = T/10
+ *
+ * The complex drive in the rotating frame is
+ *   Ω(t) = A · [s(u)·(I + iQ) + iβ·ds/dt] · e^{iφ}
+ * and plays as the envelope of SpinPhysics.startPulse: amplitude |Ω|,
+ * phase arg Ω. On resonance the rotation angle is the pulse area
+ * θ = 2πγ |∫Ω dt| — exact only while the phase is fixed. DRAG's derivative
+ * term integrates to zero but still tilts the axis mid-pulse, so with β ≠ 0
+ * the area overstates the rotation (β = 0.2 ns reaches P(|1⟩) ≈ 0.91 at an
+ * area of π). Scaling a DRAG pulse with β ≠ 0 therefore tunes the amplitude
+ * against the simulated final state instead of the area; a large β can cap
+ * the rotation below θ altogether (β = 0.2 ns tops out at P(|1⟩) ≈ 0.92 for
+ * the default 4.3 ns pulse), and the editor then reports the shortfall.
+ *
+ * The editor plots the I/Q envelope next to the Bloch trajectory it
+ * produces: the pulse runs through SpinPhysics.evolve on a sandboxed,
+ * coherent spin from |0⟩ (current field and drive frequency). Play hands
+ * it to PulseController, which schedules it on the live spin.
+ */
+
+const Waveforms = (() => {
+    const SIGMA_GAUSSIAN = 1 / 6;
+    const SIGMA_SECH = 1 / 10;
+    const EDGE = Math.exp(-1 / (8 * SIGMA_GAUSSIAN * SIGMA_GAUSSIAN));   // Gaussian at u = 0, 1
+    const AREA_SAMPLES = 400;
+    const TRAJECTORY_POINTS = 150;
+    const SCALE_ITERATIONS = 24;          // golden-section steps for DRAG scaling
+    const GOLDEN = (Math.sqrt(5) - 1) / 2;
+    const SCALE_TOLERANCE = 1e-3;         // rad — closer than this counts as reached
+
+    function bell(u) { return Math.exp(-((u - 0.5) ** 2) / (2 * SIGMA_GAUSSIAN * SIGMA_GAUSSIAN)); }
+    function gaussian(u) { return (bell(u) - EDGE) / (1 - EDGE); }
+    function gaussianSlope(u) { return -(u - 0.5) / (SIGMA_GAUSSIAN * SIGMA_GAUSSIAN) * bell(u) / (1 - EDGE); }
+
+    // value(u) and, for DRAG, its slope ds/du
+    const SHAPES = {
+        square: { label: 'Square', value: () => 1 },
+        gaussian: { label: 'Gaussian', value: gaussian },
+        drag: { label: 'DRAG', value: gaussian, slope: gaussianSlope },
+        cosine: { label: 'Cosine', value: u => (1 - Math.cos(2 * Math.PI * u)) / 2 },
+        sech: { label: 'Sech', value: u => 1 / Math.cosh((u - 0.5) / SIGMA_SECH) }
+    };
+
+    const waveform = {
+        shape: 'gaussian',
+        amplitude: 10e-3,   // T
+        duration: 4.34e-9,  // s — a π pulse for these defaults
+        phase: 0,           // rad
+        i: 1,
+        q: 0,
+        beta: 0             // s
+    };
+
+    // Slider id → waveform field, display scale and unit
+    const SLIDERS = [
+        { id: 'wf-amp', key: 'amplitude', scale: 1e3, unit: ' mT', digits: 1 },
+        { id: 'wf-duration', key: 'duration', scale: 1e9, unit: ' ns', digits: 2 },
+        { id: 'wf-phase', key: 'phase', scale: 180 / Math.PI, unit: '°', digits: 0 },
+        { id: 'wf-i', key: 'i', scale: 1, unit: '', digits: 2 },
+        { id: 'wf-q', key: 'q', scale: 1, unit: '', digits: 2 },
+        { id: 'wf-beta', key: 'beta', scale: 1e9, unit: ' ns', digits: 2 }
+    ];
+
+    let envelopeCanvas, trajectoryCanvas, resultEl, shapeSelect, playBtn;
+    let shortfall = null;   // { theta, reached } when the last scaleTo fell short
+
+    function init() {
+        envelopeCanvas = document.getElementById('wf-envelope-canvas');
+        trajectoryCanvas = document.getElementById('wf-trajectory-canvas');
+        resultEl = document.getElementById('wf-result');
+        shapeSelect = document.getElementById('wf-shape');
+        playBtn = document.getElementById('wf-play-btn');
+        if (!shapeSelect) return;
+
+        shapeSelect.value = waveform.shape;
+        shapeSelect.addEventListener('change', () => {
+            waveform.shape = shapeSelect.value;
+            syncSliders();
+            render();
+        });
+
+        for (const s of SLIDERS) {
+            const slider = document.getElementById('slider-' + s.id);
+            if (!slider) continue;
+            slider.addEventListener('input', () => {
+                waveform[s.key] = parseFloat(slider.value) / s.scale;
+                syncSliders();
+                render();
+            });
+        }
+
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                try {
+                    render();
+                    PulseController.play(getWaveform(), () => QuantumComputing.updateDisplay());
+                } catch (e) {
+                    showError(e.message);
+                }
+            });
+        }
+
+        const piBtn = document.getElementById('wf-pi-btn');
+        if (piBtn) {
+            piBtn.addEventListener('click', () => {
+                try {
+                    const reached = scaleTo(Math.PI);
+                    syncSliders();
+                    render();
+                    if (Math.abs(reached - Math.PI) > SCALE_TOLERANCE) {
+                        shortfall = { theta: Math.PI, reached };
+                        renderResult();
+                    }
+                } catch (e) {
+                    showError(e.message);
+                }
+            });
+        }
+
+        syncSliders();
+        render();
+    }
+
+    function syncSliders() {
+        for (const s of SLIDERS) {
+            const slider = document.getElementById('slider-' + s.id);
+            const val = document.getElementById(s.id + '-val');
+            const v = waveform[s.key] * s.scale;
+            if (slider) slider.value = v;
+            if (val) val.innerHTML = v.toFixed(s.digits) + (s.unit ? `<small>${s.unit}</small>` : '');
+        }
+        // β only shapes DRAG pulses
+        const beta = document.getElementById('slider-wf-beta');
+        if (beta) beta.disabled = waveform.shape !== 'drag';
+    }
+
+    function getWaveform() { return { ...waveform }; }
+
+    function setWaveform(wf = {}) {
+        const next = { ...waveform, ...wf };
+        check(next);
+        Object.assign(waveform, next);
+        if (shapeSelect) shapeSelect.value = waveform.shape;
+        syncSliders();
+        render();
+    }
+
+    function check(wf) {
+        if (!SHAPES[wf.shape]) throw new Error('Unknown pulse shape: ' + wf.shape);
+        if (!(wf.duration > 0)) throw new Error('Pulse duration must be positive');
+        for (const key of ['amplitude', 'phase', 'i', 'q', 'beta']) {
+            if (!Number.isFinite(wf[key])) throw new Error(`Pulse ${key} must be a finite number`);
+        }
+    }
+
+    // ─── Samples ────
+    // Complex drive Ω(t) in tesla as { i, q } (in-phase and quadrature)
+    function sample(wf, t) {
+        const shape = SHAPES[wf.shape];
+        const u = Math.min(1, Math.max(0, t / wf.duration));
+        const s = shape.value(u);
+        const drag = shape.slope && wf.beta ? wf.beta * shape.slope(u) / wf.duration : 0;
+        const re = wf.amplitude * s * wf.i;
+        const im = wf.amplitude * (s * wf.q + drag);
+        const c = Math.cos(wf.phase), sn = Math.sin(wf.phase);
+        return { i: re * c - im * sn, q: re * sn + im * c };
+    }
+
+    // envelope(t) → { amplitude, phase } for SpinPhysics.startPulse
+    function envelope(wf) {
+        check(wf);
+        return t => {
+            const { i, q } = sample(wf, t);
+            return { amplitude: Math.hypot(i, q), phase: Math.atan2(q, i) };
+        };
+    }
+
+    // Resonant rotation angle 2πγ |∫₀^upTo Ω dt| (midpoint rule)
+    function rotationAngle(wf, upTo = wf.duration) {
+        const T = Math.min(upTo, wf.duration);
+        if (!(T > 0)) return 0;
+        const dt = T / AREA_SAMPLES;
+        let i = 0, q = 0;
+        for (let k = 0; k < AREA_SAMPLES; k++) {
+            const s = sample(wf, (k + 0.5) * dt);
+            i += s.i * dt;
+            q += s.q * dt;
+        }
+        return 2 * Math.PI * SpinPhysics.GYROMAGNETIC_RATIO * Math.hypot(i, q);
+    }
+
+    // The area is exact only without a DRAG term
+    function areaIsExact(wf) {
+        return !(SHAPES[wf.shape].slope && wf.beta);
+    }
+
+    // Polar angle the pulse reaches from |0⟩ on the sandboxed spin
+    function simulatedAngle(wf) {
+        const path = trajectory(wf, 1);
+        return Math.acos(Math.max(-1, Math.min(1, path.z[path.z.length - 1])));
+    }
+
+    // Rescale the amplitude so the pulse rotates by θ: by area, or for DRAG
+    // with β ≠ 0 by a golden-section search on the simulated polar angle
+    // around the area estimate. Returns the angle reached, which for DRAG
+    // may fall short of θ.
+    function scaleTo(theta) {
+        const now = rotationAngle(waveform);
+        if (!(now > 0)) throw new Error('The pulse has no area to scale');
+        let amplitude = waveform.amplitude * theta / now;
+        let reached = theta;
+        if (!areaIsExact(waveform)) {
+            const miss = a => Math.abs(simulatedAngle({ ...waveform, amplitude: a }) - theta);
+            let lo = amplitude * 0.8, hi = amplitude * 1.5;
+            for (let k = 0; k < SCALE_ITERATIONS; k++) {
+                const a = hi - GOLDEN * (hi - lo), b = lo + GOLDEN * (hi - lo);
+                if (miss(a) < miss(b)) hi = b; else lo = a;
+            }
+            amplitude = (lo + hi) / 2;
+            reached = simulatedAngle({ ...waveform, amplitude });
+        }
+        const slider = document.getElementById('slider-wf-amp');
+        if (slider && amplitude * 1e3 > parseFloat(slider.max)) {
+            throw new Error('Needs more than ' + slider.max + ' mT — lengthen the pulse');
+        }
+        waveform.amplitude = amplitude;
+        return reached;
+    }
+
+    // Bloch vector through the pulse, on a coherent sandboxed spin from |0⟩
+    function trajectory(wf, points = TRAJECTORY_POINTS) {
+        const env = envelope(wf);
+        return SpinPhysics.sandbox(() => {
+            SpinPhysics.reset();
+            const out = { t: [], x: [], y: [], z: [] };
+            const push = t => {
+                const r = SpinPhysics.getBlochVector();
+                out.t.push(t); out.x.push(r.x); out.y.push(r.y); out.z.push(r.z);
+            };
+            push(0);
+            const h = SpinPhysics.getIntegrator().stepSize;
+            const steps = Math.max(1, Math.ceil(wf.duration / h - 1e-9));
+            const chunk = Math.max(1, Math.ceil(steps / points));
+            SpinPhysics.startPulse({ duration: wf.duration, envelope: env });
+            for (let k = 0; k < steps; k += chunk) {
+                const n = Math.min(chunk, steps - k);
+                SpinPhysics.evolve(n * h / SpinPhysics.TIME_SCALE, false, null);
+                push(Math.min(wf.duration, (k + n) * h));
+            }
+            SpinPhysics.cancelPulse();
+            return out;
+        });
+    }
+
+    // ─── Rendering ────
+    function render() {
+        shortfall = null;
+        const wf = getWaveform();
+        const n = 200;
+        const t = Array.from({ length: n + 1 }, (_, k) => wf.duration * k / n);
+        const iq = t.map(tk => sample(wf, tk));
+        const ns = t.map(tk => tk * 1e9);
+        const peak = Math.max(...iq.map(s => Math.hypot(s.i, s.q)), 1e-12) * 1e3;
+
+        Plot.xy(envelopeCanvas, {
+            series: [
+                { x: ns, y: iq.map(s => Math.hypot(s.i, s.q) * 1e3), mode: 'line', color: '#dadce0', width: 4, label: '|Ω|' },
+                { x: ns, y: iq.map(s => s.i * 1e3), mode: 'line', color: Plot.COLORS[0], label: 'I' },
+                { x: ns, y: iq.map(s => s.q * 1e3), mode: 'line', color: Plot.COLORS[1], label: 'Q' }
+            ],
+            xRange: [0, wf.duration * 1e9],
+            yRange: [-peak * 1.1, peak * 1.1],
+            xLabel: 't (ns)',
+            yLabel: 'B₁ (mT)'
+        });
+
+        const path = trajectory(wf);
+        const pathNs = path.t.map(tk => tk * 1e9);
+        Plot.xy(trajectoryCanvas, {
+            series: [
+                { x: pathNs, y: path.x, mode: 'line', color: Plot.COLORS[0], label: '⟨X⟩' },
+                { x: pathNs, y: path.y, mode: 'line', color: Plot.COLORS[2], label: '⟨Y⟩' },
+                { x: pathNs, y: path.z, mode: 'line', color: Plot.COLORS[1], label: '⟨Z⟩' }
+            ],
+            xRange: [0, wf.duration * 1e9],
+            yRange: [-1.05, 1.05],
+            xLabel: 't (ns)',
+            yLabel: 'Bloch'
+        });
+
+        renderResult(peak, path.z[path.z.length - 1]);
+    }
+
+    // Result rows; called bare after render() to add the scaling shortfall
+    let lastResult = null;
+    function renderResult(peak, z) {
+        if (peak != null) lastResult = { peak, z };
+        if (!resultEl || !lastResult) return;
+        const wf = getWaveform();
+        const rabiPeak = SpinPhysics.GYROMAGNETIC_RATIO * lastResult.peak * 1e-3 / 1e6;
+        const rows = [
+            [areaIsExact(wf) ? 'Rotation (area):' : 'Rotation (area, exact only for β = 0):',
+                `θ = ${(rotationAngle(wf) / Math.PI).toFixed(3)}π`],
+            ['Peak Ω_R:', `${rabiPeak.toFixed(1)} MHz`],
+            ['From |0⟩, P(|1⟩):', ((1 - lastResult.z) / 2).toFixed(4)]
+        ];
+        if (shortfall) {
+            rows.push([`θ → ${(shortfall.theta / Math.PI).toFixed(2)}π:`,
+                `best amplitude reaches only ${(shortfall.reached / Math.PI).toFixed(3)}π — lower β`]);
+        }
+        UI.showRows(resultEl, rows);
+    }
+
+    function showError(message) {
+        UI.showError(resultEl, message);
+    }
+
+    return {
+        init, getWaveform, setWaveform, sample, envelope, rotationAngle, trajectory,
+        SHAPES
+    };
+})();